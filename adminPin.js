@@ -0,0 +1,126 @@
+/**
+ * Admin PIN for CodeGuard Extension
+ *
+ * The Options page is reachable by anyone at the keyboard, including the
+ * student. Changing the Server/Client URL or the lock requires the proctor's
+ * PIN, stored only as a salted PBKDF2-SHA-256 hash (WebCrypto).
+ *
+ * Wrong PINs are counted in chrome.storage.local; background.js reports them
+ * to the server as a tamper signal at the next exam start and then clears
+ * the count.
+ */
+
+const PIN_KEY = 'adminPin';
+const FAILURES_KEY = 'adminPinFailures';
+
+const CONFIG = {
+  ITERATIONS: 600000,
+  SALT_BYTES: 16,
+  HASH_BITS: 256,
+  MIN_LENGTH: 4,
+  MAX_LENGTH: 64,
+  MAX_RECORDED_ATTEMPTS: 20, // Timestamps kept per report; the count is exact
+};
+
+function toBase64(bytes) {
+  return btoa(String.fromCharCode(...new Uint8Array(bytes)));
+}
+
+function fromBase64(base64) {
+  return Uint8Array.from(atob(base64), char => char.charCodeAt(0));
+}
+
+async function derive(pin, salt, iterations) {
+  const material = await crypto.subtle.importKey(
+    'raw', new TextEncoder().encode(pin), 'PBKDF2', false, ['deriveBits']
+  );
+  return new Uint8Array(await crypto.subtle.deriveBits(
+    { name: 'PBKDF2', hash: 'SHA-256', salt, iterations },
+    material,
+    CONFIG.HASH_BITS
+  ));
+}
+
+// Compare every byte so timing doesn't reveal how much of the hash matched.
+function equalBytes(a, b) {
+  if (a.length !== b.length) return false;
+  let diff = 0;
+  for (let i = 0; i < a.length; i++) diff |= a[i] ^ b[i];
+  return diff === 0;
+}
+
+async function recordFailure() {
+  const { [FAILURES_KEY]: failures } = await chrome.storage.local.get([FAILURES_KEY]);
+  const count = (failures?.count || 0) + 1;
+  const attempts = [...(failures?.attempts || []), new Date().toISOString()]
+    .slice(-CONFIG.MAX_RECORDED_ATTEMPTS);
+  await chrome.storage.local.set({ [FAILURES_KEY]: { count, attempts } });
+}
+
+export async function hasAdminPin() {
+  const { [PIN_KEY]: stored } = await chrome.storage.local.get([PIN_KEY]);
+  return !!stored?.hash;
+}
+
+/**
+ * Check a PIN. A wrong PIN is recorded as a failed attempt. With no PIN set,
+ * everything is allowed (first-time setup).
+ */
+export async function verifyAdminPin(pin) {
+  const { [PIN_KEY]: stored } = await chrome.storage.local.get([PIN_KEY]);
+  if (!stored?.hash) return true;
+
+  const actual = await derive(String(pin ?? ''), fromBase64(stored.salt), stored.iterations);
+  if (equalBytes(actual, fromBase64(stored.hash))) return true;
+
+  await recordFailure();
+  return false;
+}
+
+/**
+ * Set or change the PIN. Changing an existing PIN needs the current one.
+ * @returns {Promise<{ success: boolean, error?: string }>}
+ */
+export async function setAdminPin(newPin, currentPin) {
+  const pin = String(newPin ?? '');
+  if (pin.length < CONFIG.MIN_LENGTH || pin.length > CONFIG.MAX_LENGTH) {
+    return { success: false, error: `PIN must be ${CONFIG.MIN_LENGTH}-${CONFIG.MAX_LENGTH} characters` };
+  }
+  if (!(await verifyAdminPin(currentPin))) {
+    return { success: false, error: 'Current PIN is incorrect' };
+  }
+
+  const salt = crypto.getRandomValues(new Uint8Array(CONFIG.SALT_BYTES));
+  const hash = await derive(pin, salt, CONFIG.ITERATIONS);
+  await chrome.storage.local.set({
+    [PIN_KEY]: {
+      algorithm: 'PBKDF2-SHA-256',
+      iterations: CONFIG.ITERATIONS,
+      salt: toBase64(salt),
+      hash: toBase64(hash),
+      updatedAt: new Date().toISOString(),
+    },
+  });
+  return { success: true };
+}
+
+// Failed attempts not yet reported ({ count, attempts[] }), or null.
+export async function getPinFailures() {
+  const { [FAILURES_KEY]: failures } = await chrome.storage.local.get([FAILURES_KEY]);
+  return failures?.count > 0 ? failures : null;
+}
+
+// Drop `reported` failures once the server has them; newer ones stay queued.
+export async function clearPinFailures(reported) {
+  const { [FAILURES_KEY]: failures } = await chrome.storage.local.get([FAILURES_KEY]);
+  const remaining = (failures?.count || 0) - reported;
+  if (remaining > 0) {
+    await chrome.storage.local.set({
+      [FAILURES_KEY]: { count: remaining, attempts: failures.attempts.slice(-remaining) },
+    });
+  } else {
+    await chrome.storage.local.remove([FAILURES_KEY]);
+  }
+}
+
+export { CONFIG as ADMIN_PIN_CONFIG };
@@ -0,0 +1,145 @@
+/**
+ * Auto-Config for CodeGuard Extension (learn the Server URL from the web page)
+ *
+ * content.js runs on ALL origins, so SET_CONFIG can arrive from any site. The
+ * gates below make that safe: never change mid-exam, honor managed policy and
+ * the Options lock, and only commit a new server once it proves its identity
+ * (a nonce signed with the pinned key, or with no key pinned, the /health
+ * CodeGuard marker).
+ *
+ * Only the trusted origin (the configured client origin or the extension's
+ * own pages) may set the client URL. A pinned key proves who the server is,
+ * not who the caller is, so any other site can at most point the extension at
+ * a server that verifies. That site never becomes the trusted client origin.
+ *
+ * Every attempt, accepted or not, lands in the config audit log.
+ */
+
+import { getManagedConfig, getPinnedServerKey, setConfiguredUrls, saveToStorage } from './config.js';
+import { verifyServerIdentity } from './serverIdentity.js';
+import { ERROR_CODES } from './messageRouter.js';
+
+const CONFIG_AUDIT_KEY = 'configAuditLog';
+const CONFIG_AUDIT_LIMIT = 200;
+
+export function normalizeUrl(u) {
+  if (typeof u !== 'string') return null;
+  const trimmed = u.trim().replace(/\/$/, '');
+  try {
+    const parsed = new URL(trimmed);
+    if (!/^https?:$/.test(parsed.protocol)) return null;
+    return trimmed;
+  } catch {
+    return null;
+  }
+}
+
+// Probe a candidate server to confirm it is a real CodeGuard backend.
+async function isCodeGuardServer(serverUrl) {
+  try {
+    const res = await fetch(`${serverUrl}/health`, {
+      method: 'GET',
+      signal: AbortSignal.timeout(5000)
+    });
+    if (!res.ok) return false;
+    const data = await res.json().catch(() => ({}));
+    return data && data.service === 'codeguard';
+  } catch {
+    return false;
+  }
+}
+
+// Bounded local record of SET_CONFIG attempts, newest last.
+export async function auditConfigAttempt(entry) {
+  try {
+    const { [CONFIG_AUDIT_KEY]: log = [] } = await chrome.storage.local.get([CONFIG_AUDIT_KEY]);
+    log.push({ ...entry, at: new Date().toISOString() });
+    await chrome.storage.local.set({ [CONFIG_AUDIT_KEY]: log.slice(-CONFIG_AUDIT_LIMIT) });
+  } catch (err) {
+    console.warn('⚠️ Failed to write config audit log:', err.message);
+  }
+}
+
+/**
+ * Apply a SET_CONFIG request.
+ * @param {object} message - { serverUrl, clientUrl } (clientUrl is the page origin, set by content.js)
+ * @param {{ origin: string|null, trusted: boolean }} caller - sender origin and whether it is the trusted origin
+ * @param {{ onRefusedOrigin?: Function, onAccepted?: Function }} [hooks]
+ *   onRefusedOrigin(origin) for an untrusted caller with no key pinned;
+ *   onAccepted({ serverUrl, clientUrl? }) after a new server is committed
+ * @returns {Promise<{ success: boolean, code?: string, message: string, serverUrl?: string }>}
+ */
+export async function handleSetConfig(message, { origin = null, trusted = false } = {}, hooks = {}) {
+  const serverUrl = normalizeUrl(message.serverUrl);
+  // Only the trusted origin may name the client URL (see the module comment)
+  const clientUrl = trusted ? normalizeUrl(message.clientUrl) : null;
+  const { examActive, configLocked, serverUrl: currentServer } =
+    await chrome.storage.local.get(['examActive', 'configLocked', 'serverUrl']);
+  const managed = getManagedConfig();
+
+  const audit = {
+    serverUrl: serverUrl || String(message.serverUrl).slice(0, 256),
+    clientUrl,
+    previousServerUrl: currentServer || null,
+    origin,
+  };
+  const refuse = async (code, text, reason = code) => {
+    await auditConfigAttempt({ ...audit, outcome: 'rejected', reason });
+    return { success: false, code, message: text };
+  };
+
+  if (!serverUrl) {
+    return refuse(ERROR_CODES.VALIDATION_FAILED, 'Invalid serverUrl');
+  }
+
+  // Gate 0: other sites may only suggest a server the pinned key can verify.
+  const pinnedKey = await getPinnedServerKey();
+  if (!pinnedKey && !trusted) {
+    console.warn(`🛡️ SET_CONFIG refused from ${origin} — not the client origin and no server key pinned`);
+    hooks.onRefusedOrigin?.(origin);
+    return refuse(ERROR_CODES.FORBIDDEN_ORIGIN, 'Message type not allowed from this origin', 'forbidden_origin');
+  }
+
+  // Gate 1: never swap servers mid-exam.
+  if (examActive === true) {
+    console.log('🔒 SET_CONFIG ignored — exam active');
+    return refuse(ERROR_CODES.EXAM_ACTIVE, 'Exam active — config change refused');
+  }
+
+  // Gate 2: enterprise policy, then a proctor's manual Options entry, wins.
+  if (managed.serverUrl || managed.configLocked === true) {
+    console.log('🔒 SET_CONFIG ignored — config managed by policy');
+    return refuse(ERROR_CODES.CONFIG_LOCKED, 'Config managed by your organization', 'managed');
+  }
+  if (configLocked === true && managed.configLocked !== false) {
+    console.log('🔒 SET_CONFIG ignored — config locked by Options');
+    return refuse(ERROR_CODES.CONFIG_LOCKED, 'Config locked');
+  }
+
+  // No change → nothing to do (avoids a needless verification round-trip).
+  if (currentServer === serverUrl) {
+    if (clientUrl) { setConfiguredUrls({ clientUrl }); await saveToStorage(); }
+    await auditConfigAttempt({ ...audit, outcome: 'accepted', reason: 'unchanged' });
+    return { success: true, message: 'Config unchanged' };
+  }
+
+  // Gate 3: verify the candidate before trusting it.
+  if (pinnedKey) {
+    const identity = await verifyServerIdentity(serverUrl, pinnedKey);
+    if (!identity.verified) {
+      console.warn(`⚠️ SET_CONFIG rejected — ${serverUrl} failed the pinned key check (${identity.reason})`);
+      return refuse(ERROR_CODES.SERVER_VERIFICATION_FAILED, 'Server identity verification failed', identity.reason);
+    }
+  } else if (!(await isCodeGuardServer(serverUrl))) {
+    console.warn(`⚠️ SET_CONFIG rejected — ${serverUrl}/health is not a CodeGuard server`);
+    return refuse(ERROR_CODES.SERVER_VERIFICATION_FAILED, 'Server verification failed', 'health_check_failed');
+  }
+
+  setConfiguredUrls({ serverUrl, clientUrl });
+  await saveToStorage();
+  await auditConfigAttempt({ ...audit, outcome: 'accepted', reason: pinnedKey ? 'identity_verified' : 'health_verified' });
+  await hooks.onAccepted?.({ serverUrl, ...(clientUrl && { clientUrl }) });
+
+  console.log(`✅ Auto-config: server learned from page → ${serverUrl}`);
+  return { success: true, message: 'Config updated', serverUrl };
+}
@@ -10,9 +10,12 @@
 
 // Import configuration module for dynamic environment detection
 import {
+  getConfig,
   getCachedApiBaseUrl,
+  getClientUrl,
   updateEnvironmentFromUrl,
   setConfiguredUrls,
+  getManagedConfig,
   initializeFromStorage,
   saveToStorage,
   CONFIG
@@ -24,6 +27,52 @@ import { recordingManager, RECORDING_CONFIG } from './recording.js';
 // Import screen recorder for desktop capture
 import { screenRecorder } from './screenRecorder.js';
 
+// Import whitelist rule engine (paths, wildcards, deny rules, regex)
+import { compileWhitelist, evaluateUrl, isSearchQuery } from './whitelistRules.js';
+
+// Import enforcement mode (declarativeNetRequest blocking of non-whitelisted sites)
+import {
+  installEnforcementRules,
+  removeEnforcementRules,
+  parseBlockedPageUrl
+} from './enforcement.js';
+
+// Import focus tracker (tab/window switches away from the exam tab)
+import { focusTracker } from './focusTracker.js';
+
+// Import offline flag queue (IndexedDB, screenshots as Blobs, eviction tombstones)
+import { flagQueueStore, matchBatchResults } from './flagQueue.js';
+
+// Import off-whitelist violation sessions (one flag + dwell time per domain visit)
+import { violationSessions } from './violationSessions.js';
+
+// Import screenshot pipeline (downscale, compress, dedupe, thumbnail)
+import { processScreenshot, clearScreenshotHistory } from './screenshotPipeline.js';
+
+// Import periodic screenshot sampler (randomized chrome.alarms schedule)
+import { screenshotSampler } from './screenshotSampler.js';
+
+// Import real-time server channel (socket.io-compatible WebSocket client)
+import { serverChannel } from './serverChannel.js';
+
+// Import file integrity self-check (hashes of the installed files for attestation)
+import { buildAttestation } from './integrity.js';
+
+// Import auto-config (SET_CONFIG gates: origin, lock, server identity)
+import { handleSetConfig, auditConfigAttempt } from './autoConfig.js';
+
+// Import admin PIN (failure counter is reported as a tamper signal)
+import { verifyAdminPin, getPinFailures, clearPinFailures } from './adminPin.js';
+
+// Import named server profiles (Options page; one active at a time)
+import { loadProfiles, saveProfiles, PROFILES_KEY, ACTIVE_PROFILE_KEY } from './serverProfiles.js';
+
+// Import version check (version.json comparisons and the update-check schedule)
+import { getVersionStatus, parseVersionDocument, isUpdateCheckDue } from './versionCheck.js';
+
+// Import message router (per-type schema validation, error-code envelope)
+import { MessageRouter, MessageError, ERROR_CODES, FIELDS, PROTOCOL_VERSION } from './messageRouter.js';
+
 // ========== SERVICE WORKER KEEP-ALIVE ==========
 // Chrome service workers go idle after ~30 seconds of inactivity
 // This keeps the worker alive during active exams to prevent message loss
@@ -60,117 +109,324 @@ function stopKeepAlive() {
 chrome.alarms.create('keepAlive', { periodInMinutes: 0.4 }); // ~24 seconds
 
 chrome.alarms.onAlarm.addListener(async (alarm) => {
+  if (await screenshotSampler.handleAlarm(alarm)) return;
+
   if (alarm.name === 'keepAlive') {
     const { examActive } = await chrome.storage.local.get(['examActive']);
     if (examActive) {
       console.log('⏰ Alarm keep-alive ping - exam active');
+      // Flag long away periods that are still ongoing
+      await focusTracker.checkThresholds();
+      // Revive the server channel if the worker was restarted
+      await serverChannel.ensureConnected();
     }
+    // Tell the server we're alive (silence = extension disabled/killed)
+    await sendHeartbeat();
+    // Hourly version check (a setInterval wouldn't survive the worker sleeping)
+    await checkForUpdates();
   }
 });
 // ================================================
 
 // ========== OFFLINE FLAG QUEUE ==========
-// Queue flags locally when offline, sync when back online
-let flagQueue = [];
+// Queue flags locally when offline, sync when back online. Flags live in
+// IndexedDB (flagQueue.js), one record each, screenshots as Blobs; evictions
+// leave tombstones and rejected flags go to quarantine, both reported to the
+// server on the next sync.
 let isSyncing = false;
-const MAX_QUEUE_SIZE = 50;  // Prevent memory issues
-const RETRY_DELAYS = [1000, 2000, 4000, 8000, 16000];  // Exponential backoff
+const SYNC_BATCH_SIZE = 20; // Flags per batch request
+const SYNC_BATCH_MAX_BYTES = 4 * 1024 * 1024; // ...but keep each request under ~4 MB
+let batchEndpointSupported = true; // Flipped off (for this worker's life) on 404/405
 
-// Load queue from storage on startup
-async function loadFlagQueue() {
+// Add flag to queue
+async function queueFlag(payload) {
   try {
-    const { offlineFlagQueue } = await chrome.storage.local.get(['offlineFlagQueue']);
-    if (offlineFlagQueue && Array.isArray(offlineFlagQueue)) {
-      flagQueue = offlineFlagQueue;
-      console.log(`📦 Loaded ${flagQueue.length} queued flags from storage`);
-    }
+    await flagQueueStore.enqueue(payload);
   } catch (err) {
-    console.warn('⚠️ Failed to load flag queue:', err);
+    console.error('❌ Failed to queue flag:', err);
   }
 }
 
-// Save queue to storage (persists through service worker restarts)
-async function saveFlagQueue() {
+async function getQueueDepth() {
   try {
-    await chrome.storage.local.set({ offlineFlagQueue: flagQueue });
-  } catch (err) {
-    console.warn('⚠️ Failed to save flag queue:', err);
+    return await flagQueueStore.count();
+  } catch {
+    return 0;
   }
 }
 
-// Add flag to queue
-async function queueFlag(payload) {
-  if (flagQueue.length >= MAX_QUEUE_SIZE) {
-    console.warn('⚠️ Flag queue full, dropping oldest flag');
-    flagQueue.shift();
-  }
-  
-  payload.queuedAt = new Date().toISOString();
-  flagQueue.push(payload);
-  await saveFlagQueue();
-  console.log(`📦 Flag queued (${flagQueue.length} total). Will sync when online.`);
+// A 4xx other than 401 means the server will never accept this flag as-is
+function isMalformedStatus(status) {
+  return status >= 400 && status < 500 && status !== 401;
 }
 
-// Send a single flag with retry
-async function sendFlagWithRetry(payload, retryIndex = 0) {
+// Send a single flag once. Failures are classified rather than retried here:
+// the queue itself is the retry mechanism.
+async function sendFlagOnce(payload) {
   try {
-    const headers = await getAuthHeaders({ 'Content-Type': 'application/json' });
+    const headers = await getAuthHeaders({
+      'Content-Type': 'application/json',
+      'Idempotency-Key': payload.idempotencyKey || payload.flagId
+    });
     const response = await fetch(`${getApiBaseUrl()}/api/proctoring/flag`, {
       method: 'POST',
       headers: headers,
       body: JSON.stringify(payload)
     });
     
-    if (!response.ok) {
-      // 401 = expired/missing token; retrying won't help. Keep the flag queued
-      // and wait for a fresh SET_TOKEN from the page to flush the queue.
-      if (response.status === 401) {
-        return { success: false, authError: true, error: 'HTTP 401' };
-      }
-      throw new Error(`HTTP ${response.status}`);
+    if (response.ok) return { success: true };
+    
+    // 401 = expired/missing token; retrying won't help. Keep the flag queued
+    // and wait for a fresh SET_TOKEN from the page to flush the queue.
+    if (response.status === 401) {
+      return { success: false, authError: true, error: 'HTTP 401' };
     }
-
-    return { success: true };
+    const error = `HTTP ${response.status}: ${(await response.text().catch(() => '')).slice(0, 200)}`;
+    return { success: false, malformed: isMalformedStatus(response.status), status: response.status, error };
   } catch (err) {
-    // Retry with exponential backoff
-    if (retryIndex < RETRY_DELAYS.length) {
-      await new Promise(r => setTimeout(r, RETRY_DELAYS[retryIndex]));
-      return sendFlagWithRetry(payload, retryIndex + 1);
-    }
     return { success: false, error: err.message };
   }
 }
 
-// Sync all queued flags
-async function syncQueuedFlags() {
-  if (isSyncing || flagQueue.length === 0) return;
+/**
+ * POST a batch of queued flags to the batch endpoint.
+ * Server response: { results: [{ idempotencyKey, status: 'accepted'|'duplicate'|'rejected', error? }] }
+ * @returns {Promise<{ ok: boolean, unsupported?: boolean, authError?: boolean, results?: object[], error?: string }>}
+ */
+async function sendFlagBatch(payloads) {
+  try {
+    const headers = await getAuthHeaders({ 'Content-Type': 'application/json' });
+    const response = await fetch(`${getApiBaseUrl()}/api/proctoring/flag/batch`, {
+      method: 'POST',
+      headers: headers,
+      body: JSON.stringify({ flags: payloads })
+    });
+    
+    if (response.status === 404 || response.status === 405) return { ok: false, unsupported: true };
+    if (response.status === 401) return { ok: false, authError: true, error: 'HTTP 401' };
+    if (!response.ok) return { ok: false, status: response.status, error: `HTTP ${response.status}` };
+    
+    const data = await response.json().catch(() => ({}));
+    return { ok: true, results: Array.isArray(data.results) ? data.results : [] };
+  } catch (err) {
+    return { ok: false, error: err.message };
+  }
+}
+
+// Take records from the front of the queue up to the batch count/byte limits
+function takeBatch(records) {
+  const batch = [];
+  let bytes = 0;
+  for (const record of records) {
+    if (batch.length >= SYNC_BATCH_SIZE) break;
+    if (batch.length > 0 && bytes + record.sizeBytes > SYNC_BATCH_MAX_BYTES) break;
+    batch.push(record);
+    bytes += record.sizeBytes || 0;
+  }
+  return batch;
+}
+
+// Batch mode: apply per-item results. Returns false when syncing should stop.
+async function syncBatch(records) {
+  const payloads = await flagQueueStore.toPayloads(records);
+  const result = await sendFlagBatch(payloads);
   
-  isSyncing = true;
-  console.log(`🔄 Syncing ${flagQueue.length} queued flags...`);
+  if (result.unsupported) {
+    console.log('ℹ️ Batch flag endpoint not available, falling back to single uploads');
+    batchEndpointSupported = false;
+    return syncSingly(records);
+  }
+  if (result.authError) {
+    console.warn('🔑 Flag batch rejected (401) — waiting for a fresh token');
+    return false;
+  }
+  if (!result.ok) {
+    // 413 etc. — retry these flags one by one so a single oversized or bad
+    // flag gets isolated instead of failing the whole batch forever
+    if (result.status && isMalformedStatus(result.status)) return syncSingly(records);
+    console.warn(`❌ Flag batch failed (${result.error}), will retry later`);
+    return false;
+  }
   
-  const successfulIndices = [];
+  const verdicts = matchBatchResults(payloads, result.results);
+  if (verdicts.every(verdict => !verdict)) {
+    // Empty or unkeyed results — the server can't resolve this batch, so send
+    // the flags one by one rather than stall the queue on it
+    console.warn('⚠️ Flag batch response had no verdicts for these flags, falling back to single uploads');
+    return syncSingly(records);
+  }
   
-  for (let i = 0; i < flagQueue.length; i++) {
-    const flag = flagQueue[i];
-    const result = await sendFlagWithRetry(flag);
+  let applied = 0;
+  for (const [index, record] of records.entries()) {
+    const itemResult = verdicts[index];
+    if (!itemResult) continue; // No verdict — leave queued for the next sync
+    
+    if (itemResult.status === 'accepted' || itemResult.status === 'duplicate') {
+      await flagQueueStore.remove(record.flagId);
+      applied++;
+    } else if (itemResult.status === 'rejected') {
+      await flagQueueStore.quarantine(record.flagId, { status: itemResult.code || 'rejected', error: itemResult.error });
+      applied++;
+    }
+  }
+  console.log(`✅ Flag batch synced: ${applied}/${records.length} resolved`);
+  // Stop if nothing was resolved (e.g. only unknown statuses), to avoid spinning on the same batch
+  return applied > 0;
+}
+
+// Single mode: one request per flag, no internal retries.
+async function syncSingly(records) {
+  for (const record of records) {
+    const [payload] = await flagQueueStore.toPayloads([record]);
+    const result = await sendFlagOnce(payload);
     
     if (result.success) {
-      successfulIndices.push(i);
-      console.log(`✅ Synced queued flag ${i + 1}/${flagQueue.length}`);
+      await flagQueueStore.remove(record.flagId);
+    } else if (result.malformed) {
+      await flagQueueStore.quarantine(record.flagId, { status: result.status, error: result.error });
     } else {
-      console.warn(`❌ Failed to sync flag ${i + 1}, will retry later`);
-      break;  // Stop on first failure to maintain order
+      console.warn(`❌ Failed to sync flag ${record.flagId} (${result.error}), will retry later`);
+      return false;  // Stop on network/5xx/401 to maintain order
     }
   }
+  return true;
+}
+
+// Sync all queued flags
+async function syncQueuedFlags() {
+  if (isSyncing) return;
   
-  // Remove successful flags from queue
-  if (successfulIndices.length > 0) {
-    flagQueue = flagQueue.filter((_, index) => !successfulIndices.includes(index));
-    await saveFlagQueue();
-    console.log(`📦 ${successfulIndices.length} flags synced, ${flagQueue.length} remaining`);
+  isSyncing = true;
+  try {
+    // Metadata for the next batch only; screenshots load when it's sent
+    let records = await flagQueueStore.list(SYNC_BATCH_SIZE);
+    if (records.length > 0) {
+      console.log(`🔄 Syncing ${await getQueueDepth()} queued flags (${batchEndpointSupported ? 'batch' : 'single'} mode)...`);
+    }
+    
+    while (records.length > 0) {
+      const batch = takeBatch(records);
+      const keepGoing = batchEndpointSupported ? await syncBatch(batch) : await syncSingly(batch);
+      if (!keepGoing) break;
+      records = await flagQueueStore.list(SYNC_BATCH_SIZE);
+    }
+    
+    const remaining = await getQueueDepth();
+    if (remaining > 0) console.log(`📦 ${remaining} flags still queued`);
+    
+    await reportEvictedFlags();
+    await reportQuarantinedFlags();
+    await flagQueueStore.purgeQuarantine();
+  } catch (err) {
+    console.error('❌ Flag queue sync failed:', err);
+  } finally {
+    isSyncing = false;
   }
+}
+
+// Group queue metadata records by the student/room they belong to
+function groupByStudentRoom(items, studentId = item => item.studentId, roomId = item => item.roomId) {
+  const groups = new Map();
+  items.forEach((item) => {
+    const key = `${studentId(item)}|${roomId(item)}`;
+    if (!groups.has(key)) groups.set(key, []);
+    groups.get(key).push(item);
+  });
+  return [...groups.values()];
+}
+
+// Tell the server how many flags were evicted from the queue (and when), one
+// summary flag per student/room. Tombstones are cleared once acknowledged.
+async function reportEvictedFlags() {
+  const tombstones = await flagQueueStore.getTombstones();
+  if (tombstones.length === 0) return;
   
-  isSyncing = false;
+  const { studentName } = await chrome.storage.local.get(['studentName']);
+  
+  for (const group of groupByStudentRoom(tombstones)) {
+    const byActionType = {};
+    group.forEach((t) => { byActionType[t.actionType] = (byActionType[t.actionType] || 0) + 1; });
+    const timestamps = group.map(t => t.timestamp).filter(Boolean).sort();
+    
+    const flagId = crypto.randomUUID();
+    const result = await sendFlagOnce({
+      flagId,
+      idempotencyKey: flagId,
+      studentId: group[0].studentId,
+      studentName: studentName || 'Unknown Student',
+      roomId: group[0].roomId,
+      illegalUrl: 'queue_evicted',
+      blockedUrl: 'queue_evicted',
+      actionType: 'queue_evicted',
+      violationDetails: {
+        lostCount: group.length,
+        firstLostTimestamp: timestamps[0] || null,
+        lastLostTimestamp: timestamps[timestamps.length - 1] || null,
+        firstEvictedAt: group[0].evictedAt,
+        lastEvictedAt: group[group.length - 1].evictedAt,
+        byActionType,
+        flagIds: group.map(t => t.flagId)
+      },
+      timestamp: new Date().toISOString(),
+      screenshotData: ''
+    });
+    
+    if (!result.success) return; // keep tombstones, try again next sync
+    await flagQueueStore.clearTombstones(group.map(t => t.flagId));
+    console.log(`📦 Reported ${group.length} evicted flag(s) to server`);
+  }
+}
+
+// Tell the server which flags it rejected as malformed (they were received
+// but not recorded), one summary flag per student/room. Quarantined flags are
+// marked reported and kept until flagQueue.js purges them.
+async function reportQuarantinedFlags() {
+  const quarantined = await flagQueueStore.getUnreportedQuarantine();
+  if (quarantined.length === 0) return;
+  
+  const { studentName } = await chrome.storage.local.get(['studentName']);
+  const studentOf = record => record.payload.studentId;
+  const roomOf = record => record.payload.roomId;
+  
+  for (const group of groupByStudentRoom(quarantined, studentOf, roomOf)) {
+    const byActionType = {};
+    const byStatus = {};
+    group.forEach((record) => {
+      byActionType[record.payload.actionType] = (byActionType[record.payload.actionType] || 0) + 1;
+      byStatus[record.quarantined.status] = (byStatus[record.quarantined.status] || 0) + 1;
+    });
+    
+    const flagId = crypto.randomUUID();
+    const result = await sendFlagOnce({
+      flagId,
+      idempotencyKey: flagId,
+      studentId: studentOf(group[0]),
+      studentName: studentName || 'Unknown Student',
+      roomId: roomOf(group[0]),
+      illegalUrl: 'queue_quarantined',
+      blockedUrl: 'queue_quarantined',
+      actionType: 'queue_quarantined',
+      violationDetails: {
+        rejectedCount: group.length,
+        firstQuarantinedAt: group[0].quarantined.at,
+        lastQuarantinedAt: group[group.length - 1].quarantined.at,
+        byActionType,
+        byStatus,
+        flags: group.map(record => ({
+          flagId: record.flagId,
+          actionType: record.payload.actionType,
+          timestamp: record.payload.timestamp || null,
+          error: record.quarantined.error ? String(record.quarantined.error).slice(0, 200) : null,
+        })),
+      },
+      timestamp: new Date().toISOString(),
+      screenshotData: ''
+    });
+    
+    if (!result.success) return; // stays unreported, try again next sync
+    await flagQueueStore.markQuarantineReported(group.map(record => record.flagId));
+    console.log(`📦 Reported ${group.length} quarantined flag(s) to server`);
+  }
 }
 
 // Check if we're online and sync
@@ -189,8 +445,10 @@ async function checkAndSync() {
   }
 }
 
-// Load queue on startup
-loadFlagQueue();
+// Move any legacy chrome.storage queue into IndexedDB on startup
+flagQueueStore.migrateLegacyQueue().catch((err) => {
+  console.warn('⚠️ Failed to migrate legacy flag queue:', err);
+});
 
 // Periodic sync attempt (every 30 seconds during active exam)
 chrome.alarms.create('syncFlags', { periodInMinutes: 0.5 });
@@ -198,17 +456,163 @@ chrome.alarms.create('syncFlags', { periodInMinutes: 0.5 });
 chrome.alarms.onAlarm.addListener(async (alarm) => {
   if (alarm.name === 'syncFlags') {
     const { examActive } = await chrome.storage.local.get(['examActive']);
-    if (examActive && flagQueue.length > 0) {
+    if (examActive && (await getQueueDepth()) > 0) {
       await checkAndSync();
     }
   }
 });
 // ================================================
 
+// ========== HEARTBEAT / PRESENCE ==========
+// Sent on every keepAlive alarm (~24s) while a student is signed in to a room,
+// so the proctor can tell "no flags" apart from "extension gone". An
+// uninstall URL carrying the student/room IDs covers removal mid-exam.
+const HEARTBEAT_TIMEOUT_MS = 10000;
+
+async function sendHeartbeat() {
+  try {
+    const stored = await chrome.storage.local.get([
+      "studentId", "roomId", "examActive", "whitelistVersion", "lastFlagAt"
+    ]);
+    if (!stored.studentId || !stored.roomId) return;
+
+    updateUninstallUrl(stored);
+
+    const payload = {
+      studentId: stored.studentId,
+      roomId: stored.roomId,
+      extensionVersion: chrome.runtime.getManifest().version,
+      examActive: stored.examActive === true,
+      queueDepth: await getQueueDepth(),
+      recording: {
+        events: recordingManager.getState().isRecording, // IndexedDB event/chunk recorder
+        screen: screenRecorder.getStatus().isRecording, // Full-screen capture from the PiP UI
+      },
+      whitelistVersion: stored.whitelistVersion || null,
+      lastFlagAt: stored.lastFlagAt || null,
+      serverChannelConnected: serverChannel.isConnected(),
+      sentAt: new Date().toISOString(),
+    };
+
+    const headers = await getAuthHeaders({ "Content-Type": "application/json" });
+    const response = await fetch(`${getApiBaseUrl()}/api/proctoring/presence`, {
+      method: "POST",
+      headers,
+      body: JSON.stringify(payload),
+      signal: AbortSignal.timeout(HEARTBEAT_TIMEOUT_MS),
+    });
+    if (!response.ok) {
+      console.warn(`⚠️ Heartbeat rejected (${response.status})`);
+    }
+  } catch (err) {
+    // Offline - the server will notice the gap, which is the point
+    console.warn("⚠️ Heartbeat failed:", err.message);
+  }
+}
+
+// Opened by Chrome if the extension is uninstalled. Cleared on STOP_MONITORING.
+function updateUninstallUrl({ studentId, roomId } = {}) {
+  let url = "";
+  if (studentId && roomId) {
+    const params = new URLSearchParams({ studentId, roomId });
+    url = `${getApiBaseUrl()}/api/proctoring/uninstalled?${params}`;
+  }
+  chrome.runtime.setUninstallURL(url).catch((err) => {
+    console.warn("⚠️ Failed to set uninstall URL:", err.message);
+  });
+}
+// ================================================
+
+// ========== INTEGRITY ATTESTATION ==========
+// Challenge-response against the signed integrity.json written by
+// package-extension.js: fetch a nonce, hash the installed files, send both.
+const INTEGRITY_TIMEOUT_MS = 15000;
+
+async function attestIntegrity({ studentId, roomId }) {
+  try {
+    const headers = await getAuthHeaders({ "Content-Type": "application/json" });
+    const params = new URLSearchParams({ studentId, roomId });
+    const challenge = await fetch(`${getApiBaseUrl()}/api/proctoring/integrity/challenge?${params}`, {
+      headers,
+      signal: AbortSignal.timeout(INTEGRITY_TIMEOUT_MS),
+    });
+    if (!challenge.ok) {
+      console.warn(`⚠️ Integrity challenge unavailable (${challenge.status})`);
+      return;
+    }
+    const { nonce } = await challenge.json();
+    if (typeof nonce !== "string" || !nonce) {
+      console.warn("⚠️ Integrity challenge had no nonce");
+      return;
+    }
+
+    const attestation = await buildAttestation(nonce);
+    const response = await fetch(`${getApiBaseUrl()}/api/proctoring/integrity/attest`, {
+      method: "POST",
+      headers,
+      body: JSON.stringify({ studentId, roomId, ...attestation }),
+      signal: AbortSignal.timeout(INTEGRITY_TIMEOUT_MS),
+    });
+    console.log(response.ok
+      ? `🔏 Integrity attestation sent (${Object.keys(attestation.files).length} files)`
+      : `⚠️ Integrity attestation rejected (${response.status})`);
+  } catch (err) {
+    console.warn("⚠️ Integrity attestation failed:", err.message);
+  }
+}
+// ================================================
+
+// ========== OPTIONS TAMPER SIGNALS ==========
+// Wrong admin PINs typed into Options since the last exam are reported once
+// the next exam starts (there's no room to report to before that).
+async function reportPinFailures() {
+  const failures = await getPinFailures();
+  if (!failures) return;
+
+  const result = await reportViolation({
+    illegalUrl: "security_event:admin_pin_failed",
+    actionType: "security_admin_pin_failed",
+    violationDetails: { failedAttempts: failures.count, attempts: failures.attempts },
+  });
+  if (result.status === "sent" || result.status === "queued") {
+    await clearPinFailures(failures.count);
+  }
+}
+
+// Options refuses to change the lock mid-exam; undo any write that slips past
+// it (e.g. from the extension's devtools console) and log it.
+let revertingConfigLockTo = null; // Our own revert write, not a tamper attempt
+
+chrome.storage.onChanged.addListener(async (changes, area) => {
+  if (area !== "local" || !changes.configLocked) return;
+  const oldValue = changes.configLocked.oldValue === true;
+  const newValue = changes.configLocked.newValue === true;
+  if (oldValue === newValue) return;
+  if (revertingConfigLockTo === newValue) {
+    revertingConfigLockTo = null;
+    return;
+  }
+
+  const { examActive } = await chrome.storage.local.get(["examActive"]);
+  if (examActive !== true) return;
+
+  console.warn("🔒 configLocked changed during an exam — reverting");
+  revertingConfigLockTo = oldValue;
+  await chrome.storage.local.set({ configLocked: oldValue });
+  logSecurityEvent({
+    kind: "config_lock_changed",
+    messageType: "configLocked",
+    origin: chrome.runtime.getURL("").replace(/\/$/, ""),
+    attemptedValue: newValue,
+  });
+});
+// ================================================
+
 // Initialize environment on service worker start
 initializeFromStorage().then(() => {
   console.log('🚀 CodeGuard Extension initialized');
   console.log(`   Current API: ${getCachedApiBaseUrl()}`);
+  updateActionTitle();
 });
 
 // Helper function to get current API URL (uses cached value)
@@ -217,83 +621,105 @@ function getApiBaseUrl() {
 }
 
 // ========== AUTO-CONFIG (learn Server URL from the web page) ==========
-// content.js runs on ALL origins, so any site can post SET_CONFIG. The gate
-// below makes that safe: never change mid-exam, honor a manual Options lock,
-// and only commit a new server after probing /health for the CodeGuard marker.
-function normalizeUrl(u) {
-  if (typeof u !== 'string') return null;
-  const trimmed = u.trim().replace(/\/$/, '');
-  try {
-    const parsed = new URL(trimmed);
-    if (!/^https?:$/.test(parsed.protocol)) return null;
-    return trimmed;
-  } catch {
-    return null;
-  }
+// Gates live in autoConfig.js; this supplies the sender's trust level and the
+// security-log / profile side effects.
+function applySetConfig(message, sender) {
+  return handleSetConfig(message, { origin: senderOrigin(sender), trusted: isTrustedOrigin(sender) }, {
+    onRefusedOrigin: (origin) => {
+      logSecurityEvent({ kind: 'message_refused', messageType: 'SET_CONFIG', origin, refusedBy: 'background' });
+    },
+    // The active profile follows what auto-config learned (the action title
+    // updates from the storage change, so a proctor can spot a wrong target)
+    onAccepted: (fields) => updateActiveProfile(fields),
+  });
 }
 
-// Probe a candidate server to confirm it is a real CodeGuard backend.
-async function isCodeGuardServer(serverUrl) {
-  try {
-    const res = await fetch(`${serverUrl}/health`, {
-      method: 'GET',
-      signal: AbortSignal.timeout(5000)
-    });
-    if (!res.ok) return false;
-    const data = await res.json().catch(() => ({}));
-    return data && data.service === 'codeguard';
-  } catch {
-    return false;
-  }
+// ========== SERVER PROFILES ==========
+// Named connection settings edited in Options. Switching copies the profile
+// over the live config keys; refused mid-exam, under managed policy, or
+// without the admin PIN.
+async function updateActiveProfile(fields) {
+  const { profiles, activeId } = await loadProfiles();
+  await saveProfiles(profiles.map(profile => profile.id === activeId ? { ...profile, ...fields } : profile));
 }
 
-async function handleSetConfig(message) {
-  const serverUrl = normalizeUrl(message.serverUrl);
-  const clientUrl = normalizeUrl(message.clientUrl);
-  if (!serverUrl) {
-    return { success: false, message: 'Invalid serverUrl' };
+async function switchProfile(profileId, pin, sender) {
+  const extensionOrigin = new URL(chrome.runtime.getURL('')).origin;
+  if (senderOrigin(sender) !== extensionOrigin) {
+    throw new MessageError(ERROR_CODES.FORBIDDEN_ORIGIN, 'Profiles can only be switched from the Options page');
   }
 
-  const { examActive, configLocked, serverUrl: currentServer } =
-    await chrome.storage.local.get(['examActive', 'configLocked', 'serverUrl']);
-
-  // Gate 1: never swap servers mid-exam.
+  const { examActive } = await chrome.storage.local.get(['examActive']);
   if (examActive === true) {
-    console.log('🔒 SET_CONFIG ignored — exam active');
-    return { success: false, message: 'Exam active — config change refused' };
+    throw new MessageError(ERROR_CODES.EXAM_ACTIVE, 'Exam active — profile switch refused');
   }
-
-  // Gate 2: a proctor's manual Options entry wins.
-  if (configLocked === true) {
-    console.log('🔒 SET_CONFIG ignored — config locked by Options');
-    return { success: false, message: 'Config locked' };
+  const managed = getManagedConfig();
+  if (managed.serverUrl || managed.clientUrl) {
+    throw new MessageError(ERROR_CODES.CONFIG_LOCKED, 'Server settings are managed by your organization');
   }
-
-  // No change → nothing to do (avoids a needless /health round-trip).
-  if (currentServer === serverUrl) {
-    if (clientUrl) { setConfiguredUrls({ clientUrl }); await saveToStorage(); }
-    return { success: true, message: 'Config unchanged' };
+  if (!(await verifyAdminPin(pin))) {
+    throw new MessageError(ERROR_CODES.ADMIN_PIN_INVALID, 'Incorrect admin PIN');
   }
 
-  // Gate 3: verify the candidate before trusting it.
-  const verified = await isCodeGuardServer(serverUrl);
-  if (!verified) {
-    console.warn(`⚠️ SET_CONFIG rejected — ${serverUrl}/health is not a CodeGuard server`);
-    return { success: false, message: 'Server verification failed' };
+  const { profiles, activeId } = await loadProfiles();
+  const profile = profiles.find(entry => entry.id === profileId);
+  if (!profile) {
+    throw new MessageError(ERROR_CODES.VALIDATION_FAILED, 'Unknown profile');
   }
 
-  setConfiguredUrls({ serverUrl, clientUrl });
-  await saveToStorage();
+  if (!profile.serverPublicKey) await chrome.storage.local.remove(['serverPublicKey']);
+  await chrome.storage.local.set({
+    serverUrl: profile.serverUrl,
+    apiBaseUrl: profile.serverUrl, // legacy key
+    clientUrl: profile.clientUrl,
+    configLocked: profile.configLocked === true,
+    ...(profile.serverPublicKey && { serverPublicKey: profile.serverPublicKey }),
+    [ACTIVE_PROFILE_KEY]: profile.id,
+  });
+  setConfiguredUrls({ serverUrl: profile.serverUrl, clientUrl: profile.clientUrl });
+
+  await auditConfigAttempt({
+    serverUrl: profile.serverUrl,
+    clientUrl: profile.clientUrl,
+    previousServerUrl: profiles.find(entry => entry.id === activeId)?.serverUrl || null,
+    origin: extensionOrigin,
+    outcome: 'accepted',
+    reason: 'profile_switch',
+    profile: profile.name,
+  });
+  console.log(`🗂️ Switched to server profile "${profile.name}" → ${profile.serverUrl}`);
+  return { profile: { id: profile.id, name: profile.name } };
+}
 
-  // Surface the learned server so a proctor can spot a wrong target.
+// The one place the toolbar title is set, so the profile and the update
+// status don't overwrite each other:
+//   "Code-Guard Proctor — <profile> (<host>)" + an update line when needed
+async function updateActionTitle() {
   try {
-    const host = new URL(serverUrl).host;
-    chrome.action.setTitle({ title: `Code-Guard Proctor — server: ${host}` });
-  } catch { /* ignore */ }
-
-  console.log(`✅ Auto-config: server learned from page → ${serverUrl}`);
-  return { success: true, message: 'Config updated', serverUrl };
+    const { profiles, activeId } = await loadProfiles();
+    const { versionDocument } = await chrome.storage.local.get(["versionDocument"]);
+    const profile = profiles.find(entry => entry.id === activeId);
+    const host = new URL(getCachedApiBaseUrl()).host;
+    const label = profile ? `${profile.name} (${host})` : `server: ${host}`;
+
+    const lines = [`Code-Guard Proctor — ${label}`];
+    const status = getVersionStatus(versionDocument);
+    if (status.updateRequired) {
+      lines.push(`Version ${status.version} is no longer supported. Please update to ${status.latestVersion || status.minVersion}.`);
+    } else if (status.updateAvailable) {
+      lines.push(`New version ${status.latestVersion} available! Please update.`);
+    }
+    await chrome.action.setTitle({ title: lines.join("\n") });
+  } catch (err) {
+    console.warn('⚠️ Failed to update action title:', err.message);
+  }
 }
+
+chrome.storage.onChanged.addListener((changes, area) => {
+  if (area !== 'local') return;
+  if (changes[PROFILES_KEY] || changes[ACTIVE_PROFILE_KEY] || changes.serverUrl) updateActionTitle();
+});
+// ======================================================================
 // ======================================================================
 
 async function getAuthHeaders(customHeaders = {}) {
@@ -305,6 +731,121 @@ async function getAuthHeaders(customHeaders = {}) {
   return headers;
 }
 
+// Upload one recorded chunk to the server. Shared by the page's UPLOAD_CHUNK
+// message and the server channel's chunk-requested event.
+async function uploadChunk(chunkIndex, requestId) {
+  try {
+    const chunk = await recordingManager.getChunkForUpload(chunkIndex);
+    
+    // Create FormData for upload
+    const formData = new FormData();
+    formData.append('recording', chunk.blob, `chunk_${chunk.chunkIndex}.webm`);
+    formData.append('roomId', chunk.roomId);
+    formData.append('studentId', chunk.studentId);
+    formData.append('chunkIndex', chunk.chunkIndex.toString());
+    formData.append('startTime', chunk.startTime);
+    formData.append('endTime', chunk.endTime);
+    formData.append('duration', chunk.duration.toString());
+    formData.append('events', JSON.stringify(chunk.events || []));
+    formData.append('requestId', requestId || '');
+    
+    console.log(`📤 Uploading chunk ${chunk.chunkIndex} (${(chunk.sizeBytes / 1024 / 1024).toFixed(2)} MB)...`);
+    
+    // Upload to server
+    const headers = await getAuthHeaders();
+    const response = await fetch(`${getApiBaseUrl()}/api/recordings/upload`, {
+      method: 'POST',
+      headers: headers,
+      body: formData
+    });
+    
+    if (!response.ok) {
+      const errorText = await response.text();
+      throw new Error(`Upload failed: ${response.status} - ${errorText}`);
+    }
+    
+    const result = await response.json();
+    
+    // Mark chunk as uploaded in IndexedDB
+    await recordingManager.markChunkUploaded(chunk.chunkId, result.url);
+    
+    console.log(`✅ Chunk ${chunk.chunkIndex} uploaded successfully:`, result.url);
+    return { success: true, ...result, chunkId: chunk.chunkId };
+  } catch (error) {
+    console.error("❌ Chunk upload error:", error);
+    return { success: false, error: error.message };
+  }
+}
+
+// ========== REAL-TIME SERVER CHANNEL ==========
+// Started on EXAM_STARTED, stopped with the rest of monitoring. Server events
+// arrive here even when the exam tab is closed.
+serverChannel.setHandlers({
+  getSession: async () => {
+    const { token, roomId, studentId, examActive } =
+      await chrome.storage.local.get(["token", "roomId", "studentId", "examActive"]);
+    return { serverUrl: getConfig().SOCKET_URL, token, roomId, studentId, examActive };
+  },
+
+  onWhitelistUpdated: async (data = {}) => {
+    const { roomId } = await chrome.storage.local.get(["roomId"]);
+    if (data.roomId && data.roomId !== roomId) return;
+    console.log("🔄 Server pushed whitelist update");
+    await fetchWhitelist(roomId);
+    await syncEnforcement();
+    notifyExamPage("whitelist-updated", { roomId });
+  },
+
+  onExamEnded: async (data = {}) => {
+    const { roomId } = await chrome.storage.local.get(["roomId"]);
+    if (data.roomId && data.roomId !== roomId) return;
+    console.log("📘 Server ended the exam");
+    await stopMonitoring();
+    await chrome.storage.local.set({ examActive: false });
+    notifyExamPage("exam-ended", { roomId });
+  },
+
+  onChunkRequested: async (data = {}) => {
+    console.log("📤 Server requested chunk:", data.chunkIndex);
+    const result = await uploadChunk(data.chunkIndex, data.requestId);
+    notifyExamPage("chunk-uploaded", { chunkIndex: data.chunkIndex, success: result.success });
+    return result;
+  },
+
+  // Mid-exam re-check: the attestation goes back as the ack
+  onIntegrityChallenge: async (data = {}) => {
+    if (typeof data.nonce !== "string" || !data.nonce) {
+      return { success: false, error: "Missing nonce" };
+    }
+    console.log("🔏 Server sent an integrity challenge");
+    return { success: true, attestation: await buildAttestation(data.nonce) };
+  },
+});
+
+// Push an extension-initiated event to the open exam page(s); content.js
+// relays it to the web app as { type: "EVENT", event, data }.
+async function notifyExamPage(event, data = null) {
+  try {
+    const clientOrigin = new URL(getClientUrl()).origin;
+    const tabs = await chrome.tabs.query({});
+    for (const tab of tabs) {
+      let origin = null;
+      try {
+        origin = new URL(tab.url).origin;
+      } catch {
+        continue;
+      }
+      if (origin !== clientOrigin) continue;
+      chrome.tabs.sendMessage(tab.id, { type: "BRIDGE_EVENT", event, data }).catch(() => {
+        // No content script in that tab (e.g. loaded before install) - ignore
+      });
+    }
+  } catch (err) {
+    console.warn(`⚠️ Failed to notify exam page of ${event}:`, err.message);
+  }
+}
+// ======================================================================
+
 // Removed automatic whitelist refresh - now updates happen via socket events
 // Whitelist is fetched once when exam starts and refreshed when examiner adds/removes sites
 
@@ -318,551 +859,771 @@ function stopWhitelistRefresh() {
   console.log("ℹ️ No whitelist refresh interval to stop");
 }
 
-// --- 1. Listen for Messages from Content Script ---
-chrome.runtime.onMessage.addListener((message, sender, sendResponse) => {
-  console.log("📨 Message received:", message.type, message);
-  
-  // ========== AUTO-DETECT ENVIRONMENT ==========
-  // Detect environment based on the sender's tab URL
-  if (sender?.tab?.url) {
-    updateEnvironmentFromUrl(sender.tab.url);
-    saveToStorage(); // Persist for service worker restart
-    console.log(`🌐 Environment detected from: ${sender.tab.url}`);
-  } else if (sender?.url) {
-    // Fallback to sender URL if tab URL not available
-    updateEnvironmentFromUrl(sender.url);
-    saveToStorage();
+// Shared teardown for END_EXAM / STOP_MONITORING. Runs before examActive is
+// cleared so the closing updates of open off-whitelist sessions still report.
+async function stopMonitoring() {
+  try {
+    await reportClosedSessions(await violationSessions.closeAll("exam_ended"));
+  } catch (err) {
+    console.error("❌ Failed to close violation sessions:", err);
   }
-  // ==============================================
   
-  if (message.type === "SET_CONFIG") {
-    handleSetConfig(message).then(sendResponse);
-    return true; // async response
+  // Stop whitelist refresh, enforcement, focus tracking, sampling and keep-alive
+  stopWhitelistRefresh();
+  stopEnforcement();
+  focusTracker.stop();
+  screenshotSampler.stop().catch((err) => {
+    console.error("❌ Failed to stop screenshot sampling:", err);
+  });
+  serverChannel.stop();
+  stopKeepAlive();
+}
+
+// ========== ENFORCEMENT MODE ==========
+// Per-room "enforce" mode turns the active whitelist into declarativeNetRequest
+// rules. Installed on EXAM_STARTED, rebuilt on REFRESH_WHITELIST, removed on
+// END_EXAM / STOP_MONITORING (or whenever the room isn't in enforce mode).
+// If the rules can't be installed (too many for Chrome, or rejected), the exam
+// falls back to monitor mode — the tab watcher still flags every visit — and
+// the proctor gets an "enforcement_failed" flag instead of silence.
+async function syncEnforcement() {
+  let enforcing = false;
+  try {
+    const { examActive, roomPolicy, whitelist } =
+      await chrome.storage.local.get(["examActive", "roomPolicy", "whitelist"]);
+
+    if (examActive === true && roomPolicy?.enforce === true && Array.isArray(whitelist)) {
+      enforcing = true;
+      // The exam web app and API server must stay reachable whatever the whitelist says
+      return await installEnforcementRules(getCompiledWhitelist(whitelist), {
+        alwaysAllow: [getClientUrl(), getApiBaseUrl()]
+      });
+    }
+    return await removeEnforcementRules();
+  } catch (err) {
+    console.error("❌ Failed to sync enforcement rules:", err);
+    if (!enforcing) return { error: err.message };
+
+    console.warn("⚠️ Enforcement unavailable — falling back to monitor mode");
+    stopEnforcement(); // Don't leave an older whitelist's rules in force
+    reportViolation({
+      illegalUrl: "enforcement_failed",
+      actionType: "enforcement_failed",
+      violationDetails: { reason: err.message, fallback: "monitor" },
+    }).catch((reportErr) => {
+      console.error("❌ Failed to report enforcement failure:", reportErr);
+    });
+    return { error: err.message, fallback: "monitor" };
   }
+}
 
-  if (message.type === "SET_TOKEN") {
-    console.log("🔑 Storing auth token in local storage:", message.token ? "present" : "absent");
-    chrome.storage.local.set({ token: message.token || null }, () => {
-      sendResponse({ success: true, message: "Token stored successfully" });
-      // Fresh token may unblock 401-queued flags — flush the offline queue
-      if (message.token && flagQueue.length > 0) {
-        setTimeout(() => syncQueuedFlags(), 500);
-      }
+function stopEnforcement() {
+  removeEnforcementRules().catch((err) => {
+    console.error("❌ Failed to remove enforcement rules:", err);
+  });
+}
+// ======================================
+
+// --- 1. Listen for Messages from Content Script ---
+// ========== MESSAGE BRIDGE POLICY ==========
+// content.js runs on every http(s) site, so sender.origin decides what a
+// message may do (content.js applies the same policy to page messages):
+//   - any origin: PING and BRIDGE_REFUSED (content.js reporting a refusal it made itself)
+//   - any origin once a server key is pinned: SET_CONFIG (auto-config
+//     bootstrap; the origin check runs in autoConfig.js, which can await
+//     the pinned key)
+//   - the configured client origin or the extension's own pages: everything else
+// Refusals are kept in a bounded security log and flagged once per
+// origin/type while an exam is active.
+const OPEN_MESSAGE_TYPES = new Set(["PING", "BRIDGE_REFUSED"]);
+const KEY_GATED_MESSAGE_TYPES = new Set(["SET_CONFIG"]);
+const SECURITY_LOG_KEY = "securityEvents";
+const SECURITY_LOG_LIMIT = 100;
+const FLAGGED_REFUSALS_LIMIT = 200;
+const flaggedRefusals = new Set(); // "origin|type" already flagged by this worker, oldest first
+
+function senderOrigin(sender) {
+  if (sender?.origin) return sender.origin;
+  try {
+    return new URL(sender?.url).origin;
+  } catch {
+    return null;
+  }
+}
+
+function isMessageAllowed(type, sender) {
+  if (sender?.id !== chrome.runtime.id) return false;
+  if (OPEN_MESSAGE_TYPES.has(type) || KEY_GATED_MESSAGE_TYPES.has(type)) return true;
+  return isTrustedOrigin(sender);
+}
+
+// The configured client origin or one of the extension's own pages
+function isTrustedOrigin(sender) {
+  const origin = senderOrigin(sender);
+  if (origin === new URL(chrome.runtime.getURL("")).origin) return true;
+  try {
+    return origin === new URL(getClientUrl()).origin;
+  } catch {
+    return false;
+  }
+}
+
+// Refused types are attacker-chosen: keep registered ones, call the rest "other"
+function refusedMessageType(type) {
+  return messageRouter.types().includes(type) ? type : "other";
+}
+
+async function logSecurityEvent(event) {
+  const entry = { ...event, at: new Date().toISOString() };
+  console.warn("🛡️ Security event:", entry);
+
+  try {
+    const { [SECURITY_LOG_KEY]: log = [] } = await chrome.storage.local.get([SECURITY_LOG_KEY]);
+    log.push(entry);
+    await chrome.storage.local.set({ [SECURITY_LOG_KEY]: log.slice(-SECURITY_LOG_LIMIT) });
+
+    const key = `${entry.origin}|${entry.messageType}`;
+    if (flaggedRefusals.has(key)) return;
+    flaggedRefusals.add(key);
+    if (flaggedRefusals.size > FLAGGED_REFUSALS_LIMIT) {
+      flaggedRefusals.delete(flaggedRefusals.values().next().value);
+    }
+    await reportViolation({
+      illegalUrl: `security_event:${entry.kind}`,
+      actionType: `security_${entry.kind}`, // e.g. security_message_refused
+      violationDetails: entry,
     });
-    return true; // Keep message channel open for async response
+  } catch (err) {
+    console.error("❌ Failed to log security event:", err);
   }
+}
+// ======================================================================
 
-  if (message.type === "START_EXAM") {
+// ========== MESSAGE ROUTER ==========
+// Every message type is registered with a schema, whether it needs an active
+// exam, and an async handler; messageRouter.js validates and wraps the result
+// in the { success, error: { code, message } } envelope.
+const messageRouter = new MessageRouter({
+  isExamActive: async () => (await chrome.storage.local.get(["examActive"])).examActive === true,
+});
+
+messageRouter.register("BRIDGE_REFUSED", {
+  schema: { attemptedType: { type: "string", maxLength: 64 } },
+  handler: async (message, sender) => {
+    logSecurityEvent({
+      kind: "message_refused",
+      messageType: refusedMessageType(message.attemptedType),
+      origin: senderOrigin(sender),
+      refusedBy: "content",
+    });
+    return {};
+  },
+});
+
+// Handshake for the web app: version, bridge protocol and capabilities (every
+// registered message type plus the background detectors/features). A page
+// that needs a newer protocol gets UPGRADE_REQUIRED and shows the update prompt.
+// Handled for content.js / Options only — not advertised to the web app
+const INTERNAL_MESSAGE_TYPES = new Set(["BRIDGE_REFUSED", "SWITCH_PROFILE"]);
+
+const BACKGROUND_CAPABILITIES = [
+  "detector:navigation",
+  "detector:enforcement",
+  "detector:focus",
+  "feature:request_ids",
+  "feature:events",
+  "feature:screenshot_pipeline",
+  "feature:screenshot_sampling",
+  "feature:server_channel",
+  "feature:heartbeat",
+  "feature:min_version",
+  "feature:integrity_attestation",
+];
+
+messageRouter.register("PING", {
+  schema: {
+    minProtocolVersion: { type: "integer", min: 1, max: 1000 },
+    roomId: FIELDS.id, // Room whose minimum version to report (defaults to the stored one)
+  },
+  handler: async (message) => {
+    const version = chrome.runtime.getManifest().version;
+    if (message.minProtocolVersion > PROTOCOL_VERSION) {
+      throw new MessageError(
+        ERROR_CODES.UPGRADE_REQUIRED,
+        `Page requires bridge protocol ${message.minProtocolVersion}; extension ${version} supports ${PROTOCOL_VERSION}`,
+        { version, protocolVersion: PROTOCOL_VERSION, minProtocolVersion: message.minProtocolVersion }
+      );
+    }
+
+    const messages = messageRouter.types()
+      .filter(type => !INTERNAL_MESSAGE_TYPES.has(type))
+      .map(type => `message:${type}`);
+    // Cached result only — PING must stay fast; the web app blocks the exam
+    // UI on versionCheck.updateRequired
+    const { roomId, versionDocument } = await chrome.storage.local.get(["roomId", "versionDocument"]);
+    return {
+      version,
+      protocolVersion: PROTOCOL_VERSION,
+      capabilities: [...BACKGROUND_CAPABILITIES, ...messages],
+      versionCheck: getVersionStatus(versionDocument, message.roomId || roomId),
+    };
+  },
+});
+
+messageRouter.register("SWITCH_PROFILE", {
+  schema: {
+    profileId: { type: "string", maxLength: 64, required: true },
+    pin: { type: "string", maxLength: 64 },
+  },
+  handler: (message, sender) => switchProfile(message.profileId, message.pin, sender),
+});
+
+messageRouter.register("SET_CONFIG", {
+  schema: {
+    serverUrl: { ...FIELDS.url, required: true },
+    clientUrl: FIELDS.url,
+  },
+  handler: (message, sender) => applySetConfig(message, sender),
+});
+
+messageRouter.register("SET_TOKEN", {
+  schema: { token: FIELDS.token },
+  handler: async (message) => {
+    console.log("🔑 Storing auth token in local storage:", message.token ? "present" : "absent");
+    await chrome.storage.local.set({ token: message.token || null });
+    // Fresh token may unblock 401-queued flags — flush the offline queue
+    // (and let a refused server channel connect)
+    if (message.token) {
+      setTimeout(() => syncQueuedFlags(), 500);
+      serverChannel.ensureConnected();
+    }
+    return { message: "Token stored successfully" };
+  },
+});
+
+messageRouter.register("START_EXAM", {
+  schema: {
+    studentId: { ...FIELDS.id, required: true },
+    roomId: { ...FIELDS.id, required: true },
+    studentName: FIELDS.name,
+    token: FIELDS.token,
+  },
+  handler: async (message, sender) => {
     console.log("📘 Exam initialization:", message);
+    await assertVersionAllowed(message.roomId);
 
     // Save all student details but DON'T start monitoring yet
     // Monitoring will only start when exam actually begins (via exam-started event)
-    chrome.storage.local.set({
+    await chrome.storage.local.set({
       studentId: message.studentId,
       studentName: message.studentName || "Unknown Student",
       roomId: message.roomId,
       token: message.token || null, // Save token if passed
       examActive: false, // Don't start monitoring until exam actually starts
-    }, () => {
-      console.log("✅ Student info saved to storage");
     });
+    console.log("✅ Student info saved to storage");
+    updateUninstallUrl({ studentId: message.studentId, roomId: message.roomId });
+
+    // Prove which build is installed before the exam begins (the server
+    // flags mismatches; never blocks the start from here)
+    attestIntegrity({ studentId: message.studentId, roomId: message.roomId });
+
+    // The tab that sent START_EXAM is the exam tab for focus tracking
+    if (sender?.tab?.id != null) {
+      focusTracker.setExamTab(sender.tab.id, sender.tab.windowId);
+    }
 
     // Fetch whitelist but don't start monitoring yet (examActive is false)
-    fetchWhitelist(message.roomId)
-      .then(() => {
-        // Don't start whitelist refresh yet - wait for EXAM_STARTED message
-        sendResponse({ success: true, message: "Student info saved, waiting for exam to start" });
-      })
-      .catch((err) => {
-        // This shouldn't happen now since fetchWhitelist has fallback, but just in case
-        console.warn("Unexpected error in fetchWhitelist:", err);
-        sendResponse({ success: true, message: "Student info saved (using default whitelist)" });
-      });
+    try {
+      await fetchWhitelist(message.roomId);
+      // Don't start whitelist refresh yet - wait for EXAM_STARTED message
+      return { message: "Student info saved, waiting for exam to start" };
+    } catch (err) {
+      // This shouldn't happen now since fetchWhitelist has fallback, but just in case
+      console.warn("Unexpected error in fetchWhitelist:", err);
+      return { message: "Student info saved (using default whitelist)" };
+    }
+  },
+});
 
-    // Return true to indicate we will send a response asynchronously
-    return true;
-  }
-  
-  if (message.type === "EXAM_STARTED") {
+messageRouter.register("EXAM_STARTED", {
+  schema: { roomId: FIELDS.id },
+  handler: async (message) => {
     console.log("📘 EXAM_STARTED message received:", message);
-    console.log("🔍 Full message object:", JSON.stringify(message, null, 2));
-    
-    // Handle async operations
-    (async () => {
-      try {
-        // Get current storage state
-        const currentState = await chrome.storage.local.get(["roomId", "studentId", "studentName", "examActive"]);
-        console.log("📋 Current storage state BEFORE update:", currentState);
-        
-        // If roomId is provided in message, use it (fallback)
-        const roomId = message.roomId || currentState.roomId;
-        
-        if (!roomId) {
-          console.error("❌ No roomId available - cannot start exam monitoring");
-          sendResponse({ success: false, message: "No roomId available", error: "Missing roomId" });
-          return;
-        }
-        
-        // Now start monitoring - exam has officially begun
-        await chrome.storage.local.set({
-          examActive: true,
-          // Ensure roomId is set if provided in message
-          ...(message.roomId && { roomId: message.roomId })
-        });
-        
-        // Verify it was set - with retry logic
-        let verify = await chrome.storage.local.get(["examActive", "roomId"]);
-        console.log("✅ examActive set to:", verify.examActive, "roomId:", verify.roomId);
-        
-        // If examActive is still not true, retry once
-        if (verify.examActive !== true) {
-          console.warn("⚠️ examActive not set correctly, retrying...");
-          await chrome.storage.local.set({ examActive: true });
-          verify = await chrome.storage.local.get(["examActive", "roomId"]);
-          console.log("✅ After retry - examActive:", verify.examActive, "roomId:", verify.roomId);
-        }
-        
-        // Fetch whitelist if not already fetched
-        if (verify.roomId) {
-          console.log("🔄 Fetching whitelist for room:", verify.roomId);
-          await fetchWhitelist(verify.roomId);
-          startWhitelistRefresh();
-        } else {
-          console.warn("⚠️ No roomId found in storage when starting exam");
-        }
-        
-        // ✅ Start service worker keep-alive to prevent idle timeout
-        startKeepAlive();
-        
-        // Final verification before sending response
-        const finalCheck = await chrome.storage.local.get(["examActive"]);
-        console.log("🔍 Final verification - examActive:", finalCheck.examActive);
-        
-        sendResponse({ 
-          success: true, 
-          message: "Monitoring started - exam is active", 
-          examActive: finalCheck.examActive,
-          verified: finalCheck.examActive === true
-        });
-      } catch (error) {
-        console.error("❌ Error handling EXAM_STARTED:", error);
-        sendResponse({ success: false, message: "Error starting monitoring", error: error.message });
-      }
-    })();
-    
-    // Return true to indicate we will send a response asynchronously
-    return true;
-  }
-  
-  if (message.type === "END_EXAM") {
+
+    // Get current storage state
+    const currentState = await chrome.storage.local.get(["roomId", "studentId", "studentName", "examActive"]);
+    console.log("📋 Current storage state BEFORE update:", currentState);
+
+    // If roomId is provided in message, use it (fallback)
+    const roomId = message.roomId || currentState.roomId;
+    if (!roomId) {
+      console.error("❌ No roomId available - cannot start exam monitoring");
+      throw new MessageError(ERROR_CODES.VALIDATION_FAILED, "No roomId available");
+    }
+    // START_EXAM just checked; reuse that answer rather than wait on the server again
+    await assertVersionAllowed(roomId, { reuseWithinMs: VERSION_CHECK_REUSE_MS });
+
+    // Now start monitoring - exam has officially begun
+    await chrome.storage.local.set({
+      examActive: true,
+      // Ensure roomId is set if provided in message
+      ...(message.roomId && { roomId: message.roomId })
+    });
+
+    // Verify it was set - with retry logic
+    let verify = await chrome.storage.local.get(["examActive", "roomId"]);
+    console.log("✅ examActive set to:", verify.examActive, "roomId:", verify.roomId);
+
+    // If examActive is still not true, retry once
+    if (verify.examActive !== true) {
+      console.warn("⚠️ examActive not set correctly, retrying...");
+      await chrome.storage.local.set({ examActive: true });
+      verify = await chrome.storage.local.get(["examActive", "roomId"]);
+      console.log("✅ After retry - examActive:", verify.examActive, "roomId:", verify.roomId);
+    }
+
+    // Fetch whitelist if not already fetched
+    if (verify.roomId) {
+      console.log("🔄 Fetching whitelist for room:", verify.roomId);
+      await fetchWhitelist(verify.roomId);
+      startWhitelistRefresh();
+      await syncEnforcement();
+
+      // Start tab/window focus tracking with the room's thresholds
+      const { roomPolicy } = await chrome.storage.local.get(["roomPolicy"]);
+      await focusTracker.start({ roomId: verify.roomId, policy: roomPolicy?.focus });
+
+      // Start randomized screenshot samples if the room enabled them
+      await screenshotSampler.start({ roomId: verify.roomId, policy: roomPolicy?.sampling });
+
+      // Listen for server events directly (survives the exam tab closing)
+      serverChannel.start();
+
+      // Wrong admin PINs since the last exam
+      await reportPinFailures();
+    } else {
+      console.warn("⚠️ No roomId found in storage when starting exam");
+    }
+
+    // ✅ Start service worker keep-alive to prevent idle timeout
+    startKeepAlive();
+
+    // Final verification before sending response
+    const finalCheck = await chrome.storage.local.get(["examActive"]);
+    console.log("🔍 Final verification - examActive:", finalCheck.examActive);
+
+    return {
+      message: "Monitoring started - exam is active",
+      examActive: finalCheck.examActive,
+      verified: finalCheck.examActive === true
+    };
+  },
+});
+
+messageRouter.register("END_EXAM", {
+  handler: async (message) => {
     console.log("📘 Exam ended:", message);
-    
+    await stopMonitoring();
+
     // Stop monitoring by clearing examActive flag
-    chrome.storage.local.set({
-      examActive: false,
-    });
-    
-    // Stop whitelist refresh and keep-alive
-    stopWhitelistRefresh();
-    stopKeepAlive();
-    
-    sendResponse({ success: true, message: "Exam ended, monitoring stopped" });
-    return true;
-  }
-  
-  if (message.type === "STOP_MONITORING") {
+    await chrome.storage.local.set({ examActive: false });
+    return { message: "Exam ended, monitoring stopped" };
+  },
+});
+
+messageRouter.register("STOP_MONITORING", {
+  handler: async () => {
     console.log("📘 Stopping monitoring");
-    
+    await stopMonitoring();
+
     // Clear all exam-related data
-    chrome.storage.local.remove(["examActive", "roomId", "studentId", "studentName"]);
-    
-    // Stop whitelist refresh and keep-alive
-    stopWhitelistRefresh();
-    stopKeepAlive();
-    
-    sendResponse({ success: true, message: "Monitoring stopped" });
-    return true;
-  }
-  
-  if (message.type === "REFRESH_WHITELIST") {
+    await chrome.storage.local.remove(["examActive", "roomId", "studentId", "studentName"]);
+    await clearScreenshotHistory();
+    updateUninstallUrl();
+    return { message: "Monitoring stopped" };
+  },
+});
+
+messageRouter.register("REFRESH_WHITELIST", {
+  schema: {
+    roomId: FIELDS.id,
+    action: { type: "string", maxLength: 32 },
+    website: { type: "string", maxLength: 2048 },
+  },
+  handler: async (message) => {
     console.log("📘 Refreshing whitelist immediately:", message);
-    
-    // Handle async operations
-    (async () => {
-      try {
-        const { roomId } = await chrome.storage.local.get(["roomId"]);
-        const targetRoomId = message.roomId || roomId;
-        
-        if (targetRoomId) {
-          console.log(`🔄 Fetching updated whitelist for room ${targetRoomId}...`);
-          await fetchWhitelist(targetRoomId);
-          console.log(`✅ Whitelist refreshed after ${message.action} ${message.website}`);
-          sendResponse({ success: true, message: "Whitelist refreshed successfully" });
-        } else {
-          console.warn("⚠️ No roomId available for whitelist refresh");
-          sendResponse({ success: false, message: "No roomId available" });
-        }
-      } catch (error) {
-        console.error("❌ Error refreshing whitelist:", error);
-        sendResponse({ success: false, message: "Error refreshing whitelist", error: error.message });
-      }
-    })();
-    
-    return true;
-  }
-  
-  // ========== SCREEN RECORDING HANDLERS ==========
-  // These handlers control full-screen recording triggered from the PiP UI
-  
-  if (message.type === "START_SCREEN_RECORDING") {
+    const { roomId } = await chrome.storage.local.get(["roomId"]);
+    const targetRoomId = message.roomId || roomId;
+
+    if (!targetRoomId) {
+      console.warn("⚠️ No roomId available for whitelist refresh");
+      throw new MessageError(ERROR_CODES.VALIDATION_FAILED, "No roomId available");
+    }
+
+    console.log(`🔄 Fetching updated whitelist for room ${targetRoomId}...`);
+    await fetchWhitelist(targetRoomId);
+    await syncEnforcement();
+    console.log(`✅ Whitelist refreshed after ${message.action} ${message.website}`);
+    return { message: "Whitelist refreshed successfully" };
+  },
+});
+
+// ========== SCREEN RECORDING HANDLERS ==========
+// These handlers control full-screen recording triggered from the PiP UI
+
+messageRouter.register("START_SCREEN_RECORDING", {
+  schema: {
+    roomId: { ...FIELDS.id, required: true },
+    studentId: { ...FIELDS.id, required: true },
+    studentName: FIELDS.name,
+    examName: FIELDS.name,
+  },
+  handler: async (message) => {
     console.log("🎬 START_SCREEN_RECORDING received:", message);
-    
-    (async () => {
-      try {
-        const { roomId, studentId, studentName, examName } = message;
-        
-        if (!roomId || !studentId) {
-          sendResponse({ success: false, error: "Missing roomId or studentId" });
-          return;
-        }
-        
-        // Start screen recording (receives chunks from website)
-        const result = await screenRecorder.startRecording(
-          { roomId, studentId, studentName, examName }
-        );
-        
-        if (result.success) {
-          // Also initialize the old recording manager for event tracking
-          await recordingManager.initRecording(roomId, studentId);
-        }
-        
-        console.log("🎬 Screen recording result:", result);
-        sendResponse(result);
-        
-      } catch (error) {
-        console.error("❌ Failed to start recording:", error);
-        sendResponse({ success: false, error: error.message });
-      }
-    })();
-    
-    return true;
-  }
-  
-  if (message.type === "STOP_SCREEN_RECORDING") {
+    const { roomId, studentId, studentName, examName } = message;
+
+    // Start screen recording (receives chunks from website)
+    const result = await screenRecorder.startRecording(
+      { roomId, studentId, studentName, examName }
+    );
+
+    if (result.success) {
+      // Also initialize the old recording manager for event tracking
+      await recordingManager.initRecording(roomId, studentId);
+    }
+
+    console.log("🎬 Screen recording result:", result);
+    return result;
+  },
+});
+
+messageRouter.register("STOP_SCREEN_RECORDING", {
+  handler: async (message) => {
     console.log("⏹️ STOP_SCREEN_RECORDING received:", message);
-    
-    (async () => {
-      try {
-        // Stop screen recorder (saves to Downloads)
-        const result = await screenRecorder.stopRecording();
-        
-        // Also stop the old recording manager for event tracking
-        await recordingManager.stopRecording();
-        
-        console.log("⏹️ Recording stopped and saved to Downloads:", result);
-        sendResponse(result);
-        
-      } catch (error) {
-        console.error("❌ Failed to stop recording:", error);
-        sendResponse({ success: false, error: error.message });
-      }
-    })();
-    
-    return true;
-  }
-  
-  if (message.type === "GET_RECORDING_STATUS") {
-    console.log("📊 GET_RECORDING_STATUS received");
-    
-    (async () => {
-      try {
-        // Get status from screen recorder
-        const status = screenRecorder.getStatus();
-        
-        sendResponse({
-          success: true,
-          ...status
-        });
-        
-      } catch (error) {
-        console.error("❌ Failed to get recording status:", error);
-        sendResponse({ success: false, error: error.message });
-      }
-    })();
-    
-    return true;
-  }
-  
-  // Handle video chunk data from website
-  if (message.type === "VIDEO_CHUNK") {
-    console.log("📹 VIDEO_CHUNK received:", message.chunkSize, "bytes");
-    
-    (async () => {
-      try {
-        // Convert base64 back to blob
-        const response = await fetch(message.dataUrl);
-        const blob = await response.blob();
-        
-        // Process the chunk
-        await screenRecorder.processVideoChunk(blob);
-        
-        sendResponse({ success: true });
-      } catch (error) {
-        console.error("❌ Failed to process video chunk:", error);
-        sendResponse({ success: false, error: error.message });
-      }
-    })();
-    
-    return true;
-  }
-  // ================================================
-  
-  if (message.type === "PASTE_VIOLATION") {
-    console.log("📘 Paste violation reported:", message);
-    
-    // Handle async operations
-    (async () => {
-      try {
-        const { studentId, roomId, violationType, details, timestamp } = message;
-        
-        if (!studentId || !roomId) {
-          console.warn("⚠️ Missing studentId or roomId for paste violation");
-          sendResponse({ success: false, message: "Missing required fields" });
-          return;
-        }
-        
-        // Get student name from storage
-        const { studentName } = await chrome.storage.local.get(["studentName"]);
-        
-        // Check if exam is active
-        const { examActive } = await chrome.storage.local.get(["examActive"]);
-        if (examActive !== true) {
-          console.log("ℹ️ Exam not active, skipping paste violation report");
-          sendResponse({ success: true, message: "Violation logged but exam not active" });
-          return;
-        }
-        
-        // Prepare payload for backend (using similar format as URL violations)
-        const payload = {
-          studentId,
-          studentName: studentName || "Unknown Student",
-          roomId,
-          illegalUrl: `paste_violation:${violationType}`, // Format: paste_violation:large_paste or paste_violation:rapid_paste
-          blockedUrl: `paste_violation:${violationType}`, // For compatibility
-          actionType: `paste_${violationType}`, // paste_large_paste or paste_rapid_paste
-          violationDetails: details, // Additional details about the violation
-          timestamp: timestamp || new Date().toISOString(),
-          screenshotData: "" // No screenshot for paste violations
-        };
-        
-        console.log("📤 Sending paste violation to backend:", payload);
-        
-        // Send to backend
-        const headers = await getAuthHeaders({ "Content-Type": "application/json" });
-        const response = await fetch(`${getApiBaseUrl()}/api/proctoring/flag`, {
-          method: "POST",
-          headers: headers,
-          body: JSON.stringify(payload),
-        });
-        
-        if (!response.ok) {
-          const errorText = await response.text();
-          console.error(`❌ Paste violation report failed (${response.status}):`, errorText);
-          sendResponse({ success: false, message: "Failed to report violation" });
-          return;
-        }
-        
-        const result = await response.json();
-        console.log(`✅ Paste violation reported:`, result.message || result);
-        sendResponse({ success: true, message: "Paste violation reported successfully" });
-      } catch (error) {
-        console.error("❌ Error handling paste violation:", error);
-        sendResponse({ success: false, message: "Error reporting violation", error: error.message });
-      }
-    })();
-    
-    return true;
-  }
-  
-  // ========== RECORDING MESSAGE HANDLERS ==========
-  
-  // Initialize recording state (called when exam starts)
-  if (message.type === "INIT_RECORDING") {
+
+    // Stop screen recorder (saves to Downloads)
+    const result = await screenRecorder.stopRecording();
+
+    // Also stop the old recording manager for event tracking
+    await recordingManager.stopRecording();
+
+    console.log("⏹️ Recording stopped and saved to Downloads:", result);
+    return result;
+  },
+});
+
+messageRouter.register("GET_RECORDING_STATUS", {
+  handler: async () => screenRecorder.getStatus(),
+});
+
+// Handle video chunk data from website
+messageRouter.register("VIDEO_CHUNK", {
+  schema: {
+    dataUrl: { ...FIELDS.dataUrl, required: true },
+    chunkSize: { type: "integer", min: 0 },
+  },
+  handler: async (message) => {
+    console.log("📹 VIDEO_CHUNK received:", message.chunkSize, "bytes");
+
+    // Convert base64 back to blob
+    const response = await fetch(message.dataUrl);
+    const blob = await response.blob();
+
+    // Process the chunk
+    await screenRecorder.processVideoChunk(blob);
+    return {};
+  },
+});
+// ================================================
+
+// Content-script detectors: paste (any page), exam-page state (hidden /
+// blur / fullscreen exit / print), copy/cut/drop and typing cadence on the
+// client origin
+const CONTENT_VIOLATION_CATEGORIES = {
+  PASTE_VIOLATION: "paste",
+  PAGE_VIOLATION: "page",
+  CLIPBOARD_VIOLATION: "clipboard",
+  TYPING_VIOLATION: "typing" // "anomaly" → actionType typing_anomaly
+};
+
+for (const [type, category] of Object.entries(CONTENT_VIOLATION_CATEGORIES)) {
+  messageRouter.register(type, {
+    schema: {
+      studentId: FIELDS.id,
+      roomId: FIELDS.id,
+      violationType: { type: "string", required: true, maxLength: 64, pattern: /^[a-z0-9_]+$/ },
+      details: FIELDS.details,
+      timestamp: FIELDS.time,
+    },
+    // No requiresExam: outside an exam reportViolation answers "skipped"
+    // (success), as PASTE_VIOLATION always has
+    handler: async (message) => {
+      console.log(`📘 ${category} violation reported:`, message);
+      return reportContentViolation(message, category);
+    },
+  });
+}
+
+// ========== RECORDING MESSAGE HANDLERS ==========
+
+// Initialize recording state (called when exam starts)
+messageRouter.register("INIT_RECORDING", {
+  schema: {
+    roomId: { ...FIELDS.id, required: true },
+    studentId: { ...FIELDS.id, required: true },
+  },
+  handler: async (message) => {
     console.log("🎬 Initializing recording state:", message);
-    
-    (async () => {
-      try {
-        const result = await recordingManager.initRecording(message.roomId, message.studentId);
-        sendResponse({ success: true, ...result });
-      } catch (error) {
-        console.error("❌ Recording init error:", error);
-        sendResponse({ success: false, error: error.message });
-      }
-    })();
-    
-    return true;
-  }
-  
-  // Add event marker to recording timeline
-  if (message.type === "ADD_RECORDING_EVENT") {
+    return recordingManager.initRecording(message.roomId, message.studentId);
+  },
+});
+
+// Add event marker to recording timeline. Markers only mean something on a
+// running exam's timeline; outside one the page gets EXAM_NOT_ACTIVE rather
+// than a success for a marker that was dropped
+messageRouter.register("ADD_RECORDING_EVENT", {
+  schema: {
+    eventType: { type: "string", required: true, maxLength: 64 },
+    details: FIELDS.details,
+  },
+  requiresExam: true,
+  handler: async (message) => {
     console.log("📌 Adding event to recording:", message);
-    
-    try {
-      const event = recordingManager.addEvent(message.eventType, message.details);
-      sendResponse({ success: true, event });
-    } catch (error) {
-      sendResponse({ success: false, error: error.message });
-    }
-    
-    return true;
-  }
-  
-  // Register a recorded chunk (called from content script after chunk is recorded)
-  if (message.type === "REGISTER_CHUNK") {
+    const event = recordingManager.addEvent(message.eventType, message.details);
+    return { event };
+  },
+});
+
+// Register a recorded chunk (called from content script after chunk is recorded)
+messageRouter.register("REGISTER_CHUNK", {
+  schema: {
+    chunkIndex: { ...FIELDS.chunkIndex, required: true },
+    blobDataUrl: { ...FIELDS.dataUrl, required: true },
+    startTime: FIELDS.time,
+    endTime: FIELDS.time,
+    duration: { type: "number", min: 0 },
+  },
+  handler: async (message) => {
     console.log("💾 Registering chunk:", message.chunkIndex);
-    
-    (async () => {
-      try {
-        // Convert base64 to blob
-        const response = await fetch(message.blobDataUrl);
-        const blob = await response.blob();
-        
-        const chunkData = await recordingManager.registerChunk(
-          message.chunkIndex,
-          message.startTime,
-          message.endTime,
-          message.duration,
-          blob
-        );
-        
-        sendResponse({ success: true, chunkId: chunkData.chunkId, sizeBytes: chunkData.sizeBytes });
-      } catch (error) {
-        console.error("❌ Chunk registration error:", error);
-        sendResponse({ success: false, error: error.message });
-      }
-    })();
-    
-    return true;
-  }
-  
-  // Stop recording
-  if (message.type === "STOP_RECORDING") {
+
+    // Convert base64 to blob
+    const response = await fetch(message.blobDataUrl);
+    const blob = await response.blob();
+
+    const chunkData = await recordingManager.registerChunk(
+      message.chunkIndex,
+      message.startTime,
+      message.endTime,
+      message.duration,
+      blob
+    );
+    return { chunkId: chunkData.chunkId, sizeBytes: chunkData.sizeBytes };
+  },
+});
+
+// Stop recording
+messageRouter.register("STOP_RECORDING", {
+  handler: async (message) => {
     console.log("⏹️ Stopping recording:", message);
-    
-    (async () => {
-      try {
-        const result = await recordingManager.stopRecording();
-        sendResponse({ success: true, ...result });
-      } catch (error) {
-        console.error("❌ Stop recording error:", error);
-        sendResponse({ success: false, error: error.message });
-      }
-    })();
-    
-    return true;
-  }
-  
-  // Get available chunks list (for examiner request)
-  if (message.type === "GET_CHUNK_LIST") {
+    return recordingManager.stopRecording();
+  },
+});
+
+// Get available chunks list (for examiner request)
+messageRouter.register("GET_CHUNK_LIST", {
+  handler: async () => {
     console.log("📋 Getting chunk list");
-    
-    (async () => {
-      try {
-        const chunks = await recordingManager.getChunkList();
-        sendResponse({ success: true, chunks });
-      } catch (error) {
-        console.error("❌ Get chunk list error:", error);
-        sendResponse({ success: false, error: error.message, chunks: [] });
-      }
-    })();
-    
-    return true;
-  }
-  
-  // Upload specific chunk (triggered by examiner request)
-  if (message.type === "UPLOAD_CHUNK") {
+    return { chunks: await recordingManager.getChunkList() };
+  },
+});
+
+// Upload specific chunk (triggered by examiner request)
+messageRouter.register("UPLOAD_CHUNK", {
+  schema: {
+    chunkIndex: { ...FIELDS.chunkIndex, required: true },
+    requestId: FIELDS.id,
+  },
+  handler: async (message) => {
     console.log("📤 Uploading chunk:", message.chunkIndex);
-    
-    (async () => {
-      try {
-        const chunk = await recordingManager.getChunkForUpload(message.chunkIndex);
-        
-        // Create FormData for upload
-        const formData = new FormData();
-        formData.append('recording', chunk.blob, `chunk_${chunk.chunkIndex}.webm`);
-        formData.append('roomId', chunk.roomId);
-        formData.append('studentId', chunk.studentId);
-        formData.append('chunkIndex', chunk.chunkIndex.toString());
-        formData.append('startTime', chunk.startTime);
-        formData.append('endTime', chunk.endTime);
-        formData.append('duration', chunk.duration.toString());
-        formData.append('events', JSON.stringify(chunk.events || []));
-        formData.append('requestId', message.requestId || '');
-        
-        console.log(`📤 Uploading chunk ${chunk.chunkIndex} (${(chunk.sizeBytes / 1024 / 1024).toFixed(2)} MB)...`);
-        
-        // Upload to server
-        const headers = await getAuthHeaders();
-        const response = await fetch(`${getApiBaseUrl()}/api/recordings/upload`, {
-          method: 'POST',
-          headers: headers,
-          body: formData
-        });
-        
-        if (!response.ok) {
-          const errorText = await response.text();
-          throw new Error(`Upload failed: ${response.status} - ${errorText}`);
-        }
-        
-        const result = await response.json();
-        
-        // Mark chunk as uploaded in IndexedDB
-        await recordingManager.markChunkUploaded(chunk.chunkId, result.url);
-        
-        console.log(`✅ Chunk ${chunk.chunkIndex} uploaded successfully:`, result.url);
-        sendResponse({ success: true, ...result, chunkId: chunk.chunkId });
-      } catch (error) {
-        console.error("❌ Chunk upload error:", error);
-        sendResponse({ success: false, error: error.message });
-      }
-    })();
-    
-    return true;
-  }
-  
-  // Schedule cleanup (called when exam ends)
-  if (message.type === "SCHEDULE_CLEANUP") {
+    return uploadChunk(message.chunkIndex, message.requestId);
+  },
+});
+
+// Schedule cleanup (called when exam ends)
+messageRouter.register("SCHEDULE_CLEANUP", {
+  schema: {
+    roomId: { ...FIELDS.id, required: true },
+    delayMs: { type: "integer", min: 0, max: 7 * 24 * 60 * 60 * 1000 },
+  },
+  handler: async (message) => {
     console.log("🗑️ Scheduling cleanup for room:", message.roomId);
-    
-    const result = recordingManager.scheduleCleanup(
-      message.roomId, 
+    return recordingManager.scheduleCleanup(
+      message.roomId,
       message.delayMs || RECORDING_CONFIG.CLEANUP_DELAY_MS
     );
-    sendResponse({ success: true, ...result });
-    return true;
-  }
-  
-  // Cancel cleanup (if examiner requests more chunks before cleanup happens)
-  if (message.type === "CANCEL_CLEANUP") {
+  },
+});
+
+// Cancel cleanup (if examiner requests more chunks before cleanup happens)
+messageRouter.register("CANCEL_CLEANUP", {
+  schema: { roomId: { ...FIELDS.id, required: true } },
+  handler: async (message) => {
     console.log("🚫 Cancelling cleanup for room:", message.roomId);
-    
-    const cancelled = recordingManager.cancelCleanup(message.roomId);
-    sendResponse({ success: true, cancelled });
-    return true;
+    return { cancelled: recordingManager.cancelCleanup(message.roomId) };
+  },
+});
+
+// Offline flag queue depth / oldest age / evictions
+messageRouter.register("GET_QUEUE_STATUS", {
+  handler: () => flagQueueStore.getStatus(),
+});
+
+// Get recording state (for debugging)
+messageRouter.register("GET_RECORDING_STATE", {
+  handler: async () => recordingManager.getState(),
+});
+// ================================================
+
+chrome.runtime.onMessage.addListener((message, sender, sendResponse) => {
+  console.log("📨 Message received:", message?.type, message?.pin ? { ...message, pin: "***" } : message);
+  
+  // ========== BRIDGE POLICY ==========
+  if (!isMessageAllowed(message?.type, sender)) {
+    logSecurityEvent({
+      kind: "message_refused",
+      messageType: refusedMessageType(message?.type),
+      origin: senderOrigin(sender),
+      refusedBy: "background",
+    });
+    sendResponse({
+      success: false,
+      error: { code: ERROR_CODES.FORBIDDEN_ORIGIN, message: "Message type not allowed from this origin" }
+    });
+    return false;
   }
+  // ==============================================
   
-  // Get recording state (for debugging)
-  if (message.type === "GET_RECORDING_STATE") {
-    const state = recordingManager.getState();
-    sendResponse({ success: true, ...state });
-    return true;
+  // ========== AUTO-DETECT ENVIRONMENT ==========
+  // Detect environment based on the sender's tab URL
+  if (sender?.tab?.url) {
+    updateEnvironmentFromUrl(sender.tab.url);
+    saveToStorage(); // Persist for service worker restart
+    console.log(`🌐 Environment detected from: ${sender.tab.url}`);
+  } else if (sender?.url) {
+    // Fallback to sender URL if tab URL not available
+    updateEnvironmentFromUrl(sender.url);
+    saveToStorage();
   }
+  // ==============================================
   
-  // Return false for messages we don't handle
-  return false;
+  messageRouter.handle(message, sender).then(sendResponse);
+  return true; // async response
 });
 
+// Report a violation detected by content.js. `category` prefixes the
+// actionType: paste_large_paste, page_tab_hidden, page_tab_hidden_end, clipboard_copy_question, ...
+async function reportContentViolation(message, category) {
+  try {
+    const { studentId, roomId, violationType, details, timestamp } = message;
+    
+    return await reportViolation({
+      illegalUrl: `${category}_violation:${violationType}`, // e.g. paste_violation:large_paste, page_violation:tab_hidden
+      actionType: `${category}_${violationType}`, // e.g. paste_large_paste, page_fullscreen_exit
+      violationDetails: details, // Additional details about the violation
+      timestamp, // Detection time from the page
+    }, { studentId, roomId });
+  } catch (error) {
+    console.error(`❌ Error handling ${category} violation:`, error);
+    return { success: false, message: "Error reporting violation", error: error.message };
+  }
+}
+
 // --- 2. Fetch Whitelist from Backend ---
+// The raw rule list is persisted (storage is JSON-only); the compiled matcher
+// set lives in memory and is rebuilt lazily after a service worker restart.
+let compiledWhitelist = null;
+let compiledWhitelistKey = null;
+
+// Normalize a whitelist entry: strings are trimmed (the rule engine handles
+// case and "www."), rule objects from the backend pass through untouched.
+function normalizeRule(entry) {
+  if (typeof entry === 'string') return entry.trim() || null;
+  if (entry && typeof entry === 'object') return entry;
+  return null;
+}
+
+function getCompiledWhitelist(whitelist) {
+  const key = JSON.stringify(whitelist || []);
+  if (!compiledWhitelist || compiledWhitelistKey !== key) {
+    compiledWhitelist = compileWhitelist(whitelist || []);
+    compiledWhitelistKey = key;
+  }
+  return compiledWhitelist;
+}
+
+// `version` is the server's whitelist version when it sends one; otherwise a
+// content hash, so heartbeats can still show which whitelist is applied.
+async function applyWhitelist(whitelist, version = null) {
+  getCompiledWhitelist(whitelist);
+  const whitelistVersion = version != null ? String(version) : await hashWhitelist(whitelist);
+  await chrome.storage.local.set({ whitelist, whitelistVersion });
+}
+
+async function hashWhitelist(whitelist) {
+  const bytes = new TextEncoder().encode(JSON.stringify(whitelist));
+  const digest = new Uint8Array(await crypto.subtle.digest("SHA-256", bytes));
+  return `sha256:${Array.from(digest.slice(0, 8), b => b.toString(16).padStart(2, "0")).join("")}`;
+}
+
+// Per-room settings that ride along with the whitelist response. Accepts
+// either `{ policy: {...} }` / `{ settings: {...} }` or top-level flags.
+// Known keys: enforce, focus (time-away thresholds), typing (cadence
+// analyzer thresholds, read by content.js from storage), screenshots
+// (screenshot pipeline size/format/dedupe settings), sampling (randomized
+// periodic screenshots: enabled, min/max interval, per-exam cap).
+// `enforce` is left unset when the room doesn't mention it, so a managed
+// default can apply.
+function extractRoomPolicy(result) {
+  const policy = (result && (result.policy || result.settings)) || {};
+  const enforceSet = [policy.enforce, policy.mode, result?.enforce, result?.mode]
+    .some(value => value !== undefined);
+  return {
+    ...policy,
+    ...(enforceSet && {
+      enforce: policy.enforce === true || policy.mode === 'enforce' ||
+        result?.enforce === true || result?.mode === 'enforce'
+    })
+  };
+}
+
+// Managed `detectorDefaults` (enterprise policy) fill in whatever the room
+// policy leaves unset; the room always wins.
+const DETECTOR_POLICY_KEYS = ['focus', 'typing', 'screenshots', 'sampling'];
+
+function withDetectorDefaults(policy, defaults = getManagedConfig().detectorDefaults) {
+  if (!defaults) return policy;
+  const merged = { ...policy };
+  for (const key of DETECTOR_POLICY_KEYS) {
+    if (defaults[key]) merged[key] = { ...defaults[key], ...(policy[key] || {}) };
+  }
+  if (merged.enforce === undefined && defaults.enforce !== undefined) {
+    merged.enforce = defaults.enforce === true;
+  }
+  return merged;
+}
+
+// A policy push takes effect without waiting for the next whitelist fetch.
+chrome.storage.onChanged.addListener(async (changes, area) => {
+  if (area !== 'managed' || !changes.detectorDefaults) return;
+  console.log('🏢 Managed detector defaults changed — re-applying room policy');
+  const { roomPolicyFromServer } = await chrome.storage.local.get(['roomPolicyFromServer']);
+  await chrome.storage.local.set({
+    roomPolicy: withDetectorDefaults(roomPolicyFromServer || {}, changes.detectorDefaults.newValue),
+  });
+  await syncEnforcement();
+});
+
 async function fetchWhitelist(roomId) {
   // Default whitelist (always included)
   const defaultWhitelist = [
@@ -879,12 +1640,7 @@ async function fetchWhitelist(roomId) {
     "ik.imagekit.io",
     "imagekit.io"
   ];
-  
-  // Normalize domain helper
-  const normalizeDomain = (domain) => {
-    if (typeof domain !== 'string') return null;
-    return domain.toLowerCase().replace(/^www\./, "").trim();
-  };
+  const normalizedDefault = defaultWhitelist.map(normalizeRule).filter(Boolean);
   
   try {
     if (!roomId) {
@@ -896,8 +1652,7 @@ async function fetchWhitelist(roomId) {
     if (!roomId) {
       console.warn("⚠️ No roomId provided, using default whitelist only");
       // Use default whitelist if no roomId
-      const normalizedDefault = defaultWhitelist.map(normalizeDomain).filter(Boolean);
-      chrome.storage.local.set({ whitelist: normalizedDefault });
+      await applyWhitelist(normalizedDefault);
       console.log("✅ Default whitelist loaded:", normalizedDefault);
       return;
     }
@@ -916,8 +1671,7 @@ async function fetchWhitelist(roomId) {
       }
       
       // Use default whitelist as fallback
-      const normalizedDefault = defaultWhitelist.map(normalizeDomain).filter(Boolean);
-      chrome.storage.local.set({ whitelist: normalizedDefault });
+      await applyWhitelist(normalizedDefault);
       console.log("✅ Default whitelist loaded:", normalizedDefault);
       return;
     }
@@ -928,8 +1682,7 @@ async function fetchWhitelist(roomId) {
     if (result.success === false) {
       console.warn("⚠️ API returned error, using default whitelist only:", result.message);
       // Use default whitelist as fallback
-      const normalizedDefault = defaultWhitelist.map(normalizeDomain).filter(Boolean);
-      chrome.storage.local.set({ whitelist: normalizedDefault });
+      await applyWhitelist(normalizedDefault);
       console.log("✅ Default whitelist loaded:", normalizedDefault);
       return;
     }
@@ -938,21 +1691,33 @@ async function fetchWhitelist(roomId) {
     // Merge with default allowed domains (Google, YouTube, Gmail, etc.)
     const backendWhitelist = result.whitelist || result.data || result;
     
-    const normalizedDefault = defaultWhitelist.map(normalizeDomain).filter(Boolean);
     const normalizedBackend = Array.isArray(backendWhitelist) 
-      ? backendWhitelist.map(normalizeDomain).filter(Boolean)
+      ? backendWhitelist.map(normalizeRule).filter(Boolean)
       : [];
     
     // Combine backend whitelist with default whitelist, removing duplicates
-    const whitelist = [...new Set([...normalizedDefault, ...normalizedBackend])];
+    // (object rules are compared by their serialized form)
+    const seen = new Set();
+    const whitelist = [...normalizedDefault, ...normalizedBackend].filter((entry) => {
+      const key = typeof entry === 'string' ? entry.toLowerCase() : JSON.stringify(entry);
+      if (seen.has(key)) return false;
+      seen.add(key);
+      return true;
+    });
     
-    chrome.storage.local.set({ whitelist });
+    await applyWhitelist(whitelist, result.whitelistVersion ?? result.version ?? null);
+    const roomName = result.roomName || result.examName || result.room?.name;
+    const roomPolicy = extractRoomPolicy(result);
+    await chrome.storage.local.set({
+      roomPolicyFromServer: roomPolicy, // Kept to re-merge when managed defaults change
+      roomPolicy: withDetectorDefaults(roomPolicy),
+      ...(roomName && { roomName })
+    });
     console.log("✅ Whitelist loaded (backend + default):", whitelist);
   } catch (err) {
     // Network error or other exception - use default whitelist as fallback
     console.warn("⚠️ Error fetching whitelist, using default whitelist only:", err.message);
-    const normalizedDefault = defaultWhitelist.map(normalizeDomain).filter(Boolean);
-    chrome.storage.local.set({ whitelist: normalizedDefault });
+    await applyWhitelist(normalizedDefault);
     console.log("✅ Default whitelist loaded:", normalizedDefault);
     // Don't throw error - we have a fallback whitelist
   }
@@ -1008,6 +1773,19 @@ chrome.tabs.onUpdated.addListener(async (tabId, changeInfo, tab) => {
   console.log("✅ Exam is active, proceeding with flag check");
 
   try {
+    // Enforcement mode redirected this navigation to our blocked page —
+    // report the original URL as a block rather than skipping it below.
+    const blockedTarget = parseBlockedPageUrl(changeInfo.url);
+    if (blockedTarget) {
+      let match = null;
+      try {
+        match = evaluateUrl(getCompiledWhitelist(whitelist), blockedTarget);
+      } catch { /* unparsable target - report without a rule */ }
+      console.log(`⛔ BLOCKED: navigation to ${blockedTarget} redirected to blocked page`);
+      await handleFlaggedSite(tab.id, blockedTarget, match, { actionType: "blocked" });
+      return;
+    }
+
     const url = new URL(changeInfo.url);
     let domain = url.hostname.toLowerCase();
     
@@ -1017,84 +1795,46 @@ chrome.tabs.onUpdated.addListener(async (tabId, changeInfo, tab) => {
     }
 
     // Allow browser search bar searches (search queries from address bar)
-    // Common search engines: Google, Bing, Yahoo, DuckDuckGo, etc.
-    const isSearchQuery = (() => {
-      const searchDomains = [
-        'google.com',
-        'google.co.in',
-        'bing.com',
-        'yahoo.com',
-        'search.yahoo.com',
-        'duckduckgo.com',
-        'yandex.com',
-        'baidu.com'
-      ];
-      
-      // Check if domain is a search engine
-      const isSearchEngine = searchDomains.some(searchDomain => {
-        return domain === searchDomain || domain.endsWith(`.${searchDomain}`);
-      });
-      
-      if (!isSearchEngine) return false;
-      
-      // Check if URL contains search query parameters
-      const searchParams = ['q', 'query', 'p', 'search', 'text', 'wd'];
-      const hasSearchParam = searchParams.some(param => url.searchParams.has(param));
-      
-      // Also check common search paths
-      const searchPaths = ['/search', '/webhp', '/'];
-      const hasSearchPath = searchPaths.some(path => url.pathname === path || url.pathname.startsWith(path));
-      
-      return hasSearchParam || (hasSearchPath && url.searchParams.toString().length > 0);
-    })();
+    const isSearch = isSearchQuery(url);
 
-    // If it's a search query, allow it without flagging
-    if (isSearchQuery) {
+    // Evaluate against the compiled rule set (deny rules beat allow rules)
+    const match = evaluateUrl(getCompiledWhitelist(whitelist), url);
+
+    // If it's a search query, allow it without flagging — unless an explicit
+    // deny rule covers it (e.g. gemini.google.com under an allowed google.com)
+    if (isSearch && match.reason !== 'matched_block_rule') {
       console.log(`✅ ALLOWED: Browser search query from ${domain}`);
+      await violationSessions.closeSession(tab.id, "returned_to_allowed").then(reportClosedSessions);
       return;
     }
 
-    // Remove www. prefix for matching
-    const domainWithoutWww = domain.replace(/^www\./, "");
-    
-    // Check if domain is whitelisted (exact match or subdomain)
-    // Note: We only check the hostname, so github.com/mrmushii will match if github.com is whitelisted
-    const isWhitelisted = whitelist.some(allowedDomain => {
-      if (!allowedDomain || typeof allowedDomain !== 'string') return false;
-      
-      const allowedDomainLower = allowedDomain.toLowerCase().replace(/^www\./, "").trim();
-      
-      // Exact match (e.g., github.com === github.com)
-      if (domainWithoutWww === allowedDomainLower) {
-        return true;
-      }
-      
-      // Subdomain match: mail.google.com should match if google.com is whitelisted
-      if (domainWithoutWww.endsWith(`.${allowedDomainLower}`)) {
-        return true;
+    console.log(`🔍 Checking ${url.href}: ${match.allowed ? 'allowed' : 'not allowed'} (${match.reason})`, match.rule || '');
+
+    // If the URL is NOT allowed, flag it (but don't block - just monitor)
+    if (!match.allowed) {
+      // Group pages on the same domain into one off-whitelist session: only
+      // the first navigation is flagged, the rest are listed when it closes
+      const { action, session, closed } = await violationSessions.recordNavigation(tab.id, changeInfo.url);
+      if (closed) {
+        reportClosedSessions(closed).catch((err) => {
+          console.error("❌ Failed to report closed violation session:", err);
+        });
       }
-      
-      // Parent domain match: google.com should match if mail.google.com is whitelisted
-      if (allowedDomainLower.endsWith(`.${domainWithoutWww}`)) {
-        return true;
+      if (action === "appended") {
+        console.log(`🧭 Still on ${session.domain} (page ${session.pageCount}) — added to session, no new flag`);
+        return;
       }
-      
-      return false;
-    });
 
-    console.log(`🔍 Checking domain: ${domain} (without www: ${domainWithoutWww}), Whitelisted: ${isWhitelisted}, Whitelist:`, whitelist);
-
-    // If the domain is NOT whitelisted, flag it (but don't block - just monitor)
-    if (!isWhitelisted) {
       console.log(`🚨 FLAGGED: Student visited non-whitelisted site: ${domain} (path: ${url.pathname})`);
       
       // Wait for page to load before taking screenshot (2 seconds delay)
       await new Promise(resolve => setTimeout(resolve, 2000));
       
       // Flag the violation (screenshot will be taken here) - but don't close the tab
-      await handleFlaggedSite(tab.id, changeInfo.url);
+      await handleFlaggedSite(tab.id, changeInfo.url, match, { sessionId: session.sessionId });
     } else {
-      console.log(`✅ ALLOWED: Student visited whitelisted site: ${domain}${url.pathname}`);
+      console.log(`✅ ALLOWED: Student visited whitelisted site: ${domain}${url.pathname} (rule: ${match.rule.source})`);
+      await violationSessions.closeSession(tab.id, "returned_to_allowed").then(reportClosedSessions);
     }
   } catch (err) {
     // ignore invalid URLs like chrome://newtab
@@ -1102,8 +1842,44 @@ chrome.tabs.onUpdated.addListener(async (tabId, changeInfo, tab) => {
   }
 });
 
+// Capture the visible tab of a window and run it through the screenshot
+// pipeline with the room's `screenshots` policy. `target` ({ url, tabId,
+// dedupe }) scopes deduplication to the captured page. Never throws: a failed
+// capture yields empty screenshotData, a failed pipeline run falls back to
+// the raw capture so the evidence isn't lost.
+async function captureScreenshot(windowId, target = {}) {
+  let dataUrl;
+  try {
+    dataUrl = await new Promise((resolve, reject) => {
+      chrome.tabs.captureVisibleTab(windowId, { format: "jpeg", quality: 92 }, (result) => {
+        if (chrome.runtime.lastError || !result) {
+          reject(new Error(chrome.runtime.lastError?.message || "Failed to capture screenshot"));
+        } else {
+          resolve(result);
+        }
+      });
+    });
+  } catch (captureErr) {
+    console.warn("⚠️ Failed to capture screenshot:", captureErr.message);
+    // Continue without screenshot - still report the violation
+    return { screenshotData: "" };
+  }
+
+  try {
+    const { roomId, roomPolicy } = await chrome.storage.local.get(["roomId", "roomPolicy"]);
+    return await processScreenshot(dataUrl, { roomId, policy: roomPolicy?.screenshots, ...target });
+  } catch (pipelineErr) {
+    console.warn("⚠️ Screenshot processing failed, sending raw capture:", pipelineErr.message);
+    return { screenshotData: dataUrl.split(",")[1] || "", screenshotMime: "image/jpeg" };
+  }
+}
+
 // --- 4. Handle the Flagging (Screenshot & API Call) ---
-async function handleFlaggedSite(tabId, blockedUrl) {
+// `match` is the rule-engine verdict for the URL; it travels with the flag so
+// the proctor can see which rule (if any) the URL hit.
+// `actionType` is "navigate" for monitored visits, "blocked" for enforced ones;
+// `sessionId` links a navigate flag to its off-whitelist session.
+async function handleFlaggedSite(tabId, blockedUrl, match = null, { actionType = "navigate", sessionId = null } = {}) {
   try {
     // ✅ Check if the tab still exists
     const tab = await new Promise((resolve) => {
@@ -1122,154 +1898,315 @@ async function handleFlaggedSite(tabId, blockedUrl) {
     // Wait a bit more to ensure page is fully loaded before screenshot
     await new Promise(resolve => setTimeout(resolve, 1000));
 
-    // ✅ Capture screenshot from tab's window
-    let screenshotData = "";
-    try {
-      const windowId = tab.windowId;
-      const screenshotDataUrl = await new Promise((resolve, reject) => {
-        chrome.tabs.captureVisibleTab(windowId, { format: "jpeg", quality: 80 }, (dataUrl) => {
-          if (chrome.runtime.lastError || !dataUrl) {
-            reject(chrome.runtime.lastError?.message || "Failed to capture screenshot");
-          } else {
-            resolve(dataUrl);
-          }
-        });
-      });
+    // ✅ Capture screenshot from tab's window (always full evidence for a new flag, never a reference)
+    const screenshot = await captureScreenshot(tab.windowId, { url: blockedUrl, tabId, dedupe: false });
 
-      // ✅ Clean the image data
-      if (screenshotDataUrl && screenshotDataUrl.includes(",")) {
-        screenshotData = screenshotDataUrl.split(",")[1];
-      } else {
-        console.warn("⚠️ Screenshot data format unexpected, using empty string");
-      }
-    } catch (screenshotErr) {
-      console.warn("⚠️ Failed to capture screenshot:", screenshotErr.message);
-      // Continue without screenshot - still report the violation
-    }
+    // Log what we're sending (without screenshot data for brevity)
+    console.log("📤 Sending flag report:", {
+      illegalUrl: blockedUrl,
+      actionType,
+      matchReason: match?.reason || null,
+      screenshotDataLength: screenshot.screenshotData.length,
+      screenshotRef: screenshot.screenshotRef || null,
+    });
 
-    // ✅ Get saved student/room details
-    const { studentId, studentName, roomId } = await chrome.storage.local.get([
-      "studentId",
-      "studentName",
-      "roomId",
-    ]);
+    // ✅ Send through the violation pipeline (stamps, checks examActive, queues offline)
+    await reportViolation({
+      illegalUrl: blockedUrl, // Backend might expect 'illegalUrl' instead of 'blockedUrl'
+      blockedUrl: blockedUrl, // Include both for compatibility
+      actionType, // "navigate" (monitored) or "blocked" (enforcement redirect)
+      matchReason: match?.reason || null, // e.g. matched_block_rule / no_matching_rule
+      matchedRule: match?.rule || null, // the deny rule that fired, if any
+      sessionId, // off-whitelist session this flag opened (closing update follows)
+      ...screenshot, // screenshotData (empty if capture failed or duplicate), thumbnail, ref, ...
+    });
+  } catch (err) {
+    console.error("❌ Error in handleFlaggedSite:", err);
+  }
+}
 
-    if (!studentId || !roomId) {
-      console.warn("⚠️ Missing student or room info, skipping report.");
-      console.warn("   studentId:", studentId, "roomId:", roomId);
-      return;
+// --- 5. Violation Pipeline ---
+// Every detector (navigation, enforcement blocks, focus, paste/page/clipboard
+// from content.js, ...) reports through reportViolation() so each signal gets
+// the same guarantees: an ID, timestamps, the examActive gate, and the offline
+// queue on network errors, 5xx or 401.
+
+/**
+ * Report a violation to the backend.
+ * @param {object} violation - flag fields (actionType, illegalUrl, violationDetails, screenshotData, ...)
+ * @param {object} [session] - studentId/roomId from the reporter; falls back to storage
+ * @returns {Promise<{ success: boolean, status: 'sent'|'queued'|'skipped'|'rejected', flagId?: string, message: string }>}
+ */
+async function reportViolation(violation, session = {}) {
+  const stored = await chrome.storage.local.get(["studentId", "studentName", "roomId", "examActive"]);
+
+  if (stored.examActive !== true) {
+    console.log(`ℹ️ Exam not active, skipping ${violation.actionType} report`);
+    return { success: true, status: "skipped", message: "Violation logged but exam not active" };
+  }
+
+  const studentId = session.studentId || stored.studentId;
+  const roomId = session.roomId || stored.roomId;
+  if (!studentId || !roomId) {
+    console.warn(`⚠️ Missing studentId or roomId for ${violation.actionType} report`);
+    return { success: false, status: "rejected", message: "Missing required fields" };
+  }
+
+  const now = new Date().toISOString();
+  const flagId = crypto.randomUUID();
+  const payload = {
+    ...violation,
+    flagId, // Client-side ID for this flag
+    idempotencyKey: flagId, // Lets the server de-duplicate replays after a lost response
+    studentId,
+    studentName: stored.studentName || "Unknown Student",
+    roomId,
+    illegalUrl: violation.illegalUrl || violation.actionType,
+    blockedUrl: violation.blockedUrl || violation.illegalUrl || violation.actionType,
+    timestamp: violation.timestamp || now, // When the detector saw it
+    reportedAt: now, // When the extension reported it
+    extensionVersion: chrome.runtime.getManifest().version,
+    screenshotData: violation.screenshotData || "", // Ensure it's not undefined
+  };
+
+  const status = await submitFlag(payload);
+  if (status !== "rejected") {
+    await chrome.storage.local.set({ lastFlagAt: now }); // Reported in heartbeats
+  }
+  return {
+    success: status !== "rejected",
+    status,
+    flagId: payload.flagId,
+    message: status === "sent" ? "Violation reported successfully"
+      : status === "queued" ? "Violation queued for retry"
+      : "Violation rejected by server"
+  };
+}
+
+// POST a flag payload to the backend. Network errors, 5xx and 401 (expired
+// token — flushed when the page posts a fresh SET_TOKEN) queue it for later.
+// @returns {Promise<'sent'|'queued'|'rejected'>}
+async function submitFlag(payload) {
+  try {
+    const headers = await getAuthHeaders({
+      "Content-Type": "application/json",
+      "Idempotency-Key": payload.idempotencyKey,
+    });
+    const response = await fetch(`${getApiBaseUrl()}/api/proctoring/flag`, {
+      method: "POST",
+      headers: headers,
+      body: JSON.stringify(payload),
+    });
+
+    if (!response.ok) {
+      const errorText = await response.text();
+      console.error(`❌ Flag report failed (${response.status}):`, errorText);
+      if (response.status >= 500 || response.status === 401) {
+        await queueFlag(payload);
+        return "queued";
+      }
+      return "rejected";
     }
+
+    const result = await response.json().catch(() => ({}));
+    console.log(`✅ [${payload.timestamp}] ${payload.actionType} flag sent:`, result.message || result);
     
-    // ✅ Double-check exam is still active before sending flag
-    const { examActive } = await chrome.storage.local.get(["examActive"]);
-    if (examActive !== true) {
-      console.log("ℹ️ Exam not active, skipping flag report");
-      return;
+    // Try to sync any queued flags since we're online
+    if ((await getQueueDepth()) > 0) {
+      setTimeout(() => syncQueuedFlags(), 1000);
     }
-    const timestamp = new Date().toISOString();
+    return "sent";
+  } catch (networkErr) {
+    // Network error - queue the flag for later
+    console.warn("📴 Network error sending flag, queuing for later:", networkErr.message);
+    await queueFlag(payload);
+    return "queued";
+  }
+}
 
-    // Prepare the payload
-    const payload = {
-      studentId,
-      studentName: studentName || "Unknown Student",
-      roomId,
-      illegalUrl: blockedUrl, // Backend might expect 'illegalUrl' instead of 'blockedUrl'
-      blockedUrl: blockedUrl, // Include both for compatibility
-      actionType: "navigate", // Explicitly mark as navigation (not search)
-      timestamp,
-      screenshotData: screenshotData || "", // Ensure it's not undefined
-    };
+// --- 6. Watch Tab / Window Focus ---
+// Switching to an already-open tab or another app never changes a URL, so the
+// tab watcher above can't see it. The focus tracker can. Focus changes also
+// close any off-whitelist session in the tab that lost focus.
+chrome.tabs.onActivated.addListener((activeInfo) => {
+  focusTracker.handleTabActivated(activeInfo);
+  violationSessions.closeOthers(activeInfo.tabId, "focus_lost").then(reportClosedSessions).catch((err) => {
+    console.error("❌ Failed to close violation sessions:", err);
+  });
+});
 
-    // Log what we're sending (without screenshot data for brevity)
-    console.log("📤 Sending flag report:", {
-      studentId: payload.studentId,
-      studentName: payload.studentName,
-      roomId: payload.roomId,
-      illegalUrl: payload.illegalUrl,
-      timestamp: payload.timestamp,
-      screenshotDataLength: payload.screenshotData ? payload.screenshotData.length : 0,
+chrome.windows.onFocusChanged.addListener((windowId) => {
+  focusTracker.handleWindowFocusChanged(windowId);
+  if (windowId === chrome.windows.WINDOW_ID_NONE) {
+    violationSessions.closeAll("focus_lost").then(reportClosedSessions).catch((err) => {
+      console.error("❌ Failed to close violation sessions:", err);
     });
+  }
+});
 
-    // ✅ Send the report to backend (with offline queue fallback)
-    try {
-      const headers = await getAuthHeaders({ "Content-Type": "application/json" });
-      const response = await fetch(`${getApiBaseUrl()}/api/proctoring/flag`, {
-        method: "POST",
-        headers: headers,
-        body: JSON.stringify(payload),
-      });
+chrome.tabs.onRemoved.addListener((tabId) => {
+  focusTracker.handleTabRemoved(tabId);
+  violationSessions.closeSession(tabId, "tab_closed").then(reportClosedSessions).catch((err) => {
+    console.error("❌ Failed to close violation sessions:", err);
+  });
+});
 
-      if (!response.ok) {
-        const errorText = await response.text();
-        console.error(`❌ Flag report failed (${response.status}):`, errorText);
-        // Queue for retry on server error (5xx) or expired token (401 —
-        // flushed when the page posts a fresh SET_TOKEN)
-        if (response.status >= 500 || response.status === 401) {
-          await queueFlag(payload);
-        }
-        return;
-      }
+focusTracker.setHandlers({
+  // Every away period goes on the recording timeline
+  onAwayEnded: (period, totals) => {
+    recordingManager.addEvent('focus_away', { ...period, totalSecondsAway: totals.secondsAway });
+  },
+  // Total or continuous time away passed the room's threshold → flag it
+  onThresholdExceeded: (kind, details) => {
+    reportFocusViolation(kind, details);
+  },
+});
 
-      const result = await response.json();
-      console.log(`✅ [${timestamp}] Flag report sent:`, result.message || result);
-      
-      // Try to sync any queued flags since we're online
-      if (flagQueue.length > 0) {
-        setTimeout(() => syncQueuedFlags(), 1000);
-      }
-    } catch (networkErr) {
-      // Network error - queue the flag for later
-      console.warn("📴 Network error sending flag, queuing for later:", networkErr.message);
-      await queueFlag(payload);
+// Send the closing update for one or more off-whitelist sessions: total dwell
+// time and every URL visited on the domain.
+async function reportClosedSessions(closed) {
+  const sessions = (Array.isArray(closed) ? closed : [closed]).filter(Boolean);
+  for (const session of sessions) {
+    try {
+      await reportViolation({
+        illegalUrl: session.firstUrl,
+        actionType: "session_end",
+        sessionId: session.sessionId,
+        dwellSeconds: Math.round(session.dwellMs / 1000),
+        violationDetails: {
+          domain: session.domain,
+          openedAt: new Date(session.openedAt).toISOString(),
+          closedAt: new Date(session.closedAt).toISOString(),
+          closeReason: session.closeReason, // returned_to_allowed / domain_changed / tab_closed / focus_lost / exam_ended
+          dwellMs: session.dwellMs,
+          pageCount: session.pageCount,
+          urls: session.urls
+        }
+      });
+    } catch (err) {
+      console.error("❌ Error reporting violation session:", err);
     }
+  }
+}
+
+async function reportFocusViolation(kind, details) {
+  try {
+    console.log(`🚨 Focus violation: ${kind}`, details);
+    await reportViolation({
+      illegalUrl: `focus_violation:${kind}`, // Same format as paste violations
+      actionType: `focus_${kind}`, // focus_total_time_away or focus_continuous_time_away
+      secondsAway: details.secondsAway, // Accumulated seconds away from the exam tab
+      violationDetails: details,
+    });
   } catch (err) {
-    console.error("❌ Error in handleFlaggedSite:", err);
+    console.error("❌ Error reporting focus violation:", err);
+  }
+}
+
+// --- 7. Periodic Screenshot Samples ---
+// Randomized captures of the focused window (screenshotSampler.js schedules
+// them), uploaded through the violation pipeline as actionType "sample".
+screenshotSampler.setHandlers({
+  onSample: takeScreenshotSample,
+});
+
+// @returns {Promise<boolean>} true if a sample was captured and reported
+async function takeScreenshotSample(sampleIndex) {
+  const [tab] = await chrome.tabs.query({ active: true, lastFocusedWindow: true });
+  if (!tab) {
+    console.warn("⚠️ No active tab to sample");
+    return false;
+  }
+
+  const screenshot = await captureScreenshot(tab.windowId, { url: tab.url || tab.pendingUrl || null, tabId: tab.id });
+  if (!screenshot.screenshotData && !screenshot.screenshotRef) {
+    return false; // Capture failed (e.g. chrome:// page) - retry at the next alarm
   }
+
+  const result = await reportViolation({
+    actionType: "sample",
+    tabUrl: tab.url || tab.pendingUrl || null, // What the student had on screen
+    tabTitle: tab.title || null,
+    sampleIndex, // 1-based count within this exam
+    ...screenshot,
+  });
+  return result.status === "sent" || result.status === "queued";
 }
 
-// --- 5. Check for Updates ---
-async function checkForUpdates() {
+// --- 8. Check for Updates ---
+// versionCheck.js describes /extension/version.json. The document is cached
+// in storage and re-fetched from the keepAlive alarm at most once per
+// interval; failed fetches are recorded so retries back off instead of
+// hitting the server on every alarm.
+const UPDATE_CHECK_TIMEOUT_MS = 10000;
+const UPDATE_CHECK_FAILURES_KEY = "versionCheckFailures";
+const VERSION_CHECK_REUSE_MS = 5 * 60 * 1000; // START_EXAM → EXAM_STARTED
+let lastVersionCheck = null; // { at, versionDoc } from the latest start-flow check
+
+async function checkForUpdates({ force = false } = {}) {
+  let versionDocument = null;
+  let failures = null;
   try {
-    const manifest = chrome.runtime.getManifest();
-    const currentVersion = manifest.version;
-    
+    ({ versionDocument, [UPDATE_CHECK_FAILURES_KEY]: failures } =
+      await chrome.storage.local.get(["versionDocument", UPDATE_CHECK_FAILURES_KEY]));
+    if (!force && !isUpdateCheckDue({ versionDocument, failures })) return versionDocument;
+
+    const currentVersion = chrome.runtime.getManifest().version;
     console.log(`🔍 Checking for updates... Current version: ${currentVersion}`);
-    
-    const response = await fetch(`${getApiBaseUrl()}/extension/version.json`);
-    if (!response.ok) return;
-    
-    const data = await response.json();
-    const latestVersion = data.version;
-    
-    if (latestVersion && latestVersion !== currentVersion) {
-      console.log(`✨ New version available: ${latestVersion}`);
-      
-      // Compare versions (simple string comparison for now, or semantic versioning if needed)
-      // Assuming semantic versioning (major.minor.patch)
-      const isNewer = (v1, v2) => {
-        const p1 = v1.split('.').map(Number);
-        const p2 = v2.split('.').map(Number);
-        for (let i = 0; i < Math.max(p1.length, p2.length); i++) {
-          const n1 = p1[i] || 0;
-          const n2 = p2[i] || 0;
-          if (n1 > n2) return true;
-          if (n1 < n2) return false;
-        }
-        return false;
-      };
 
-      if (isNewer(latestVersion, currentVersion)) {
-        chrome.action.setBadgeText({ text: "NEW" });
-        chrome.action.setBadgeBackgroundColor({ color: "#FF0000" });
-        chrome.action.setTitle({ title: `New version ${latestVersion} available! Please update.` });
-      }
+    const response = await fetch(`${getApiBaseUrl()}/extension/version.json`, {
+      signal: AbortSignal.timeout(UPDATE_CHECK_TIMEOUT_MS),
+    });
+    if (!response.ok) throw new Error(`HTTP ${response.status}`);
+
+    const versionDoc = parseVersionDocument(await response.json());
+    await chrome.storage.local.set({ versionDocument: versionDoc });
+    await chrome.storage.local.remove([UPDATE_CHECK_FAILURES_KEY]);
+
+    const status = getVersionStatus(versionDoc);
+    if (status.updateRequired) {
+      console.warn(`⛔ Version ${currentVersion} is below the minimum ${status.minVersion}`);
+      chrome.action.setBadgeText({ text: "OLD" });
+      chrome.action.setBadgeBackgroundColor({ color: "#FF0000" });
+    } else if (status.updateAvailable) {
+      console.log(`✨ New version available: ${status.latestVersion}`);
+      chrome.action.setBadgeText({ text: "NEW" });
+      chrome.action.setBadgeBackgroundColor({ color: "#FF0000" });
+    } else {
+      chrome.action.setBadgeText({ text: "" }); // Back to current (e.g. after an update)
     }
+    await updateActionTitle(); // Title text comes from the stored versionDocument
+    return versionDoc;
   } catch (error) {
-    console.warn("⚠️ Failed to check for updates:", error);
+    const count = (failures?.count || 0) + 1;
+    console.warn(`⚠️ Failed to check for updates (attempt ${count}):`, error.message);
+    await chrome.storage.local.set({ [UPDATE_CHECK_FAILURES_KEY]: { count, lastAt: Date.now() } }).catch(() => {});
+    return versionDocument || null;
+  }
+}
+
+// Refuse to begin an exam on a build below the (room's) minimum version.
+// Fetches a fresh document unless a start-flow check ran within `reuseWithinMs`
+// (even one that fell back to the stored copy), so one exam start waits on
+// the server at most once.
+async function assertVersionAllowed(roomId, { reuseWithinMs = 0 } = {}) {
+  let versionDoc;
+  if (lastVersionCheck && Date.now() - lastVersionCheck.at < reuseWithinMs) {
+    versionDoc = lastVersionCheck.versionDoc;
+  } else {
+    versionDoc = await checkForUpdates({ force: true }) ||
+      (await chrome.storage.local.get(["versionDocument"])).versionDocument;
+    lastVersionCheck = { at: Date.now(), versionDoc };
+  }
+  const status = getVersionStatus(versionDoc, roomId);
+  if (status.updateRequired) {
+    throw new MessageError(
+      ERROR_CODES.VERSION_TOO_OLD,
+      `Extension ${status.version} is below the minimum version ${status.minVersion} for this exam`,
+      { version: status.version, minVersion: status.minVersion, latestVersion: status.latestVersion }
+    );
   }
 }
 
-// Check for updates on startup
+// Check for updates on startup (later checks run from the keepAlive alarm)
 checkForUpdates();
-// Check every hour
-setInterval(checkForUpdates, 60 * 60 * 1000);
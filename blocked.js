@@ -0,0 +1,30 @@
+/**
+ * CodeGuard Proctor — "blocked during exam" page.
+ * Enforcement-mode redirects land here with the original URL in the hash;
+ * reporting is done by background.js when it sees this page load.
+ */
+
+const $ = (id) => document.getElementById(id);
+
+function readBlockedUrl() {
+  const raw = location.hash.slice(1);
+  try {
+    return decodeURIComponent(raw);
+  } catch {
+    return raw;
+  }
+}
+
+async function render() {
+  const blockedUrl = readBlockedUrl();
+  $("blockedUrl").textContent = blockedUrl || "Unknown";
+
+  try {
+    const { roomName, roomId } = await chrome.storage.local.get(["roomName", "roomId"]);
+    $("roomName").textContent = roomName || roomId || "Unknown";
+  } catch {
+    $("roomName").textContent = "Unknown";
+  }
+}
+
+render();
@@ -0,0 +1,256 @@
+/**
+ * CodeGuard Bridge SDK (for the CodeGuard web app)
+ *
+ * Promise-based wrapper around the window.postMessage bridge to the
+ * extension's content script. Import it in the web app:
+ *
+ *   import { CodeGuardBridge } from './codeguard-bridge.js';
+ *
+ *   const bridge = new CodeGuardBridge();
+ *   try {
+ *     const { versionCheck } = await bridge.ping({ roomId }); // Rejects with UPGRADE_REQUIRED if too old
+ *     if (versionCheck?.updateRequired) return showUpdateRequired(versionCheck.minVersion);
+ *     await bridge.startExam({ studentId, roomId, studentName, token });
+ *     const { chunks } = await bridge.getChunkList();
+ *   } catch (err) {
+ *     if (err.code === 'VERSION_TOO_OLD') showUpdateRequired(err.details.minVersion);
+ *     else if (err.code === 'UPGRADE_REQUIRED' || err.code === 'TIMEOUT') showInstallPrompt();
+ *   }
+ *   const off = bridge.on('exam-ended', (data) => showExamOver(data));
+ *
+ * Every request carries a requestId that the extension echoes in its reply,
+ * so concurrent calls (e.g. two uploadChunk()s) resolve independently.
+ * Failures reject with a CodeGuardBridgeError whose `code` is one of the
+ * extension's error codes (VALIDATION_FAILED, EXAM_NOT_ACTIVE,
+ * FORBIDDEN_ORIGIN, VERSION_TOO_OLD, ...) or TIMEOUT / EXTENSION_UNAVAILABLE.
+ *
+ * This file is not loaded by the extension itself.
+ */
+
+// Oldest extension bridge protocol this SDK can talk to (see messageRouter.js)
+export const REQUIRED_PROTOCOL_VERSION = 3;
+
+const TO_EXTENSION = 'CODEGUARD_EXTENSION';
+const FROM_EXTENSION = 'CODEGUARD_WEB_APP';
+
+const DEFAULT_TIMEOUT_MS = 35000; // Just above the content script's own 30s timeout
+const PING_TIMEOUT_MS = 6000; // No PONG by then → extension not installed (covers worker cold start)
+const UPLOAD_TIMEOUT_MS = 125000;
+
+export class CodeGuardBridgeError extends Error {
+  constructor(code, message, { response = null, details = null } = {}) {
+    super(message);
+    this.name = 'CodeGuardBridgeError';
+    this.code = code;
+    this.response = response; // Full extension envelope, when there was one
+    this.details = details; // The envelope's error object (e.g. version info for UPGRADE_REQUIRED)
+  }
+}
+
+let requestCounter = 0;
+
+function nextRequestId() {
+  requestCounter += 1;
+  const random = typeof crypto !== 'undefined' && crypto.randomUUID
+    ? crypto.randomUUID()
+    : Math.random().toString(36).slice(2);
+  return `cg-${requestCounter}-${random}`;
+}
+
+export class CodeGuardBridge {
+  /**
+   * @param {{ timeoutMs?: number, targetWindow?: Window }} [options]
+   */
+  constructor({ timeoutMs = DEFAULT_TIMEOUT_MS, targetWindow = window } = {}) {
+    this.timeoutMs = timeoutMs;
+    this.window = targetWindow;
+    this.pending = new Map(); // requestId → { resolve, reject, timer, type }
+    this.listeners = new Map(); // event → Set<handler>
+    this.extensionInfo = null; // { version, protocolVersion, capabilities, versionCheck } from the last PONG
+    this.onMessage = this.onMessage.bind(this);
+    this.window.addEventListener('message', this.onMessage);
+  }
+
+  // Stop listening and reject everything still in flight.
+  destroy() {
+    this.window.removeEventListener('message', this.onMessage);
+    for (const [requestId, entry] of this.pending) {
+      clearTimeout(entry.timer);
+      entry.reject(new CodeGuardBridgeError('DESTROYED', `${entry.type} cancelled`));
+      this.pending.delete(requestId);
+    }
+    this.listeners.clear();
+  }
+
+  // ========== TRANSPORT ==========
+
+  /**
+   * Send any message type and wait for its reply.
+   * @returns {Promise<object>} the extension's success envelope
+   */
+  request(type, fields = {}, { timeoutMs = this.timeoutMs } = {}) {
+    const requestId = nextRequestId();
+
+    return new Promise((resolve, reject) => {
+      const timer = setTimeout(() => {
+        this.pending.delete(requestId);
+        reject(new CodeGuardBridgeError('TIMEOUT', `${type}: no reply from the extension within ${timeoutMs}ms`));
+      }, timeoutMs);
+
+      this.pending.set(requestId, { resolve, reject, timer, type });
+      this.window.postMessage(
+        { target: TO_EXTENSION, requestId, message: { ...fields, type } },
+        this.window.location.origin
+      );
+    });
+  }
+
+  onMessage(event) {
+    if (event.source !== this.window || event.origin !== this.window.location.origin) return;
+    const data = event.data;
+    if (!data || data.target !== FROM_EXTENSION) return;
+
+    if (data.type === 'EVENT') {
+      this.emit(data.event, data.data);
+      return;
+    }
+
+    if (data.type !== 'RESPONSE' && data.type !== 'PONG') return;
+    const entry = this.pending.get(data.requestId);
+    if (!entry) return; // Not ours (or already timed out)
+
+    clearTimeout(entry.timer);
+    this.pending.delete(data.requestId);
+
+    if (data.success === false) {
+      const error = data.error || {};
+      entry.reject(new CodeGuardBridgeError(
+        error.code || 'OPERATION_FAILED',
+        error.message || `${entry.type} failed`,
+        { response: data.response || null, details: error }
+      ));
+      return;
+    }
+    entry.resolve(data.type === 'PONG' ? data : (data.response || { success: true }));
+  }
+
+  // ========== EVENTS ==========
+
+  /**
+   * Subscribe to extension-initiated notifications ('exam-ended',
+   * 'whitelist-updated', 'chunk-uploaded', ...).
+   * @returns {Function} unsubscribe
+   */
+  on(event, handler) {
+    if (!this.listeners.has(event)) this.listeners.set(event, new Set());
+    this.listeners.get(event).add(handler);
+    return () => this.listeners.get(event)?.delete(handler);
+  }
+
+  emit(event, data) {
+    for (const handler of this.listeners.get(event) || []) {
+      try {
+        handler(data);
+      } catch (err) {
+        console.error(`❌ CodeGuard bridge "${event}" handler failed:`, err);
+      }
+    }
+  }
+
+  // ========== API ==========
+
+  /**
+   * Handshake. Resolves with { version, protocolVersion, capabilities,
+   * versionCheck }; rejects with UPGRADE_REQUIRED if the extension is older
+   * than `minProtocolVersion`. On the client origin `serverUrl` doubles as
+   * auto-config; `roomId` selects the room whose minimum version
+   * versionCheck reports (when versionCheck.updateRequired, startExam() will
+   * fail with VERSION_TOO_OLD).
+   */
+  async ping({ serverUrl, roomId, minProtocolVersion = REQUIRED_PROTOCOL_VERSION, timeoutMs = PING_TIMEOUT_MS } = {}) {
+    const fields = { minProtocolVersion };
+    if (serverUrl) fields.serverUrl = serverUrl;
+    if (roomId) fields.roomId = roomId;
+    const pong = await this.request('PING', fields, { timeoutMs });
+    this.extensionInfo = {
+      version: pong.version,
+      protocolVersion: pong.protocolVersion,
+      capabilities: pong.capabilities || [],
+      versionCheck: pong.versionCheck || null,
+    };
+    return this.extensionInfo;
+  }
+
+  // e.g. supports('message:UPLOAD_CHUNK'), supports('detector:typing_cadence')
+  supports(capability) {
+    return !!this.extensionInfo?.capabilities.includes(capability);
+  }
+
+  async isAvailable() {
+    try {
+      await this.ping();
+      return true;
+    } catch {
+      return false;
+    }
+  }
+
+  setConfig(serverUrl) {
+    return this.request('SET_CONFIG', { serverUrl });
+  }
+
+  setToken(token) {
+    return this.request('SET_TOKEN', { token });
+  }
+
+  startExam({ studentId, roomId, studentName, token } = {}) {
+    return this.request('START_EXAM', { studentId, roomId, studentName, token });
+  }
+
+  examStarted(roomId) {
+    return this.request('EXAM_STARTED', { roomId });
+  }
+
+  endExam() {
+    return this.request('END_EXAM');
+  }
+
+  stopMonitoring() {
+    return this.request('STOP_MONITORING');
+  }
+
+  refreshWhitelist({ roomId, action, website } = {}) {
+    return this.request('REFRESH_WHITELIST', { roomId, action, website });
+  }
+
+  getChunkList() {
+    return this.request('GET_CHUNK_LIST');
+  }
+
+  // `examinerRequestId` is the proctor's chunk request, forwarded to the server
+  uploadChunk(chunkIndex, { examinerRequestId } = {}) {
+    return this.request(
+      'UPLOAD_CHUNK',
+      { chunkIndex, requestId: examinerRequestId },
+      { timeoutMs: UPLOAD_TIMEOUT_MS }
+    );
+  }
+
+  scheduleCleanup(roomId, delayMs) {
+    return this.request('SCHEDULE_CLEANUP', { roomId, delayMs });
+  }
+
+  cancelCleanup(roomId) {
+    return this.request('CANCEL_CLEANUP', { roomId });
+  }
+
+  getQueueStatus() {
+    return this.request('GET_QUEUE_STATUS');
+  }
+
+  getRecordingStatus() {
+    return this.request('GET_RECORDING_STATUS');
+  }
+}
+
+export default CodeGuardBridge;
@@ -6,6 +6,10 @@
  * against localhost, a LAN server (e.g. http://192.168.1.50:3000), or a cloud
  * deployment — without rebuilding. Falls back to localhost for development.
  *
+ * Lab deployments can push the same settings as enterprise policy
+ * (chrome.storage.managed, see managed_schema.json). Managed values win over
+ * anything stored locally and are applied live when the policy changes.
+ *
  * All previously hardcoded Render/Vercel production URLs have been removed.
  */
 
@@ -20,6 +24,12 @@ const DEFAULT_CONFIG = {
 // Back-compat alias (some callers still import DEV_CONFIG semantics).
 const DEV_CONFIG = DEFAULT_CONFIG;
 
+// Server identity key baked into a release build (PEM, ECDSA P-256). When set —
+// here or as `serverPublicKey` from the Options page, which wins — auto-config
+// only accepts servers that sign a nonce with the matching private key
+// (see serverIdentity.js). Null = fall back to the /health marker check.
+const PINNED_SERVER_PUBLIC_KEY = null;
+
 // ========== Environment Detection ==========
 
 export function isDevEnvironment(url) {
@@ -77,27 +87,58 @@ export function getClientUrl() {
  * Updates the in-memory cache; callers persist via saveToStorage().
  */
 export function setConfiguredUrls({ serverUrl, clientUrl } = {}) {
-  if (serverUrl) cachedApiBaseUrl = serverUrl;
-  if (clientUrl) storedClientUrl = clientUrl;
+  if (serverUrl && !managedConfig.serverUrl) cachedApiBaseUrl = serverUrl;
+  if (clientUrl && !managedConfig.clientUrl) storedClientUrl = clientUrl;
   cachedEnvironment = 'configured';
 }
 
+// ========== Managed Policy (chrome.storage.managed) ==========
+
+export const MANAGED_KEYS = ['serverUrl', 'clientUrl', 'configLocked', 'serverPublicKey', 'detectorDefaults'];
+
+let managedConfig = {};
+
+async function loadManagedConfig() {
+  try {
+    managedConfig = await chrome.storage.managed.get(MANAGED_KEYS);
+  } catch {
+    managedConfig = {}; // No policy installed (or unsupported platform)
+  }
+}
+
+// Policy-set values only (missing keys aren't managed).
+export function getManagedConfig() {
+  return { ...managedConfig };
+}
+
 // ========== Storage (proctor-configured URLs) ==========
 
+// Pinned server public key: policy first, then Options, then the build's key.
+export async function getPinnedServerKey() {
+  if (managedConfig.serverPublicKey) return managedConfig.serverPublicKey;
+  try {
+    const { serverPublicKey } = await chrome.storage.local.get(['serverPublicKey']);
+    return serverPublicKey || PINNED_SERVER_PUBLIC_KEY;
+  } catch {
+    return PINNED_SERVER_PUBLIC_KEY;
+  }
+}
+
 /**
- * Load Server/Client URLs saved by the Options page. Keys:
+ * Load Server/Client URLs from managed policy, then the Options page. Keys:
  *   serverUrl  → API + Socket base
  *   clientUrl  → the CodeGuard web app origin (used to gate content.js)
  * Also honors the legacy `apiBaseUrl` key.
  */
 export async function initializeFromStorage() {
+  await loadManagedConfig();
   try {
     const stored = await chrome.storage.local.get(['serverUrl', 'clientUrl', 'apiBaseUrl', 'environment']);
-    if (stored.serverUrl) cachedApiBaseUrl = stored.serverUrl;
-    else if (stored.apiBaseUrl) cachedApiBaseUrl = stored.apiBaseUrl;
-    if (stored.clientUrl) storedClientUrl = stored.clientUrl;
+    cachedApiBaseUrl = managedConfig.serverUrl || stored.serverUrl || stored.apiBaseUrl || DEFAULT_CONFIG.API_BASE_URL;
+    storedClientUrl = managedConfig.clientUrl || stored.clientUrl || DEFAULT_CONFIG.CLIENT_URL;
     if (stored.environment) cachedEnvironment = stored.environment;
-    console.log(`📦 CodeGuard config loaded — server: ${cachedApiBaseUrl}, client: ${storedClientUrl}`);
+    if (managedConfig.serverUrl) cachedEnvironment = 'managed';
+    console.log(`📦 CodeGuard config loaded — server: ${cachedApiBaseUrl}, client: ${storedClientUrl}${managedConfig.serverUrl ? ' (managed)' : ''}`);
   } catch (err) {
     console.warn('⚠️ Could not load extension config from storage:', err.message);
   }
@@ -105,10 +146,11 @@ export async function initializeFromStorage() {
 
 export async function saveToStorage() {
   try {
+    // Managed values stay in policy; copying them into local storage would
+    // outlive the policy if the admin removes it.
     await chrome.storage.local.set({
-      serverUrl: cachedApiBaseUrl,
-      clientUrl: storedClientUrl,
-      apiBaseUrl: cachedApiBaseUrl, // legacy key
+      ...(!managedConfig.serverUrl && { serverUrl: cachedApiBaseUrl, apiBaseUrl: cachedApiBaseUrl }), // apiBaseUrl = legacy key
+      ...(!managedConfig.clientUrl && { clientUrl: storedClientUrl }),
       environment: cachedEnvironment,
     });
   } catch (err) {
@@ -116,12 +158,17 @@ export async function saveToStorage() {
   }
 }
 
-// React to Options-page changes without needing a reload.
+// React to Options-page and policy changes without needing a reload.
 if (typeof chrome !== 'undefined' && chrome.storage?.onChanged) {
   chrome.storage.onChanged.addListener((changes, area) => {
+    if (area === 'managed') {
+      // Re-resolve everything: a removed policy value falls back to local
+      initializeFromStorage();
+      return;
+    }
     if (area !== 'local') return;
-    if (changes.serverUrl?.newValue) cachedApiBaseUrl = changes.serverUrl.newValue;
-    if (changes.clientUrl?.newValue) storedClientUrl = changes.clientUrl.newValue;
+    if (changes.serverUrl?.newValue && !managedConfig.serverUrl) cachedApiBaseUrl = changes.serverUrl.newValue;
+    if (changes.clientUrl?.newValue && !managedConfig.clientUrl) storedClientUrl = changes.clientUrl.newValue;
   });
 }
 
@@ -138,6 +185,9 @@ export default {
   getCachedEnvironment,
   getClientUrl,
   setConfiguredUrls,
+  getPinnedServerKey,
+  getManagedConfig,
+  MANAGED_KEYS,
   initializeFromStorage,
   saveToStorage,
   CONFIG,
@@ -52,12 +52,48 @@ function safeSendMessage(message, callback) {
   }
 }
 
+// ========== EXAM PAGE DETECTION ==========
+// Exam-page detectors, session start and the privileged part of the message
+// bridge only run on the configured client origin (the CodeGuard web app),
+// read from the same storage key config.js uses.
+let isExamPage = false;
+
+function updateExamPageFlag(clientUrl) {
+  try {
+    isExamPage = !!clientUrl && new URL(clientUrl).origin === window.location.origin;
+  } catch {
+    isExamPage = false;
+  }
+}
+
+// Resolves once isExamPage is known, so early page messages aren't refused
+const examPageChecked = new Promise((resolve) => {
+  if (!isExtensionContextValid() || !chrome.storage?.local) {
+    resolve();
+    return;
+  }
+  chrome.storage.local.get(["clientUrl"], ({ clientUrl }) => {
+    updateExamPageFlag(clientUrl || "http://localhost:5173");
+    if (isExamPage) console.log("🖥️ Exam page detected - exam-page detectors enabled");
+    resolve();
+  });
+  chrome.storage.onChanged.addListener((changes, area) => {
+    if (area === "local" && changes.clientUrl?.newValue) {
+      updateExamPageFlag(changes.clientUrl.newValue);
+    }
+  });
+});
+// ===================================================
+
 // ========== ENHANCED SESSION MONITORING ==========
 // Track last known session state to detect changes
 let lastSessionState = { studentId: null, roomId: null };
 let sessionMonitorInterval = null;
 
 function attemptStart() {
+  // Session data from any other site's sessionStorage is not ours to report
+  if (!isExamPage) return false;
+
   console.log("Attempting to get session data...");
 
   const studentId = sessionStorage.getItem("studentId");
@@ -129,8 +165,168 @@ function startSessionMonitor() {
 startSessionMonitor();
 // ===================================================
 
+// ========== BRIDGE POLICY ==========
+// This script runs on every http(s) site. Only the configured client origin may
+// drive the extension; other sites get PING (availability check) only.
+// SET_CONFIG from another origin is passed through for background.js to
+// decide: it accepts it only when a server key is pinned (the packaged key
+// isn't visible from here). Violation reports come from this script's own
+// detectors, never from page messages. background.js enforces the same
+// policy on sender.origin.
+const OPEN_BRIDGE_TYPES = ["PING"];
+const KEY_GATED_BRIDGE_TYPES = ["SET_CONFIG"];
+const DETECTOR_ONLY_TYPES = ["PASTE_VIOLATION", "PAGE_VIOLATION", "CLIPBOARD_VIOLATION", "TYPING_VIOLATION", "BRIDGE_REFUSED"];
+
+function isBridgeMessageAllowed(type) {
+  if (DETECTOR_ONLY_TYPES.includes(type)) return false;
+  return isExamPage || OPEN_BRIDGE_TYPES.includes(type) || KEY_GATED_BRIDGE_TYPES.includes(type);
+}
+
+// A page can post any number of messages with any type, so refusals are
+// reported at most REFUSAL_REPORTS_PER_WINDOW times per window, and the type
+// only when it looks like a message type (background.js narrows it further to
+// the registered types).
+const REFUSAL_REPORT_WINDOW_MS = 60000;
+const REFUSAL_REPORTS_PER_WINDOW = 10;
+let refusalWindowStart = 0;
+let refusalReportsInWindow = 0;
+
+function shouldReportRefusal() {
+  const now = Date.now();
+  if (now - refusalWindowStart > REFUSAL_REPORT_WINDOW_MS) {
+    refusalWindowStart = now;
+    refusalReportsInWindow = 0;
+  }
+  refusalReportsInWindow++;
+  return refusalReportsInWindow <= REFUSAL_REPORTS_PER_WINDOW;
+}
+
+function refusalType(type) {
+  return typeof type === "string" && /^[A-Z][A-Z0-9_]{0,63}$/.test(type) ? type : "other";
+}
+
+// Tell the page no, and log the attempt as a security event in background
+function refuseBridgeMessage(type, requestId) {
+  if (shouldReportRefusal()) {
+    console.warn(`🛡️ Refused ${refusalType(type)} from ${window.location.origin} - not allowed for this origin`);
+    safeSendMessage({
+      type: "BRIDGE_REFUSED",
+      attemptedType: refusalType(type),
+      isExamPage
+    });
+  }
+  replyToPage(requestId, type, {
+    success: false,
+    error: { code: "FORBIDDEN_ORIGIN", message: "Message type not allowed from this origin" }
+  });
+}
+// ===================================================
+
+// ========== BRIDGE REPLIES ==========
+// Every reply echoes the page's requestId (sent next to `message`, not inside
+// it, so it can't collide with message fields like UPLOAD_CHUNK's requestId).
+// Replies use the background's { success, error: { code, message } } envelope;
+// bridge-level failures use EXTENSION_UNAVAILABLE and TIMEOUT.
+const BRIDGE_TIMEOUT_MS = 30000;
+const BRIDGE_TIMEOUTS_MS = {
+  PING: 5000, // Pages use PING to detect the extension - fail fast
+  UPLOAD_CHUNK: 120000, // Chunk uploads can be tens of MB
+  REGISTER_CHUNK: 60000,
+  VIDEO_CHUNK: 60000,
+  EXAM_STARTED: 60000 // Fetches the whitelist and installs enforcement rules
+};
+
+function replyToPage(requestId, originalType, fields) {
+  window.postMessage({
+    target: "CODEGUARD_WEB_APP",
+    type: "RESPONSE",
+    requestId,
+    originalType,
+    ...fields
+  }, window.location.origin);
+}
+
+// Forward to background and reply to the page exactly once: with the
+// background's envelope, or with an error if it is unreachable or too slow.
+// `reply` posts the fields to the page (a RESPONSE unless overridden).
+function forwardToBackground(message, requestId, reply = (fields) => replyToPage(requestId, message.type, fields)) {
+  let settled = false;
+  const timeoutMs = BRIDGE_TIMEOUTS_MS[message.type] || BRIDGE_TIMEOUT_MS;
+  const timer = setTimeout(() => {
+    if (settled) return;
+    settled = true;
+    console.warn(`⏱️ ${message.type} timed out after ${timeoutMs}ms`);
+    reply({
+      success: false,
+      error: { code: "TIMEOUT", message: `No reply from extension within ${timeoutMs}ms` }
+    });
+  }, timeoutMs);
+
+  safeSendMessage(message, (result) => {
+    if (settled) return; // Already timed out
+    settled = true;
+    clearTimeout(timer);
+
+    if (result.success) {
+      console.log(`✅ ${message.type} forwarded successfully, response:`, result.response);
+      reply({
+        success: result.response?.success !== false,
+        error: result.response?.error || null,
+        response: result.response
+      });
+    } else {
+      // The extension itself is unreachable (e.g. context invalidated)
+      console.error(`❌ Error forwarding ${message.type}:`, result.error);
+      reply({
+        success: false,
+        error: { code: "EXTENSION_UNAVAILABLE", message: result.error }
+      });
+    }
+  });
+}
+
+// PONG = background's version/protocol/capabilities (or UPGRADE_REQUIRED when
+// the page's minProtocolVersion is too new) plus the detectors this script
+// runs on the current page.
+const EXAM_PAGE_DETECTORS = ["paste", "page_state", "clipboard", "typing_cadence"];
+
+function answerPing(message, requestId) {
+  const ping = { type: "PING" };
+  if (message.minProtocolVersion !== undefined) ping.minProtocolVersion = message.minProtocolVersion;
+  if (message.roomId !== undefined) ping.roomId = message.roomId;
+
+  forwardToBackground(ping, requestId, ({ response, ...fields }) => {
+    const detectors = isExamPage ? EXAM_PAGE_DETECTORS.map(name => `detector:${name}`) : [];
+    window.postMessage({
+      target: "CODEGUARD_WEB_APP",
+      type: "PONG",
+      requestId,
+      ...fields,
+      version: response?.version ?? fields.error?.version ?? null,
+      protocolVersion: response?.protocolVersion ?? fields.error?.protocolVersion ?? null,
+      capabilities: response?.capabilities ? [...response.capabilities, ...detectors] : [],
+      versionCheck: response?.versionCheck ?? null
+    }, window.location.origin);
+  });
+}
+
+// Extension-initiated notifications (exam ended by the server, whitelist
+// updated, ...) are relayed to the exam page as EVENT messages.
+if (isExtensionContextValid()) {
+  chrome.runtime.onMessage.addListener((message) => {
+    if (message?.type !== "BRIDGE_EVENT" || !isExamPage) return;
+    window.postMessage({
+      target: "CODEGUARD_WEB_APP",
+      type: "EVENT",
+      event: message.event,
+      data: message.data ?? null
+    }, window.location.origin);
+  });
+}
+// ===================================================
+
 // Listen for messages from the web page (React app)
-window.addEventListener("message", (event) => {
+window.addEventListener("message", async (event) => {
   // Only accept messages from the same origin
   if (event.origin !== window.location.origin) {
     console.log("⚠️ Ignoring message from different origin:", event.origin);
@@ -139,24 +335,42 @@ window.addEventListener("message", (event) => {
 
   // Check if this is a message for the extension
   if (event.data && event.data.target === "CODEGUARD_EXTENSION") {
+    await examPageChecked;
     console.log("📨 Content script received message from page:", event.data);
 
-    // Handle PING message directly (for extension availability check)
     const message = event.data.message;
-    if (message && message.type === "PING") {
+    const requestId = typeof event.data.requestId === "string"
+      ? event.data.requestId.slice(0, 128)
+      : null;
+
+    if (!message || typeof message.type !== "string") {
+      console.warn("⚠️ Received message without type:", event.data);
+      replyToPage(requestId, null, {
+        success: false,
+        error: { code: "INVALID_MESSAGE", message: "Message must have a string \"type\"" }
+      });
+      return;
+    }
+
+    // Handle PING (extension availability check + capability handshake)
+    if (message.type === "PING") {
       console.log("🏓 Received PING, responding with PONG");
-      // The PING may carry the page's Server URL — treat it as auto-config too.
-      if (message.serverUrl) {
+      // On the exam page the PING may carry the Server URL — treat it as
+      // auto-config too. Other origins must send an explicit SET_CONFIG.
+      if (message.serverUrl && isExamPage) {
         safeSendMessage({
           type: "SET_CONFIG",
           serverUrl: message.serverUrl,
           clientUrl: event.origin
         });
       }
-      window.postMessage({
-        target: "CODEGUARD_WEB_APP",
-        type: "PONG"
-      }, window.location.origin);
+      answerPing(message, requestId);
+      return;
+    }
+
+    // Everything past this point needs the exam page (see BRIDGE POLICY)
+    if (!isBridgeMessageAllowed(message.type)) {
+      refuseBridgeMessage(message.type, requestId);
       return;
     }
 
@@ -164,71 +378,18 @@ window.addEventListener("message", (event) => {
     // so proctors don't have to type it into Options on every lab machine).
     // clientUrl is taken from event.origin here — the trusted page origin — not
     // from the page payload, so a page can only claim its own origin.
-    if (message && message.type === "SET_CONFIG") {
+    if (message.type === "SET_CONFIG") {
       console.log("⚙️ Received SET_CONFIG from page, forwarding to background...");
-      safeSendMessage(
-        {
-          type: "SET_CONFIG",
-          serverUrl: message.serverUrl,
-          clientUrl: event.origin
-        },
-        (result) => {
-          if (result.success) {
-            console.log("⚙️ Config forwarded to background:", result.response);
-          } else {
-            console.warn("⚠️ Config forward failed:", result.error);
-          }
-        }
-      );
+      forwardToBackground({
+        type: "SET_CONFIG",
+        serverUrl: message.serverUrl,
+        clientUrl: event.origin
+      }, requestId);
       return;
     }
 
-    // Handle SET_TOKEN message directly (sync token to background.js)
-    if (message && message.type === "SET_TOKEN") {
-      console.log("🔑 Received SET_TOKEN from page, forwarding to background...");
-      safeSendMessage(message, (result) => {
-        if (result.success) {
-          console.log("🔑 Token synced to background script");
-        } else {
-          console.error("❌ Token sync failed:", result.error);
-        }
-      });
-      return;
-    }
-    
-    if (message && message.type) {
-      console.log(`📤 Forwarding ${message.type} to background script...`);
-      console.log(`🔍 Full message payload:`, JSON.stringify(message, null, 2));
-      
-      // Use safeSendMessage to handle context invalidation gracefully
-      safeSendMessage(message, (result) => {
-        if (result.success) {
-          console.log("✅ Message forwarded successfully, response:", result.response);
-          
-          // Send success response back to page
-          window.postMessage({
-            target: "CODEGUARD_WEB_APP",
-            type: "RESPONSE",
-            originalType: message.type,
-            success: true,
-            response: result.response
-          }, window.location.origin);
-        } else {
-          console.error("❌ Error forwarding message:", result.error);
-          
-          // Send error response back to page
-          window.postMessage({
-            target: "CODEGUARD_WEB_APP",
-            type: "RESPONSE",
-            originalType: message.type,
-            success: false,
-            error: result.error
-          }, window.location.origin);
-        }
-      });
-    } else {
-      console.warn("⚠️ Received message without type:", event.data);
-    }
+    console.log(`📤 Forwarding ${message.type} to background script...`);
+    forwardToBackground(message, requestId);
   }
 });
 
@@ -240,22 +401,20 @@ const LARGE_PASTE_THRESHOLD = 1000; // characters
 const RAPID_PASTE_WINDOW = 5000; // 5 seconds
 const RAPID_PASTE_COUNT = 3;
 
-// Function to report paste violations
-function reportPasteViolation(violationType, details) {
-  console.log(`🚨 Paste violation detected: ${violationType}`, details);
-  
+// Send a typed violation message (PASTE_VIOLATION, PAGE_VIOLATION, ...) to background
+function sendViolation(messageType, violationType, details) {
   // Get student info from sessionStorage
   const studentId = sessionStorage.getItem("studentId");
   const roomId = sessionStorage.getItem("roomId");
   
   if (!studentId || !roomId) {
-    console.warn("⚠️ Cannot report paste violation - missing studentId or roomId");
+    console.warn(`⚠️ Cannot report ${messageType} - missing studentId or roomId`);
     return;
   }
   
   // Send violation to background script using safe sender
   safeSendMessage({
-    type: "PASTE_VIOLATION",
+    type: messageType,
     studentId,
     roomId,
     violationType,
@@ -263,13 +422,19 @@ function reportPasteViolation(violationType, details) {
     timestamp: new Date().toISOString()
   }, (result) => {
     if (result.success) {
-      console.log("✅ Paste violation reported:", result.response);
+      console.log(`✅ ${messageType} (${violationType}) reported:`, result.response);
     } else {
-      console.error("❌ Error reporting paste violation:", result.error);
+      console.error(`❌ Error reporting ${messageType} (${violationType}):`, result.error);
     }
   });
 }
 
+// Function to report paste violations
+function reportPasteViolation(violationType, details) {
+  console.log(`🚨 Paste violation detected: ${violationType}`, details);
+  sendViolation("PASTE_VIOLATION", violationType, details);
+}
+
 // Monitor paste events
 document.addEventListener('paste', (e) => {
   try {
@@ -314,8 +479,342 @@ document.addEventListener('keydown', (e) => {
   }
 }, true);
 
+// ========== COPY / CUT / DROP / CONTEXT MENU ==========
+// Copying the exam question out (to paste into an AI tool) is the common
+// pattern. The exam page marks question regions with QUESTION_ATTR; we report
+// how much of the copied text came from them — sizes only, never the text.
+const QUESTION_ATTR = "data-exam-question";
+const QUESTION_SELECTOR = `[${QUESTION_ATTR}]`;
+const LARGE_COPY_THRESHOLD = 200; // characters of non-question text worth reporting
+const MIN_QUESTION_CHARS = 10; // ignore accidental few-character question selections
+
+// Measure how much of the current selection lies inside question regions.
+function measureQuestionOverlap() {
+  const result = { size: 0, questionChars: 0, questionIds: [] };
+  const active = document.activeElement;
+
+  // Selections inside inputs/textareas don't appear in getSelection() ranges
+  if (active && (active.tagName === "TEXTAREA" || active.tagName === "INPUT") &&
+      typeof active.selectionStart === "number") {
+    result.size = Math.max(0, active.selectionEnd - active.selectionStart);
+    const region = active.closest(QUESTION_SELECTOR);
+    if (region) {
+      result.questionChars = result.size;
+      result.questionIds.push(region.getAttribute(QUESTION_ATTR) || "");
+    }
+    return result;
+  }
+
+  const selection = window.getSelection();
+  if (!selection || selection.rangeCount === 0) return result;
+  result.size = selection.toString().length;
+
+  const regions = document.querySelectorAll(QUESTION_SELECTOR);
+  for (let i = 0; i < selection.rangeCount; i++) {
+    const range = selection.getRangeAt(i);
+    regions.forEach((region) => {
+      if (!range.intersectsNode(region)) return;
+      // Clip the region's range to the selection and count its characters
+      const overlap = document.createRange();
+      overlap.selectNodeContents(region);
+      if (range.compareBoundaryPoints(Range.START_TO_START, overlap) > 0) {
+        overlap.setStart(range.startContainer, range.startOffset);
+      }
+      if (range.compareBoundaryPoints(Range.END_TO_END, overlap) < 0) {
+        overlap.setEnd(range.endContainer, range.endOffset);
+      }
+      const chars = overlap.toString().length;
+      if (chars > 0) {
+        result.questionChars += chars;
+        result.questionIds.push(region.getAttribute(QUESTION_ATTR) || "");
+      }
+    });
+  }
+  result.questionIds = [...new Set(result.questionIds)];
+  return result;
+}
+
+function reportClipboardViolation(violationType, details) {
+  if (!isExamPage) return;
+  console.log(`🚨 Clipboard violation detected: ${violationType}`, details);
+  sendViolation("CLIPBOARD_VIOLATION", violationType, details);
+}
+
+function handleCopyOrCut(e) {
+  try {
+    const overlap = measureQuestionOverlap();
+    if (overlap.size === 0) return;
+    console.log(`📋 ${e.type} event detected, size: ${overlap.size} characters (${overlap.questionChars} from question)`);
+
+    const details = {
+      size: overlap.size,
+      questionChars: overlap.questionChars,
+      overlapRatio: +(overlap.questionChars / overlap.size).toFixed(2),
+      questionIds: overlap.questionIds
+    };
+
+    if (overlap.questionChars >= MIN_QUESTION_CHARS) {
+      reportClipboardViolation(`${e.type}_question`, details);
+    } else if (overlap.size > LARGE_COPY_THRESHOLD) {
+      reportClipboardViolation(`${e.type}_text`, details);
+    }
+  } catch (err) {
+    console.error(`❌ Error handling ${e.type} event:`, err);
+  }
+}
+
+document.addEventListener('copy', handleCopyOrCut, true);
+document.addEventListener('cut', handleCopyOrCut, true);
+
+// Text or files dragged in from another window/app
+document.addEventListener('drop', (e) => {
+  try {
+    const dt = e.dataTransfer;
+    if (!dt) return;
+    const files = dt.files ? dt.files.length : 0;
+    const text = dt.getData('text') || '';
+
+    if (files > 0) {
+      reportClipboardViolation('drop_files', {
+        count: files,
+        totalBytes: Array.from(dt.files).reduce((sum, f) => sum + f.size, 0)
+      });
+    } else if (text.length > 0) {
+      reportClipboardViolation('drop_text', {
+        size: text.length,
+        types: Array.from(dt.types || [])
+      });
+    }
+  } catch (err) {
+    console.error("❌ Error handling drop event:", err);
+  }
+}, true);
+
+// Right-click over a question (or a selection that includes one) — usually
+// the "Copy" / "Search with..." context menu path
+document.addEventListener('contextmenu', (e) => {
+  try {
+    const onQuestion = e.target instanceof Element && !!e.target.closest(QUESTION_SELECTOR);
+    const overlap = measureQuestionOverlap();
+    if (!onQuestion && overlap.questionChars < MIN_QUESTION_CHARS) return;
+
+    reportClipboardViolation('contextmenu_question', {
+      size: overlap.size,
+      questionChars: overlap.questionChars,
+      questionIds: onQuestion
+        ? [...new Set([e.target.closest(QUESTION_SELECTOR).getAttribute(QUESTION_ATTR) || "", ...overlap.questionIds])]
+        : overlap.questionIds
+    });
+  } catch (err) {
+    console.error("❌ Error handling contextmenu event:", err);
+  }
+}, true);
+
 console.log("✅ Paste detection initialized");
 
+// ========== EXAM PAGE STATE MONITORING ==========
+// Only on the configured client origin (the CodeGuard web app): report when
+// the exam page is hidden, loses focus, leaves fullscreen or is printed.
+const BLUR_COALESCE_QUIET_MS = 10000; // Flush a blur burst after 10s without new blurs
+const BLUR_COALESCE_MAX_MS = 30000; // ...or 30s after the burst started, whichever first
+
+function reportPageViolation(violationType, details) {
+  if (!isExamPage) return;
+  console.log(`🚨 Exam page violation detected: ${violationType}`, details);
+  sendViolation("PAGE_VIOLATION", violationType, details);
+}
+
+// Tab hidden (switched tab, minimized window) — reported as soon as it
+// happens, so a student who never comes back is still flagged. A closing
+// tab_hidden_end with the same hiddenId carries the duration once the page is
+// visible again (or is closed while hidden).
+let hiddenAt = null;
+let hiddenId = null;
+
+function endHiddenPeriod(endedBy) {
+  if (!hiddenAt) return;
+  const endedAt = Date.now();
+  reportPageViolation("tab_hidden_end", {
+    hiddenId,
+    hiddenAt: new Date(hiddenAt).toISOString(),
+    endedAt: new Date(endedAt).toISOString(),
+    endedBy, // visible / page_closed
+    durationMs: endedAt - hiddenAt
+  });
+  hiddenAt = null;
+  hiddenId = null;
+}
+
+document.addEventListener("visibilitychange", () => {
+  if (document.visibilityState === "hidden") {
+    if (hiddenAt) return;
+    hiddenAt = Date.now();
+    hiddenId = `hidden-${hiddenAt}-${Math.random().toString(36).slice(2, 10)}`; // crypto.randomUUID needs a secure context
+    blurAt = null; // tab_hidden covers this period; don't also count it as a blur
+    reportPageViolation("tab_hidden", { hiddenId, hiddenAt: new Date(hiddenAt).toISOString() });
+    return;
+  }
+  endHiddenPeriod("visible");
+});
+
+window.addEventListener("pagehide", () => endHiddenPeriod("page_closed"));
+
+// Window blur/focus — coalesced so a flaky window manager firing dozens of
+// blur/focus pairs produces one report per burst
+let blurAt = null;
+let blurBurst = null;
+let blurFlushTimer = null;
+
+function flushBlurBurst() {
+  clearTimeout(blurFlushTimer);
+  blurFlushTimer = null;
+  if (!blurBurst) return;
+  const burst = blurBurst;
+  blurBurst = null;
+  reportPageViolation("window_blur", {
+    count: burst.count,
+    totalDurationMs: burst.totalDurationMs,
+    longestMs: burst.longestMs,
+    firstAt: new Date(burst.firstAt).toISOString(),
+    lastAt: new Date(burst.lastAt).toISOString()
+  });
+}
+
+window.addEventListener("blur", () => {
+  // Focus moving into an iframe on the exam page (e.g. an embedded editor) isn't leaving
+  if (document.activeElement?.tagName === "IFRAME") return;
+  blurAt = Date.now();
+});
+
+window.addEventListener("focus", () => {
+  if (!blurAt) return;
+  const now = Date.now();
+  const durationMs = now - blurAt;
+  blurAt = null;
+
+  if (!blurBurst) {
+    blurBurst = { count: 0, totalDurationMs: 0, longestMs: 0, firstAt: now - durationMs, lastAt: now };
+  }
+  blurBurst.count++;
+  blurBurst.totalDurationMs += durationMs;
+  blurBurst.longestMs = Math.max(blurBurst.longestMs, durationMs);
+  blurBurst.lastAt = now;
+
+  if (now - blurBurst.firstAt >= BLUR_COALESCE_MAX_MS) {
+    flushBlurBurst();
+    return;
+  }
+  clearTimeout(blurFlushTimer);
+  blurFlushTimer = setTimeout(flushBlurBurst, BLUR_COALESCE_QUIET_MS);
+});
+
+// Fullscreen exit
+let fullscreenEnteredAt = document.fullscreenElement ? Date.now() : null;
+document.addEventListener("fullscreenchange", () => {
+  if (document.fullscreenElement) {
+    fullscreenEnteredAt = Date.now();
+    return;
+  }
+  const exitedAt = Date.now();
+  reportPageViolation("fullscreen_exit", {
+    enteredAt: fullscreenEnteredAt ? new Date(fullscreenEnteredAt).toISOString() : null,
+    exitedAt: new Date(exitedAt).toISOString(),
+    fullscreenDurationMs: fullscreenEnteredAt ? exitedAt - fullscreenEnteredAt : null
+  });
+  fullscreenEnteredAt = null;
+});
+
+// Print attempt (Ctrl+P / File > Print)
+window.addEventListener("beforeprint", () => {
+  reportPageViolation("print_attempt", { at: new Date().toISOString() });
+});
+
+// Don't lose a pending blur burst when the page unloads
+window.addEventListener("pagehide", flushBlurBurst);
+
+console.log("✅ Exam page state monitoring initialized");
+
+// ========== TYPING CADENCE ANALYZER ==========
+// Detects code "typed" by tools via synthetic events, or retyped from a second
+// screen at inhuman speed. Keeps rolling statistics of input events inside
+// editor elements on the exam page and reports only a statistical summary —
+// never the keystrokes themselves. Thresholds come from the room policy
+// (roomPolicy.typing, written by background.js) merged over TYPING_DEFAULTS.
+// The statistics and thresholds live in typingCadence.js, loaded before this file.
+const { TYPING_DEFAULTS, computeTypingStats, typingAnomalyReasons } = globalThis.CodeGuardTypingCadence;
+
+const EDITOR_SELECTOR = "textarea, [contenteditable=''], [contenteditable='true'], .monaco-editor, .cm-editor, .CodeMirror, .ace_editor";
+// Paste/drop/undo are covered elsewhere or aren't typing
+const NON_TYPING_INPUT = /^(insertFromPaste|insertFromDrop|insertFromYank|historyUndo|historyRedo|delete)/;
+
+let typingSettings = { ...TYPING_DEFAULTS };
+let typingSamples = []; // { t, trusted, chars }
+let typingBurst = { chars: 0, longestChars: 0 };
+let typingEventsSinceEval = 0;
+let lastTypingReportAt = 0;
+
+function applyTypingPolicy(roomPolicy) {
+  typingSettings = { ...TYPING_DEFAULTS, ...(roomPolicy?.typing || {}) };
+}
+
+if (isExtensionContextValid() && chrome.storage?.local) {
+  chrome.storage.local.get(["roomPolicy"], ({ roomPolicy }) => applyTypingPolicy(roomPolicy));
+  chrome.storage.onChanged.addListener((changes, area) => {
+    if (area === "local" && changes.roomPolicy) applyTypingPolicy(changes.roomPolicy.newValue);
+  });
+}
+
+function isEditorTarget(target) {
+  if (!(target instanceof Element)) return false;
+  if (target.tagName === "INPUT") return target.type === "text" || target.type === "search";
+  return !!target.closest(EDITOR_SELECTOR);
+}
+
+function evaluateTyping() {
+  const settings = typingSettings;
+  if (typingSamples.length < settings.minSamples) return;
+  if (Date.now() - lastTypingReportAt < settings.cooldownMs) return;
+
+  const stats = computeTypingStats(typingSamples, typingBurst, settings);
+  const reasons = typingAnomalyReasons(stats, settings);
+  if (reasons.length === 0) return;
+
+  lastTypingReportAt = Date.now();
+  // Own category, so the server sees actionType "typing_anomaly"
+  console.log("🚨 Typing anomaly detected:", reasons);
+  sendViolation("TYPING_VIOLATION", "anomaly", { reasons, ...stats });
+  // Start a fresh window so the next report reflects new behaviour
+  typingSamples = [];
+  typingBurst = { chars: 0, longestChars: 0 };
+}
+
+document.addEventListener("input", (e) => {
+  try {
+    if (!isExamPage || !typingSettings.enabled || !isEditorTarget(e.target)) return;
+    if (e.inputType && NON_TYPING_INPUT.test(e.inputType)) return;
+
+    const now = Date.now();
+    const chars = typeof e.data === "string" ? e.data.length : (e.inputType === "insertLineBreak" ? 1 : 0);
+    const previous = typingSamples[typingSamples.length - 1];
+
+    if (!previous || now - previous.t > typingSettings.burstGapMs) typingBurst.chars = 0;
+    typingBurst.chars += chars;
+    typingBurst.longestChars = Math.max(typingBurst.longestChars, typingBurst.chars);
+
+    typingSamples.push({ t: now, trusted: e.isTrusted, chars });
+    if (typingSamples.length > typingSettings.windowSize) typingSamples.shift();
+
+    if (++typingEventsSinceEval >= typingSettings.evaluateEvery) {
+      typingEventsSinceEval = 0;
+      evaluateTyping();
+    }
+  } catch (err) {
+    console.error("❌ Error analyzing typing cadence:", err);
+  }
+}, true);
+
+console.log("✅ Typing cadence analyzer initialized");
+
 window.addEventListener("load", () => {
   console.log("Window 'load' event fired.");
   attemptStart();
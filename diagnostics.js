@@ -0,0 +1,206 @@
+/**
+ * Connection Diagnostics for CodeGuard Extension
+ *
+ * Runs from the Options page ("Test connection") so a proctor can see why a
+ * lab machine "doesn't work" without opening the service worker console.
+ * Each step reports pass / warn / fail / skip with a specific fix hint; steps
+ * that depend on a failed one are skipped rather than piling on errors.
+ *
+ *   1. url        - Server URL parses as http(s) with a host
+ *   2. health     - GET /health answers (timed); network errors cover DNS,
+ *                   refused connections and firewalls
+ *   3. marker     - /health carries { service: "codeguard" }
+ *   4. token      - an auth token is stored and (if a JWT) not expired
+ *   5. whitelist  - the whitelist endpoint answers for a sample room
+ *   6. upload     - the recording upload endpoint accepts a tiny test file
+ *
+ * The report never contains the token itself.
+ */
+
+const TIMEOUT_MS = 5000;
+const SLOW_MS = 1500;
+const SAMPLE_STUDENT_ID = '__diagnostics__';
+
+export const DIAGNOSTIC_STEPS = [
+  { id: 'url', label: 'Server URL' },
+  { id: 'health', label: 'Server reachable (/health)' },
+  { id: 'marker', label: 'CodeGuard server' },
+  { id: 'token', label: 'Sign-in token' },
+  { id: 'whitelist', label: 'Whitelist endpoint' },
+  { id: 'upload', label: 'Recording upload' },
+];
+
+const pass = (detail, extra = {}) => ({ status: 'pass', detail, hint: null, ...extra });
+const warn = (detail, hint, extra = {}) => ({ status: 'warn', detail, hint, ...extra });
+const fail = (detail, hint, extra = {}) => ({ status: 'fail', detail, hint, ...extra });
+const skip = (detail) => ({ status: 'skip', detail, hint: 'Fix the failed step above first.' });
+
+async function timedFetch(url, options = {}) {
+  const started = performance.now();
+  try {
+    const response = await fetch(url, { ...options, signal: AbortSignal.timeout(TIMEOUT_MS) });
+    return { response, ms: Math.round(performance.now() - started) };
+  } catch (error) {
+    return { error, ms: Math.round(performance.now() - started) };
+  }
+}
+
+// fetch() rejects without saying why; tell timeouts apart from "can't connect".
+function networkFailure(error, url) {
+  const { host, port, protocol } = new URL(url);
+  if (error?.name === 'TimeoutError') {
+    return fail(`No answer within ${TIMEOUT_MS / 1000}s`,
+      `The server at ${host} may be down or overloaded, or a firewall is dropping port ${port || (protocol === 'https:' ? 443 : 80)}.`);
+  }
+  return fail(`Could not connect (${error?.message || 'network error'})`,
+    `Check that ${host} is spelled correctly and resolves (DNS), that the server is running, and that this machine is on the same network.`);
+}
+
+function httpFailure(status, what) {
+  if (status === 401 || status === 403) {
+    return fail(`${what} answered ${status}`, 'The server rejected the sign-in token. Have the student sign in to the web app again, then re-run the test.');
+  }
+  if (status === 404) {
+    return fail(`${what} answered 404`, 'Endpoint not found: the server may be an older version, or the sample room ID does not exist.');
+  }
+  if (status === 413) {
+    return fail(`${what} answered 413`, 'A proxy in front of the server limits request size (e.g. nginx client_max_body_size); raise it for uploads.');
+  }
+  if (status >= 500) {
+    return fail(`${what} answered ${status}`, 'Server error: check the server logs. A 502/504 usually means the reverse proxy can\'t reach the app.');
+  }
+  return fail(`${what} answered ${status}`, 'Unexpected response; include this report in a support ticket.');
+}
+
+// exp (seconds) of a JWT, or undefined for opaque tokens.
+function jwtExpiry(token) {
+  try {
+    const payload = JSON.parse(atob(token.split('.')[1].replace(/-/g, '+').replace(/_/g, '/')));
+    return typeof payload.exp === 'number' ? payload.exp : undefined;
+  } catch {
+    return undefined;
+  }
+}
+
+// ========== STEPS ==========
+
+function checkUrl(serverUrl) {
+  let url;
+  try {
+    url = new URL(serverUrl);
+  } catch {
+    return fail(`"${serverUrl}" is not a URL`, 'Enter the server address like http://192.168.1.50:3000 (with http:// and the port).');
+  }
+  if (!/^https?:$/.test(url.protocol)) {
+    return fail(`Unsupported scheme ${url.protocol}`, 'Use http:// or https://.');
+  }
+  if (/^(localhost|127\.)/.test(url.hostname)) {
+    return warn(`${url.host} is this machine`, 'On a lab machine, localhost is the student\'s own computer. Use the server machine\'s LAN IP instead.');
+  }
+  return pass(url.host);
+}
+
+async function checkHealth(serverUrl) {
+  const { response, error, ms } = await timedFetch(`${serverUrl}/health`);
+  if (error) return { result: networkFailure(error, serverUrl) };
+  if (!response.ok) return { result: httpFailure(response.status, '/health') };
+
+  const body = await response.json().catch(() => null);
+  const result = ms > SLOW_MS
+    ? warn(`Answered in ${ms} ms`, 'The server is slow to respond; uploads and flags may time out on a busy network.', { durationMs: ms })
+    : pass(`Answered in ${ms} ms`, { durationMs: ms });
+  return { result, body };
+}
+
+function checkMarker(body) {
+  if (body?.service === 'codeguard') return pass('/health identifies a CodeGuard server');
+  return fail('/health did not return { service: "codeguard" }',
+    'Something else is answering at this address. Check the port: the server is usually :3000, and the web app (:5173) is not the server.');
+}
+
+function checkToken(token) {
+  if (!token) {
+    return warn('No token stored', 'The token arrives when a student signs in to the web app on this machine. Open the exam page and sign in. Auth checks below may fail until then.');
+  }
+  const exp = jwtExpiry(token);
+  if (exp !== undefined && exp * 1000 < Date.now()) {
+    return fail(`Token expired ${new Date(exp * 1000).toLocaleString()}`, 'Have the student sign out and back in to the web app.');
+  }
+  return pass(exp !== undefined ? `Present, valid until ${new Date(exp * 1000).toLocaleString()}` : 'Present');
+}
+
+async function checkWhitelist(serverUrl, token, roomId) {
+  const headers = token ? { Authorization: `Bearer ${token}` } : {};
+  const url = `${serverUrl}/api/proctoring/whitelist?roomId=${encodeURIComponent(roomId)}`;
+  const { response, error, ms } = await timedFetch(url, { headers });
+  if (error) return networkFailure(error, serverUrl);
+  if (!response.ok) return httpFailure(response.status, 'Whitelist endpoint');
+  return pass(`Room "${roomId}" answered in ${ms} ms`, { durationMs: ms });
+}
+
+async function checkUpload(serverUrl, token, roomId) {
+  const now = new Date().toISOString();
+  const form = new FormData();
+  form.append('recording', new Blob([new Uint8Array(16)], { type: 'video/webm' }), 'diagnostics.webm');
+  form.append('roomId', roomId);
+  form.append('studentId', SAMPLE_STUDENT_ID);
+  form.append('chunkIndex', '0');
+  form.append('startTime', now);
+  form.append('endTime', now);
+  form.append('duration', '0');
+  form.append('events', '[]');
+  form.append('requestId', '');
+  form.append('diagnostic', 'true'); // Lets the server discard it
+
+  const headers = token ? { Authorization: `Bearer ${token}` } : {};
+  const { response, error, ms } = await timedFetch(`${serverUrl}/api/recordings/upload`, {
+    method: 'POST',
+    headers,
+    body: form,
+  });
+  if (error) return networkFailure(error, serverUrl);
+  if (response.status === 400) {
+    return fail('Upload endpoint answered 400', 'The server rejected the upload fields. The server and extension versions may not match.');
+  }
+  if (!response.ok) return httpFailure(response.status, 'Upload endpoint');
+  return pass(`16-byte test upload accepted in ${ms} ms`, { durationMs: ms });
+}
+
+// ========== RUNNER ==========
+
+/**
+ * Run every step in order.
+ * @param {{ serverUrl: string, token?: string|null, roomId: string }} target
+ * @param {(step: object) => void} [onStep] - called as each step finishes
+ * @returns {Promise<object[]>} [{ id, label, status, detail, hint, durationMs? }]
+ */
+export async function runDiagnostics({ serverUrl, token = null, roomId }, onStep = () => {}) {
+  const steps = [];
+  const record = (id, result) => {
+    const step = { id, label: DIAGNOSTIC_STEPS.find(entry => entry.id === id).label, ...result };
+    steps.push(step);
+    onStep(step);
+  };
+
+  const url = checkUrl(serverUrl);
+  record('url', url);
+
+  let health = null;
+  if (url.status === 'fail') {
+    record('health', skip('Server URL is invalid'));
+  } else {
+    health = await checkHealth(serverUrl);
+    record('health', health.result);
+  }
+  const reachable = health?.result.status === 'pass' || health?.result.status === 'warn';
+
+  const marker = reachable ? checkMarker(health.body) : skip('Server not reachable');
+  record('marker', marker);
+  record('token', checkToken(token));
+
+  const isCodeGuard = marker.status === 'pass';
+  record('whitelist', isCodeGuard ? await checkWhitelist(serverUrl, token, roomId) : skip('Not a reachable CodeGuard server'));
+  record('upload', isCodeGuard ? await checkUpload(serverUrl, token, roomId) : skip('Not a reachable CodeGuard server'));
+
+  return steps;
+}
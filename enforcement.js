@@ -0,0 +1,213 @@
+/**
+ * Enforcement Mode for CodeGuard Extension
+ *
+ * When a room is in "enforce" mode, the compiled whitelist is translated into
+ * declarativeNetRequest dynamic rules so non-whitelisted top-level navigations
+ * are redirected to the extension's "blocked during exam" page instead of
+ * merely being flagged.
+ *
+ * Rule layout (higher priority wins):
+ *   3 — deny rules        → redirect to blocked page
+ *   2 — allow rules       → allow (plus the exam client + API server origins
+ *                           and search-engine queries, as in monitor mode)
+ *   1 — catch-all         → redirect to blocked page
+ *
+ * The original URL is carried in the blocked page's hash so both the page and
+ * the tab watcher can report what was blocked.
+ *
+ * Every rule is a regex rule, and Chrome caps those (1000 per extension). A
+ * whitelist that needs more throws instead of installing a partial rule set;
+ * background.js then falls back to monitor mode and flags it.
+ */
+
+import { SEARCH_QUERY_PATTERN } from './whitelistRules.js';
+
+export const BLOCKED_PAGE = 'blocked.html';
+
+const RULE_ID_BASE = 5000; // Dynamic rule IDs owned by enforcement mode
+const RULE_ID_LIMIT = 9999;
+const DEFAULT_REGEX_RULE_LIMIT = 1000; // chrome.declarativeNetRequest.MAX_NUMBER_OF_REGEX_RULES
+const PRIORITY = { CATCH_ALL: 1, ALLOW: 2, DENY: 3 };
+const RESOURCE_TYPES = ['main_frame'];
+
+// ========== REGEX TRANSLATION ==========
+
+function escapeRegex(str) {
+  return str.replace(/[.*+?^${}()|[\]\\]/g, '\\$&');
+}
+
+// Hostname glob → RE2-safe fragment ("*" = one label, "cdn-*" = partial label)
+function hostToRegex(host) {
+  return host
+    .split('.')
+    .map(label => label === '*' ? '[^./:]+' : escapeRegex(label).replace(/\\\*/g, '[^./:]*'))
+    .join('\\.');
+}
+
+/**
+ * Translate a compiled whitelist rule into a regexFilter that matches the
+ * whole URL (so `\0` in a redirect substitution is the full original URL).
+ */
+export function ruleToRegexFilter(rule) {
+  if (rule.kind === 'regex') {
+    return `^.*?(?:${rule.regex.source}).*$`;
+  }
+
+  const scheme = rule.scheme ? escapeRegex(rule.scheme) : 'https?';
+  // Mirrors the rule engine: plain hosts cover subdomains, "*.x" requires one,
+  // and a glob host matches exactly (modulo "www.").
+  let subdomain = '([^/?#@:]+\\.)?';
+  if (rule.subdomainsOnly) subdomain = '([^/?#@:]+\\.)';
+  else if (rule.host.includes('*')) subdomain = '(www\\.)?';
+  const defaultPort = rule.scheme === 'https' ? '443' : rule.scheme === 'http' ? '80' : null;
+  const port = !rule.port
+    ? '(:[0-9]+)?'
+    : rule.port === defaultPort ? `(:${rule.port})?` : `:${rule.port}`;
+
+  let path = '([/?#].*)?';
+  if (rule.pathPrefix) {
+    path = escapeRegex(rule.pathPrefix) + (rule.pathSegment ? '([/?#].*)?' : '.*');
+  }
+
+  return `^${scheme}://${subdomain}${hostToRegex(rule.host)}${port}${path}$`;
+}
+
+// Origins that must stay reachable (exam web app, API server).
+function originToRegexFilter(origin) {
+  return `^${escapeRegex(new URL(origin).origin)}([/?#].*)?$`;
+}
+
+// Address-bar searches: the same pattern isSearchQuery() tests in monitor mode.
+export function searchQueryRegexFilter() {
+  return SEARCH_QUERY_PATTERN;
+}
+
+function regexRuleLimit() {
+  return chrome.declarativeNetRequest.MAX_NUMBER_OF_REGEX_RULES || DEFAULT_REGEX_RULE_LIMIT;
+}
+
+// ========== RULE BUILDING ==========
+
+function redirectAction() {
+  return {
+    type: 'redirect',
+    redirect: { regexSubstitution: `${chrome.runtime.getURL(BLOCKED_PAGE)}#\\0` },
+  };
+}
+
+async function isSupported(regex) {
+  try {
+    const result = await chrome.declarativeNetRequest.isRegexSupported({
+      regex,
+      isCaseSensitive: false,
+    });
+    return result.isSupported;
+  } catch {
+    return false;
+  }
+}
+
+/**
+ * Build the dynamic rule list for a compiled whitelist.
+ * Rules Chrome's RE2 engine can't express are skipped (and logged) — they are
+ * still enforced softly by the tab watcher's flagging.
+ * @throws if the rule set would exceed Chrome's regex rule limit
+ */
+export async function buildEnforcementRules(compiled, { alwaysAllow = [] } = {}) {
+  // Deny + allow + always-allow + search + catch-all, checked up front
+  const needed = (compiled?.blockRules?.length || 0) + (compiled?.allowRules?.length || 0) +
+    alwaysAllow.filter(Boolean).length + 2;
+  const limit = regexRuleLimit();
+  if (needed > limit) {
+    throw new Error(`Whitelist needs ${needed} regex rules, over Chrome's limit of ${limit}`);
+  }
+
+  const rules = [];
+  let nextId = RULE_ID_BASE + 1;
+
+  const push = async (priority, regexFilter, action, source) => {
+    if (nextId > RULE_ID_LIMIT) return;
+    if (!(await isSupported(regexFilter))) {
+      console.warn(`⚠️ Enforcement: rule not expressible as DNR regex, skipping: ${source}`);
+      return;
+    }
+    rules.push({
+      id: nextId++,
+      priority,
+      action,
+      condition: { regexFilter, isUrlFilterCaseSensitive: false, resourceTypes: RESOURCE_TYPES },
+    });
+  };
+
+  for (const rule of compiled?.blockRules || []) {
+    await push(PRIORITY.DENY, ruleToRegexFilter(rule), redirectAction(), rule.source);
+  }
+
+  for (const rule of compiled?.allowRules || []) {
+    await push(PRIORITY.ALLOW, ruleToRegexFilter(rule), { type: 'allow' }, rule.source);
+  }
+
+  for (const origin of alwaysAllow.filter(Boolean)) {
+    try {
+      await push(PRIORITY.ALLOW, originToRegexFilter(origin), { type: 'allow' }, origin);
+    } catch {
+      console.warn(`⚠️ Enforcement: invalid always-allow origin ${origin}`);
+    }
+  }
+
+  await push(PRIORITY.ALLOW, searchQueryRegexFilter(), { type: 'allow' }, '<search-queries>');
+  await push(PRIORITY.CATCH_ALL, '^https?://.*$', redirectAction(), '<catch-all>');
+
+  return rules;
+}
+
+// ========== INSTALL / REMOVE ==========
+
+async function getOwnedRuleIds() {
+  const existing = await chrome.declarativeNetRequest.getDynamicRules();
+  return existing
+    .map(rule => rule.id)
+    .filter(id => id > RULE_ID_BASE && id <= RULE_ID_LIMIT);
+}
+
+/**
+ * Replace any previously installed enforcement rules with a fresh set.
+ * Done in a single updateDynamicRules call so there is no unenforced gap.
+ */
+export async function installEnforcementRules(compiled, options = {}) {
+  const addRules = await buildEnforcementRules(compiled, options);
+  const removeRuleIds = await getOwnedRuleIds();
+
+  await chrome.declarativeNetRequest.updateDynamicRules({ removeRuleIds, addRules });
+  console.log(`🛡️ Enforcement rules installed (${addRules.length} rules)`);
+  return { installed: addRules.length };
+}
+
+export async function removeEnforcementRules() {
+  const removeRuleIds = await getOwnedRuleIds();
+  if (removeRuleIds.length === 0) return { removed: 0 };
+
+  await chrome.declarativeNetRequest.updateDynamicRules({ removeRuleIds });
+  console.log(`🛡️ Enforcement rules removed (${removeRuleIds.length} rules)`);
+  return { removed: removeRuleIds.length };
+}
+
+/**
+ * If `url` is our blocked page, return the original (blocked) URL from its
+ * hash; otherwise null.
+ */
+export function parseBlockedPageUrl(url) {
+  const blockedPage = chrome.runtime.getURL(BLOCKED_PAGE);
+  if (typeof url !== 'string' || !url.startsWith(`${blockedPage}#`)) return null;
+  return url.slice(blockedPage.length + 1) || null;
+}
+
+export default {
+  BLOCKED_PAGE,
+  ruleToRegexFilter,
+  searchQueryRegexFilter,
+  buildEnforcementRules,
+  installEnforcementRules,
+  removeEnforcementRules,
+  parseBlockedPageUrl,
+};
@@ -0,0 +1,403 @@
+/**
+ * Offline Flag Queue for CodeGuard Extension
+ *
+ * Features:
+ * - One IndexedDB record per queued flag (no whole-array rewrites)
+ * - Screenshots stored as Blobs in their own store, so listing the queue
+ *   reads metadata only; blobs are loaded just for the batch being sent
+ * - Size/count-based eviction of the oldest flags
+ * - A metadata tombstone for every evicted flag, so the server can be told
+ *   how many flags were lost and when — nothing is dropped silently
+ * - Quarantine for flags the server rejects as malformed, so one bad flag
+ *   can't block the rest of the queue. Quarantined flags live in their own
+ *   store with their own retention: they are reported to the server once,
+ *   never evicted as "lost", and purged after QUARANTINE_RETENTION_MS
+ */
+
+const CONFIG = {
+  DB_NAME: 'CodeGuardFlagQueue',
+  DB_VERSION: 2,
+  FLAG_STORE: 'flags',
+  SCREENSHOT_STORE: 'screenshots',
+  TOMBSTONE_STORE: 'tombstones',
+  QUARANTINE_STORE: 'quarantine',
+  MAX_QUEUE_BYTES: 50 * 1024 * 1024, // 50 MB of flags + screenshots
+  MAX_QUEUE_ITEMS: 1000,
+  QUARANTINE_RETENTION_MS: 7 * 24 * 60 * 60 * 1000, // Kept a week for inspection
+  MAX_QUARANTINE_ITEMS: 200,
+  SCREENSHOT_MIME: 'image/jpeg',
+};
+
+// ========== ENCODING HELPERS ==========
+
+function base64ToBlob(base64, type = CONFIG.SCREENSHOT_MIME) {
+  const binary = atob(base64);
+  const bytes = new Uint8Array(binary.length);
+  for (let i = 0; i < binary.length; i++) bytes[i] = binary.charCodeAt(i);
+  return new Blob([bytes], { type });
+}
+
+async function blobToBase64(blob) {
+  const bytes = new Uint8Array(await blob.arrayBuffer());
+  let binary = '';
+  const CHUNK = 0x8000; // Avoid call-stack limits on large screenshots
+  for (let i = 0; i < bytes.length; i += CHUNK) {
+    binary += String.fromCharCode.apply(null, bytes.subarray(i, i + CHUNK));
+  }
+  return btoa(binary);
+}
+
+function promisify(request) {
+  return new Promise((resolve, reject) => {
+    request.onsuccess = () => resolve(request.result);
+    request.onerror = () => reject(request.error);
+  });
+}
+
+class FlagQueueStore {
+  constructor() {
+    this.db = null;
+  }
+
+  // ========== DATABASE OPERATIONS ==========
+
+  async openDB() {
+    if (this.db) return this.db;
+
+    return new Promise((resolve, reject) => {
+      const request = indexedDB.open(CONFIG.DB_NAME, CONFIG.DB_VERSION);
+
+      request.onerror = () => {
+        console.error('❌ Failed to open flag queue IndexedDB:', request.error);
+        reject(request.error);
+      };
+
+      request.onsuccess = () => {
+        this.db = request.result;
+        resolve(this.db);
+      };
+
+      request.onupgradeneeded = (event) => {
+        const db = event.target.result;
+
+        // Queued flags - payload metadata only
+        if (!db.objectStoreNames.contains(CONFIG.FLAG_STORE)) {
+          const store = db.createObjectStore(CONFIG.FLAG_STORE, { keyPath: 'flagId' });
+          store.createIndex('queuedAt', 'queuedAt', { unique: false });
+          console.log('✅ Created flags object store');
+        }
+
+        // Screenshot Blobs, keyed by flagId
+        if (!db.objectStoreNames.contains(CONFIG.SCREENSHOT_STORE)) {
+          db.createObjectStore(CONFIG.SCREENSHOT_STORE, { keyPath: 'flagId' });
+          console.log('✅ Created screenshots object store');
+        }
+
+        // Tombstones - metadata for flags evicted to stay under the size cap
+        if (!db.objectStoreNames.contains(CONFIG.TOMBSTONE_STORE)) {
+          const store = db.createObjectStore(CONFIG.TOMBSTONE_STORE, { keyPath: 'flagId' });
+          store.createIndex('evictedAt', 'evictedAt', { unique: false });
+          console.log('✅ Created tombstones object store');
+        }
+
+        // Quarantine - flags the server rejected as malformed
+        if (!db.objectStoreNames.contains(CONFIG.QUARANTINE_STORE)) {
+          const store = db.createObjectStore(CONFIG.QUARANTINE_STORE, { keyPath: 'flagId' });
+          store.createIndex('quarantinedAt', 'quarantined.at', { unique: false });
+          console.log('✅ Created quarantine object store');
+        }
+
+        // v1 kept the screenshot and the quarantine mark on the flag record
+        if (event.oldVersion === 1) this.splitV1Records(event.target.transaction);
+      };
+    });
+  }
+
+  // Move v1 screenshots and quarantined flags into their own stores
+  splitV1Records(tx) {
+    const flags = tx.objectStore(CONFIG.FLAG_STORE);
+    const screenshots = tx.objectStore(CONFIG.SCREENSHOT_STORE);
+    const quarantine = tx.objectStore(CONFIG.QUARANTINE_STORE);
+
+    flags.openCursor().onsuccess = (event) => {
+      const cursor = event.target.result;
+      if (!cursor) return;
+      const { screenshotBlob, ...record } = cursor.value;
+      if (screenshotBlob) screenshots.put({ flagId: record.flagId, blob: screenshotBlob });
+      record.hasScreenshot = Boolean(screenshotBlob);
+      if (record.quarantined) {
+        quarantine.put({ ...record, reportedAt: null });
+        cursor.delete();
+      } else {
+        cursor.update(record);
+      }
+      cursor.continue();
+    };
+  }
+
+  async getAll(storeName, indexName, count) {
+    await this.openDB();
+    const store = this.db.transaction([storeName], 'readonly').objectStore(storeName);
+    return promisify((indexName ? store.index(indexName) : store).getAll(null, count));
+  }
+
+  async waitFor(tx) {
+    await new Promise((resolve, reject) => {
+      tx.oncomplete = resolve;
+      tx.onerror = () => reject(tx.error);
+    });
+  }
+
+  // ========== QUEUE OPERATIONS ==========
+
+  /**
+   * Queue a flag payload. The base64 screenshot is split out into a Blob in
+   * the screenshot store; toPayloads() restores it when the flag is sent.
+   */
+  async enqueue(payload) {
+    await this.openDB();
+
+    const { screenshotData, ...rest } = payload;
+    const flagId = rest.flagId || crypto.randomUUID();
+    const screenshotBlob = screenshotData ? base64ToBlob(screenshotData, rest.screenshotMime || undefined) : null;
+    const metadata = { ...rest, flagId };
+    const record = {
+      flagId,
+      queuedAt: new Date().toISOString(),
+      payload: metadata,
+      hasScreenshot: Boolean(screenshotBlob),
+      sizeBytes: JSON.stringify(metadata).length + (screenshotBlob ? screenshotBlob.size : 0),
+    };
+
+    const tx = this.db.transaction([CONFIG.FLAG_STORE, CONFIG.SCREENSHOT_STORE], 'readwrite');
+    tx.objectStore(CONFIG.FLAG_STORE).put(record);
+    if (screenshotBlob) tx.objectStore(CONFIG.SCREENSHOT_STORE).put({ flagId, blob: screenshotBlob });
+    await this.waitFor(tx);
+
+    const evicted = await this.enforceLimits();
+    const depth = await this.count();
+    console.log(`📦 Flag queued (${depth} total${evicted ? `, ${evicted} evicted` : ''}). Will sync when online.`);
+    return record;
+  }
+
+  // Queued flag metadata (no screenshots), oldest first
+  async list(limit) {
+    return this.getAll(CONFIG.FLAG_STORE, 'queuedAt', limit);
+  }
+
+  /**
+   * Move a flag the server rejected as malformed into the quarantine store,
+   * out of the way of sync and eviction. Its screenshot is kept with it.
+   */
+  async quarantine(flagId, { status, error } = {}) {
+    await this.openDB();
+    const tx = this.db.transaction([CONFIG.FLAG_STORE, CONFIG.QUARANTINE_STORE], 'readwrite');
+    const flags = tx.objectStore(CONFIG.FLAG_STORE);
+    const record = await promisify(flags.get(flagId));
+    if (!record) return null;
+    record.quarantined = { at: new Date().toISOString(), status: status || null, error: error || null };
+    record.reportedAt = null;
+    tx.objectStore(CONFIG.QUARANTINE_STORE).put(record);
+    flags.delete(flagId);
+    await this.waitFor(tx);
+    console.warn(`🚧 Flag ${flagId} quarantined (${status || 'rejected'}): ${error || 'no reason given'}`);
+    return record;
+  }
+
+  // Screenshot Blobs for these records only, by flagId
+  async loadScreenshots(records) {
+    const wanted = records.filter(record => record.hasScreenshot);
+    if (wanted.length === 0) return new Map();
+    await this.openDB();
+    const store = this.db.transaction([CONFIG.SCREENSHOT_STORE], 'readonly').objectStore(CONFIG.SCREENSHOT_STORE);
+    const rows = await Promise.all(wanted.map(record => promisify(store.get(record.flagId))));
+    return new Map(rows.filter(Boolean).map(row => [row.flagId, row.blob]));
+  }
+
+  // Sendable payloads for a batch of records, screenshots included
+  async toPayloads(records) {
+    const screenshots = await this.loadScreenshots(records);
+    return Promise.all(records.map(record => this.toPayload(record, screenshots.get(record.flagId))));
+  }
+
+  // Every sent payload carries an idempotencyKey: the batch endpoint keys its
+  // results on it, and flags migrated from the legacy queue never had one.
+  async toPayload(record, screenshotBlob = null) {
+    return {
+      ...record.payload,
+      idempotencyKey: record.payload.idempotencyKey || record.flagId,
+      queuedAt: record.queuedAt,
+      screenshotData: screenshotBlob ? await blobToBase64(screenshotBlob) : '',
+    };
+  }
+
+  async remove(flagId) {
+    await this.openDB();
+    const tx = this.db.transaction([CONFIG.FLAG_STORE, CONFIG.SCREENSHOT_STORE], 'readwrite');
+    tx.objectStore(CONFIG.FLAG_STORE).delete(flagId);
+    tx.objectStore(CONFIG.SCREENSHOT_STORE).delete(flagId);
+    await this.waitFor(tx);
+  }
+
+  // Number of queued (sendable) flags
+  async count() {
+    await this.openDB();
+    const store = this.db.transaction([CONFIG.FLAG_STORE], 'readonly').objectStore(CONFIG.FLAG_STORE);
+    return promisify(store.count());
+  }
+
+  // ========== EVICTION ==========
+
+  /**
+   * Evict the oldest flags until the queue is under both caps, writing a
+   * tombstone for each in the same transaction.
+   */
+  async enforceLimits() {
+    const records = await this.getAll(CONFIG.FLAG_STORE, 'queuedAt');
+    let totalBytes = records.reduce((sum, r) => sum + (r.sizeBytes || 0), 0);
+    let remaining = records.length;
+    const toEvict = [];
+
+    for (const record of records) {
+      if (totalBytes <= CONFIG.MAX_QUEUE_BYTES && remaining <= CONFIG.MAX_QUEUE_ITEMS) break;
+      toEvict.push(record);
+      totalBytes -= record.sizeBytes || 0;
+      remaining--;
+    }
+    if (toEvict.length === 0) return 0;
+
+    const tx = this.db.transaction([CONFIG.FLAG_STORE, CONFIG.SCREENSHOT_STORE, CONFIG.TOMBSTONE_STORE], 'readwrite');
+    const flags = tx.objectStore(CONFIG.FLAG_STORE);
+    const screenshots = tx.objectStore(CONFIG.SCREENSHOT_STORE);
+    const tombstones = tx.objectStore(CONFIG.TOMBSTONE_STORE);
+    const evictedAt = new Date().toISOString();
+
+    toEvict.forEach((record) => {
+      flags.delete(record.flagId);
+      screenshots.delete(record.flagId);
+      tombstones.put({
+        flagId: record.flagId,
+        studentId: record.payload.studentId,
+        roomId: record.payload.roomId,
+        actionType: record.payload.actionType,
+        timestamp: record.payload.timestamp,
+        queuedAt: record.queuedAt,
+        evictedAt,
+        sizeBytes: record.sizeBytes,
+      });
+    });
+    await this.waitFor(tx);
+
+    console.warn(`⚠️ Flag queue over capacity — evicted ${toEvict.length} oldest flag(s), tombstones kept`);
+    return toEvict.length;
+  }
+
+  async getTombstones() {
+    return this.getAll(CONFIG.TOMBSTONE_STORE, 'evictedAt');
+  }
+
+  async clearTombstones(flagIds) {
+    await this.openDB();
+    const tx = this.db.transaction([CONFIG.TOMBSTONE_STORE], 'readwrite');
+    const store = tx.objectStore(CONFIG.TOMBSTONE_STORE);
+    flagIds.forEach((id) => store.delete(id));
+    await this.waitFor(tx);
+  }
+
+  // ========== QUARANTINE ==========
+
+  // Quarantined flags not yet reported to the server, oldest first
+  async getUnreportedQuarantine() {
+    const records = await this.getAll(CONFIG.QUARANTINE_STORE, 'quarantinedAt');
+    return records.filter(record => !record.reportedAt);
+  }
+
+  async markQuarantineReported(flagIds) {
+    await this.openDB();
+    const tx = this.db.transaction([CONFIG.QUARANTINE_STORE], 'readwrite');
+    const store = tx.objectStore(CONFIG.QUARANTINE_STORE);
+    const reportedAt = new Date().toISOString();
+    const records = await Promise.all(flagIds.map(id => promisify(store.get(id))));
+    records.filter(Boolean).forEach(record => store.put({ ...record, reportedAt }));
+    await this.waitFor(tx);
+  }
+
+  /**
+   * Drop quarantined flags (and their screenshots) once reported and past
+   * QUARANTINE_RETENTION_MS, and the oldest reported ones beyond
+   * MAX_QUARANTINE_ITEMS. Unreported flags are kept until they are reported.
+   */
+  async purgeQuarantine(now = Date.now()) {
+    const records = await this.getAll(CONFIG.QUARANTINE_STORE, 'quarantinedAt');
+    const reported = records.filter(record => record.reportedAt);
+    const overCap = Math.max(0, records.length - CONFIG.MAX_QUARANTINE_ITEMS);
+    const toPurge = reported.filter((record, index) =>
+      index < overCap || now - new Date(record.quarantined.at).getTime() > CONFIG.QUARANTINE_RETENTION_MS
+    );
+    if (toPurge.length === 0) return 0;
+
+    const tx = this.db.transaction([CONFIG.QUARANTINE_STORE, CONFIG.SCREENSHOT_STORE], 'readwrite');
+    toPurge.forEach((record) => {
+      tx.objectStore(CONFIG.QUARANTINE_STORE).delete(record.flagId);
+      tx.objectStore(CONFIG.SCREENSHOT_STORE).delete(record.flagId);
+    });
+    await this.waitFor(tx);
+    console.log(`🗑️ Purged ${toPurge.length} quarantined flag(s)`);
+    return toPurge.length;
+  }
+
+  // ========== STATUS / MIGRATION ==========
+
+  async getStatus() {
+    const [records, quarantined, tombstones] = await Promise.all([
+      this.list(),
+      this.getAll(CONFIG.QUARANTINE_STORE),
+      this.getTombstones(),
+    ]);
+    const oldest = records[0];
+    return {
+      depth: records.length,
+      quarantinedCount: quarantined.length,
+      quarantineBytes: quarantined.reduce((sum, r) => sum + (r.sizeBytes || 0), 0),
+      bytes: records.reduce((sum, r) => sum + (r.sizeBytes || 0), 0),
+      oldestQueuedAt: oldest ? oldest.queuedAt : null,
+      oldestAgeMs: oldest ? Date.now() - new Date(oldest.queuedAt).getTime() : 0,
+      evictedCount: tombstones.length,
+      maxBytes: CONFIG.MAX_QUEUE_BYTES,
+      maxItems: CONFIG.MAX_QUEUE_ITEMS,
+    };
+  }
+
+  /**
+   * One-time move of the legacy chrome.storage.local `offlineFlagQueue` array
+   * into IndexedDB.
+   */
+  async migrateLegacyQueue() {
+    const { offlineFlagQueue } = await chrome.storage.local.get(['offlineFlagQueue']);
+    if (!Array.isArray(offlineFlagQueue)) return 0;
+
+    for (const payload of offlineFlagQueue) {
+      await this.enqueue(payload);
+    }
+    await chrome.storage.local.remove(['offlineFlagQueue']);
+    console.log(`📦 Migrated ${offlineFlagQueue.length} legacy queued flags to IndexedDB`);
+    return offlineFlagQueue.length;
+  }
+}
+
+// ========== BATCH RESULTS ==========
+
+/**
+ * Line up a batch response with the payloads that were sent (by
+ * idempotencyKey, which toPayload() always sets).
+ * @returns {(object|null)[]} the server's result for each payload, or null
+ *   where the server gave no verdict
+ */
+export function matchBatchResults(payloads, results = []) {
+  const byKey = new Map(results.filter(Boolean).map(result => [result.idempotencyKey, result]));
+  return payloads.map(payload => byKey.get(payload.idempotencyKey) || null);
+}
+
+// Export singleton instance
+export const flagQueueStore = new FlagQueueStore();
+export { CONFIG as FLAG_QUEUE_CONFIG };
@@ -0,0 +1,280 @@
+/**
+ * Focus Tracker for CodeGuard Extension
+ *
+ * Tracks whether the exam tab (the tab that sent START_EXAM) is the active
+ * tab of the focused window. Every switch away — to another tab, another
+ * browser window or another application — opens an "away period"; returning
+ * closes it and accumulates its duration.
+ *
+ * State lives in chrome.storage.local so it survives service worker restarts.
+ * Events are serialized through a promise chain because tab and window events
+ * often fire back-to-back for a single user action.
+ */
+
+const STORAGE_KEY = 'focusState';
+
+const DEFAULTS = {
+  MAX_TOTAL_AWAY_SEC: 120, // Flag each time total time away crosses another multiple of this
+  MAX_CONTINUOUS_AWAY_SEC: 30, // Flag once per away period longer than this
+};
+
+function initialState() {
+  return {
+    active: false,
+    roomId: null,
+    examTabId: null,
+    examWindowId: null,
+    awaySince: null,
+    awayReason: null,
+    awayTarget: null,
+    awaySwitches: 0,
+    continuousFlagged: false,
+    totalAwayMs: 0,
+    longestAwayMs: 0,
+    awayCount: 0,
+    totalFlagCount: 0,
+    thresholds: {
+      maxTotalAwayMs: DEFAULTS.MAX_TOTAL_AWAY_SEC * 1000,
+      maxContinuousAwayMs: DEFAULTS.MAX_CONTINUOUS_AWAY_SEC * 1000,
+    },
+  };
+}
+
+class FocusTracker {
+  constructor() {
+    this.queue = Promise.resolve();
+    this.handlers = {
+      onAwayEnded: null, // (period, state) → void
+      onThresholdExceeded: null, // (kind, details) → void
+    };
+  }
+
+  setHandlers(handlers = {}) {
+    this.handlers = { ...this.handlers, ...handlers };
+  }
+
+  // ========== STATE ==========
+
+  async loadState() {
+    const { [STORAGE_KEY]: state } = await chrome.storage.local.get([STORAGE_KEY]);
+    return state ? { ...initialState(), ...state } : initialState();
+  }
+
+  async saveState(state) {
+    await chrome.storage.local.set({ [STORAGE_KEY]: state });
+  }
+
+  // Run `fn(state)` exclusively and persist its result.
+  run(fn) {
+    this.queue = this.queue
+      .then(async () => {
+        const state = await this.loadState();
+        await fn(state);
+        await this.saveState(state);
+      })
+      .catch((err) => console.error('❌ Focus tracker error:', err));
+    return this.queue;
+  }
+
+  // ========== LIFECYCLE ==========
+
+  /**
+   * Begin tracking for an exam. Counters are kept when tracking restarts for
+   * the same room (e.g. EXAM_STARTED resent after a page reload), so a reload
+   * can't reset the time-away total.
+   */
+  start({ roomId, policy = {} } = {}) {
+    return this.run(async (state) => {
+      if (state.roomId !== roomId) {
+        Object.assign(state, initialState(), {
+          examTabId: state.examTabId,
+          examWindowId: state.examWindowId,
+        });
+      }
+      state.active = true;
+      state.roomId = roomId;
+      state.thresholds = {
+        maxTotalAwayMs: (policy.maxTotalAwaySec ?? DEFAULTS.MAX_TOTAL_AWAY_SEC) * 1000,
+        maxContinuousAwayMs: (policy.maxContinuousAwaySec ?? DEFAULTS.MAX_CONTINUOUS_AWAY_SEC) * 1000,
+      };
+      await this.resync(state);
+      console.log(`👁️ Focus tracking started (exam tab ${state.examTabId})`);
+    });
+  }
+
+  stop() {
+    return this.run(async (state) => {
+      if (state.awaySince) this.endAway(state, Date.now());
+      state.active = false;
+      console.log(`👁️ Focus tracking stopped — ${(state.totalAwayMs / 1000).toFixed(0)}s away in ${state.awayCount} period(s)`);
+    });
+  }
+
+  // Remember which tab is the exam tab (sender of START_EXAM).
+  setExamTab(tabId, windowId) {
+    return this.run(async (state) => {
+      state.examTabId = tabId ?? null;
+      state.examWindowId = windowId ?? null;
+      if (state.active) await this.resync(state);
+    });
+  }
+
+  // ========== EVENT HANDLERS ==========
+
+  handleTabActivated({ tabId }) {
+    return this.run(async (state) => {
+      if (!state.active) return;
+      if (tabId === state.examTabId) {
+        this.markReturned(state);
+      } else {
+        this.markAway(state, 'tab_switch', await describeTab(tabId));
+      }
+    });
+  }
+
+  handleWindowFocusChanged(windowId) {
+    return this.run(async (state) => {
+      if (!state.active) return;
+      if (windowId === chrome.windows.WINDOW_ID_NONE) {
+        // Focus went to another application (or the desktop)
+        this.markAway(state, 'window_blur', null);
+        return;
+      }
+      await this.resync(state, windowId);
+    });
+  }
+
+  handleTabRemoved(tabId) {
+    return this.run(async (state) => {
+      if (!state.active || tabId !== state.examTabId) return;
+      state.examTabId = null;
+      this.markAway(state, 'exam_tab_closed', null);
+    });
+  }
+
+  /**
+   * Periodic check (driven by the keepAlive alarm) so a long, still-ongoing
+   * away period is flagged without waiting for the student to come back.
+   */
+  checkThresholds() {
+    return this.run(async (state) => {
+      if (!state.active || !state.awaySince) return;
+      this.checkContinuous(state, Date.now());
+    });
+  }
+
+  // ========== INTERNALS ==========
+
+  // Work out the current state from the focused window's active tab.
+  async resync(state, windowId = null) {
+    try {
+      const query = windowId != null
+        ? { active: true, windowId }
+        : { active: true, lastFocusedWindow: true };
+      const [activeTab] = await chrome.tabs.query(query);
+      if (!activeTab) return;
+      if (activeTab.id === state.examTabId) {
+        this.markReturned(state);
+      } else {
+        this.markAway(state, windowId != null ? 'window_switch' : 'tab_switch', summarizeTab(activeTab));
+      }
+    } catch (err) {
+      console.warn('⚠️ Focus resync failed:', err.message);
+    }
+  }
+
+  markAway(state, reason, target) {
+    if (state.awaySince) {
+      // Already away — moving between other tabs/windows extends the same period
+      state.awaySwitches += 1;
+      return;
+    }
+    state.awaySince = Date.now();
+    state.awayReason = reason;
+    state.awayTarget = target;
+    state.awaySwitches = 0;
+    state.continuousFlagged = false;
+    console.log(`👁️ Student left the exam tab (${reason})`, target || '');
+  }
+
+  markReturned(state) {
+    if (!state.awaySince) return;
+    this.endAway(state, Date.now());
+  }
+
+  endAway(state, now) {
+    const durationMs = now - state.awaySince;
+    const period = {
+      reason: state.awayReason,
+      target: state.awayTarget,
+      switches: state.awaySwitches,
+      startedAt: new Date(state.awaySince).toISOString(),
+      endedAt: new Date(now).toISOString(),
+      durationMs,
+    };
+
+    this.checkContinuous(state, now);
+
+    state.totalAwayMs += durationMs;
+    state.awayCount += 1;
+    state.longestAwayMs = Math.max(state.longestAwayMs, durationMs);
+    state.awaySince = null;
+    state.awayReason = null;
+    state.awayTarget = null;
+    state.awaySwitches = 0;
+
+    console.log(`👁️ Student returned after ${(durationMs / 1000).toFixed(1)}s (total away: ${(state.totalAwayMs / 1000).toFixed(0)}s)`);
+    this.handlers.onAwayEnded?.(period, summarize(state));
+
+    // Total threshold: flag again each time another multiple is crossed
+    const { maxTotalAwayMs } = state.thresholds;
+    const crossed = maxTotalAwayMs > 0 ? Math.floor(state.totalAwayMs / maxTotalAwayMs) : 0;
+    if (crossed > state.totalFlagCount) {
+      state.totalFlagCount = crossed;
+      this.handlers.onThresholdExceeded?.('total_time_away', { ...summarize(state), lastPeriod: period });
+    }
+  }
+
+  checkContinuous(state, now) {
+    const { maxContinuousAwayMs } = state.thresholds;
+    if (state.continuousFlagged || maxContinuousAwayMs <= 0) return;
+    const continuousMs = now - state.awaySince;
+    if (continuousMs < maxContinuousAwayMs) return;
+
+    state.continuousFlagged = true;
+    this.handlers.onThresholdExceeded?.('continuous_time_away', {
+      ...summarize(state),
+      continuousSecondsAway: Math.round(continuousMs / 1000),
+      reason: state.awayReason,
+      target: state.awayTarget,
+      awaySince: new Date(state.awaySince).toISOString(),
+    });
+  }
+}
+
+// ========== HELPERS ==========
+
+function summarizeTab(tab) {
+  if (!tab) return null;
+  return { tabId: tab.id, url: tab.url || tab.pendingUrl || null, title: tab.title || null };
+}
+
+async function describeTab(tabId) {
+  try {
+    return summarizeTab(await chrome.tabs.get(tabId));
+  } catch {
+    return { tabId, url: null, title: null };
+  }
+}
+
+function summarize(state) {
+  return {
+    secondsAway: Math.round(state.totalAwayMs / 1000),
+    awayCount: state.awayCount,
+    longestSecondsAway: Math.round(state.longestAwayMs / 1000),
+  };
+}
+
+// Export singleton instance
+export const focusTracker = new FocusTracker();
+export { DEFAULTS as FOCUS_DEFAULTS };
@@ -0,0 +1,118 @@
+/**
+ * File Integrity Self-Check for CodeGuard Extension
+ *
+ * Students load the extension unpacked, so its files can be edited. The
+ * packaging script writes `integrity.json` — SHA-256 hashes of every packaged
+ * file, signed with the release key — into the build. At exam start this
+ * module re-hashes the installed files (read back with
+ * fetch(chrome.runtime.getURL(...))) and binds them to a server-issued nonce,
+ * so the server can compare them with the signed manifest for this version
+ * and flag modified or mismatched builds before the exam begins.
+ *
+ * This can't stop a determined student (a modified worker can lie about its
+ * own hashes), but it turns "edit background.js" into "rewrite the
+ * attestation too", and catches stale or mixed-up installs outright.
+ */
+
+const MANIFEST_FILE = 'integrity.json';
+const ALGORITHM = 'SHA-256';
+
+function toHex(buffer) {
+  return [...new Uint8Array(buffer)].map(byte => byte.toString(16).padStart(2, '0')).join('');
+}
+
+async function sha256Hex(data) {
+  const bytes = typeof data === 'string' ? new TextEncoder().encode(data) : data;
+  return toHex(await crypto.subtle.digest(ALGORITHM, bytes));
+}
+
+// Raw bytes of a file in the installed extension, or null if it's missing.
+async function readExtensionFile(path) {
+  try {
+    const response = await fetch(chrome.runtime.getURL(path), { cache: 'no-store' });
+    if (!response.ok) return null;
+    return await response.arrayBuffer();
+  } catch {
+    return null;
+  }
+}
+
+// The bundled integrity.json (null in a dev checkout, which never has one).
+async function loadIntegrityManifest() {
+  const buffer = await readExtensionFile(MANIFEST_FILE);
+  if (!buffer) return null;
+  try {
+    return { manifest: JSON.parse(new TextDecoder().decode(buffer)), hash: await sha256Hex(buffer) };
+  } catch {
+    return null;
+  }
+}
+
+// Without integrity.json, fall back to the entry points Chrome itself loads.
+function entryPointFiles() {
+  const manifest = chrome.runtime.getManifest();
+  const files = new Set(['manifest.json']);
+  if (manifest.background?.service_worker) files.add(manifest.background.service_worker);
+  for (const script of manifest.content_scripts || []) {
+    for (const file of script.js || []) files.add(file);
+  }
+  return [...files];
+}
+
+/**
+ * Hash every file listed in integrity.json (or the entry points when it's
+ * missing).
+ * @returns {Promise<{ files: object, expected: object|null, manifestHash: string|null, signature: string|null }>}
+ *   files maps path → hex SHA-256 (null for a listed file that's missing);
+ *   expected is integrity.json's own map
+ */
+export async function collectFileHashes() {
+  const bundled = await loadIntegrityManifest();
+  const paths = bundled?.manifest?.files ? Object.keys(bundled.manifest.files) : entryPointFiles();
+
+  const files = {};
+  for (const path of paths.sort()) {
+    const buffer = await readExtensionFile(path);
+    files[path] = buffer ? await sha256Hex(buffer) : null;
+  }
+
+  return {
+    files,
+    expected: bundled?.manifest?.files || null,
+    manifestHash: bundled?.hash || null,
+    signature: bundled?.manifest?.signature || null,
+  };
+}
+
+/**
+ * Answer a server challenge. `digest` binds the nonce to the hash set
+ * (SHA-256 of the nonce and the sorted "path:hash" lines), so a recorded
+ * attestation can't be replayed for a later challenge.
+ */
+export async function buildAttestation(nonce) {
+  const { files, expected, manifestHash, signature } = await collectFileHashes();
+  const lines = Object.entries(files).map(([path, hash]) => `${path}:${hash || 'missing'}`);
+
+  // Local comparison for the log; the server's check is the one that counts
+  const mismatches = Object.entries(expected || {})
+    .filter(([path, hash]) => files[path] !== hash)
+    .map(([path]) => path);
+  if (mismatches.length > 0) {
+    console.warn(`⚠️ Integrity: ${mismatches.length} file(s) differ from integrity.json:`, mismatches);
+  }
+
+  return {
+    nonce,
+    algorithm: ALGORITHM,
+    version: chrome.runtime.getManifest().version,
+    files,
+    manifestHash,
+    manifestSignature: signature,
+    manifestMissing: manifestHash === null,
+    localMismatches: mismatches,
+    digest: await sha256Hex([nonce, ...lines].join('\n')),
+    createdAt: new Date().toISOString(),
+  };
+}
+
+export { MANIFEST_FILE as INTEGRITY_MANIFEST_FILE };
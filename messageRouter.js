@@ -0,0 +1,198 @@
+/**
+ * Message Router for CodeGuard Extension
+ *
+ * Registry for chrome.runtime messages. Each message type declares:
+ *
+ *   schema       - fields the message must/may carry (type, size limits, ...)
+ *   requiresExam - refuse unless examActive is true
+ *   handler      - async (message, sender) → result object
+ *
+ * handle() validates the message before the handler ever sees it and always
+ * answers with the same envelope:
+ *
+ *   { success: true, ...result }
+ *   { success: false, error: { code, message } }
+ *
+ * so the web app can branch on stable error codes instead of message text.
+ */
+
+/**
+ * Bridge protocol version, reported in PONG. Bump when the page-facing
+ * contract changes:
+ *   1 - original untyped bridge (RESPONSE with originalType only)
+ *   2 - requestId echo + { success, error: { code, message } } envelope
+ *   3 - PING/PONG handshake: version, capabilities, minProtocolVersion
+ */
+export const PROTOCOL_VERSION = 3;
+
+export const ERROR_CODES = {
+  INVALID_MESSAGE: 'INVALID_MESSAGE', // Not an object / no type
+  UNKNOWN_TYPE: 'UNKNOWN_TYPE', // No handler registered
+  VALIDATION_FAILED: 'VALIDATION_FAILED', // A field failed its schema
+  FORBIDDEN_ORIGIN: 'FORBIDDEN_ORIGIN', // Bridge policy refused the sender
+  EXAM_NOT_ACTIVE: 'EXAM_NOT_ACTIVE', // requiresExam and no exam running
+  EXAM_ACTIVE: 'EXAM_ACTIVE', // Refused because an exam is running
+  CONFIG_LOCKED: 'CONFIG_LOCKED', // Options lock blocks auto-config
+  ADMIN_PIN_INVALID: 'ADMIN_PIN_INVALID', // Options admin PIN missing or wrong
+  SERVER_VERIFICATION_FAILED: 'SERVER_VERIFICATION_FAILED', // /health isn't CodeGuard
+  UPGRADE_REQUIRED: 'UPGRADE_REQUIRED', // Page needs a newer bridge protocol
+  VERSION_TOO_OLD: 'VERSION_TOO_OLD', // Extension below version.json's minVersion
+  OPERATION_FAILED: 'OPERATION_FAILED', // Handler reported a failure
+  INTERNAL_ERROR: 'INTERNAL_ERROR', // Handler threw unexpectedly
+};
+
+/**
+ * Error with a stable code, thrown by handlers (or validation) to produce a
+ * failure envelope with that code.
+ */
+export class MessageError extends Error {
+  constructor(code, message, details = {}) {
+    super(message);
+    this.name = 'MessageError';
+    this.code = code;
+    this.details = details; // Extra fields merged into the envelope's error
+  }
+}
+
+// ========== SCHEMA VALIDATION ==========
+
+// Reusable field specs
+export const FIELDS = {
+  id: { type: 'string', maxLength: 128, pattern: /^[\w.:@-]+$/ },
+  name: { type: 'string', maxLength: 256 },
+  token: { type: 'string', maxLength: 8192, pattern: /^[\w.~+/=-]*$/, nullable: true },
+  url: { type: 'string', maxLength: 2048, pattern: /^https?:\/\//i },
+  time: { type: ['string', 'number'], maxLength: 64 }, // ISO string or epoch ms
+  dataUrl: { type: 'string', maxLength: 64 * 1024 * 1024, pattern: /^data:[\w/+.-]+(;[\w=.,+-]+)*;base64,/ }, // Parameters may hold commas (codecs=vp8,opus)
+  chunkIndex: { type: 'integer', min: 0, max: 100000 },
+  details: { type: 'object', maxBytes: 64 * 1024 },
+};
+
+function typeOf(value) {
+  if (value === null) return 'null';
+  if (Array.isArray(value)) return 'array';
+  if (Number.isInteger(value)) return 'integer';
+  return typeof value;
+}
+
+function checkField(name, value, spec) {
+  if (value === undefined || (value === null && spec.nullable)) {
+    if (spec.required) throw new MessageError(ERROR_CODES.VALIDATION_FAILED, `"${name}" is required`);
+    return;
+  }
+
+  const actual = typeOf(value);
+  const types = [].concat(spec.type);
+  const typeMatches = types.some(type => type === actual || (type === 'number' && actual === 'integer'));
+  if (!typeMatches || (actual === 'number' && !Number.isFinite(value))) {
+    throw new MessageError(ERROR_CODES.VALIDATION_FAILED, `"${name}" must be ${types.join(' or ')}`);
+  }
+
+  const isString = actual === 'string';
+  const isNumber = actual === 'number' || actual === 'integer';
+  if (isString && spec.maxLength != null && value.length > spec.maxLength) {
+    throw new MessageError(ERROR_CODES.VALIDATION_FAILED, `"${name}" exceeds ${spec.maxLength} characters`);
+  }
+  if (isString && spec.pattern && !spec.pattern.test(value)) {
+    throw new MessageError(ERROR_CODES.VALIDATION_FAILED, `"${name}" has an invalid format`);
+  }
+  if (isNumber && spec.min != null && value < spec.min) {
+    throw new MessageError(ERROR_CODES.VALIDATION_FAILED, `"${name}" must be >= ${spec.min}`);
+  }
+  if (isNumber && spec.max != null && value > spec.max) {
+    throw new MessageError(ERROR_CODES.VALIDATION_FAILED, `"${name}" must be <= ${spec.max}`);
+  }
+  if (spec.enum && !spec.enum.includes(value)) {
+    throw new MessageError(ERROR_CODES.VALIDATION_FAILED, `"${name}" must be one of ${spec.enum.join(', ')}`);
+  }
+  if (spec.maxBytes != null && JSON.stringify(value).length > spec.maxBytes) {
+    throw new MessageError(ERROR_CODES.VALIDATION_FAILED, `"${name}" exceeds ${spec.maxBytes} bytes`);
+  }
+}
+
+/**
+ * Validate `message` against a schema ({ field: spec }). Fields not in the
+ * schema are left alone (the page sends extra context we don't use).
+ * @throws {MessageError} VALIDATION_FAILED
+ */
+export function validateMessage(message, schema = {}) {
+  for (const [name, spec] of Object.entries(schema)) {
+    checkField(name, message[name], spec);
+  }
+}
+
+// ========== ROUTER ==========
+
+function failure(code, message, details = {}) {
+  return { success: false, error: { code, message, ...details } };
+}
+
+// Handlers may return legacy `{ success: false, error: '...' }` objects
+// (e.g. screenRecorder results); map those onto the envelope.
+function toEnvelope(result) {
+  if (result && result.success === false) {
+    const text = typeof result.error === 'string' ? result.error : result.message;
+    return failure(result.code || ERROR_CODES.OPERATION_FAILED, text || 'Operation failed');
+  }
+  const { success, ...rest } = result || {};
+  return { success: true, ...rest };
+}
+
+export class MessageRouter {
+  constructor({ isExamActive } = {}) {
+    this.routes = new Map();
+    this.isExamActive = isExamActive || (async () => false);
+  }
+
+  /**
+   * @param {string} type - message.type
+   * @param {{ schema?: object, requiresExam?: boolean, handler: Function }} route
+   */
+  register(type, { schema = {}, requiresExam = false, handler }) {
+    this.routes.set(type, { schema, requiresExam, handler });
+    return this;
+  }
+
+  // Registered message types (advertised as capabilities in PONG)
+  types() {
+    return [...this.routes.keys()];
+  }
+
+  // @returns {Promise<object>} the response envelope (never rejects)
+  async handle(message, sender) {
+    if (!message || typeof message !== 'object' || typeof message.type !== 'string') {
+      return failure(ERROR_CODES.INVALID_MESSAGE, 'Message must be an object with a string "type"');
+    }
+
+    const route = this.routes.get(message.type);
+    if (!route) {
+      return failure(ERROR_CODES.UNKNOWN_TYPE, `Unknown message type "${message.type.slice(0, 64)}"`);
+    }
+
+    try {
+      validateMessage(message, route.schema);
+
+      if (route.requiresExam && !(await this.isExamActive())) {
+        throw new MessageError(ERROR_CODES.EXAM_NOT_ACTIVE, `${message.type} requires an active exam`);
+      }
+
+      return toEnvelope(await route.handler(message, sender));
+    } catch (err) {
+      if (err instanceof MessageError) {
+        console.warn(`⚠️ ${message.type} refused (${err.code}): ${err.message}`);
+        return failure(err.code, err.message, err.details);
+      }
+      console.error(`❌ ${message.type} handler failed:`, err);
+      return failure(ERROR_CODES.INTERNAL_ERROR, err?.message || 'Internal error');
+    }
+  }
+}
+
+export default {
+  PROTOCOL_VERSION,
+  ERROR_CODES,
+  FIELDS,
+  MessageError,
+  MessageRouter,
+  validateMessage,
+};
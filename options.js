@@ -2,34 +2,126 @@
  * CodeGuard Proctor — Options page logic.
  * Persists Server/Client URLs to chrome.storage.local; config.js reads these
  * (and reacts to changes live via storage.onChanged).
+ *
+ * Once an admin PIN is set (adminPin.js), changing the URLs, the server key or
+ * the lock needs it, and the lock can't change at all during an exam.
+ *
+ * Settings pushed by enterprise policy (chrome.storage.managed) are shown
+ * read-only and never written to local storage.
+ *
+ * The form edits one server profile (serverProfiles.js). Saving the active
+ * profile applies it right away; other profiles only take effect once
+ * switched to, which background.js does (and refuses during an exam).
  */
 
+import { importServerPublicKey } from "./serverIdentity.js";
+import { hasAdminPin, verifyAdminPin, setAdminPin } from "./adminPin.js";
+import { loadProfiles, saveProfiles, validateProfile, exportProfiles, parseProfileImport } from "./serverProfiles.js";
+import { runDiagnostics } from "./diagnostics.js";
+
 const $ = (id) => document.getElementById(id);
 const DEFAULTS = { serverUrl: "http://localhost:3000", clientUrl: "http://localhost:5173" };
+const PROTECTED_KEYS = ["serverUrl", "clientUrl", "serverPublicKey", "configLocked"];
+
+let managed = {}; // Policy values, keyed like PROTECTED_KEYS
+let profiles = [];
+let activeId = null;
+let selectedId = null; // Profile shown in the form
+let diagnosticReport = null; // Last "Test connection" run, for Copy report
 
 const trimSlash = (v) => (v || "").trim().replace(/\/$/, "");
 
-function setStatus(msg, ok = true) {
-  const el = $("status");
+function setStatus(msg, ok = true, id = "status") {
+  const el = $(id);
   el.textContent = msg;
   el.className = `status ${ok ? "ok" : "err"}`;
   if (msg) setTimeout(() => { el.textContent = ""; el.className = "status"; }, 2500);
 }
 
+// Settings as stored, normalized the same way the form is read.
+async function readStored() {
+  const stored = await chrome.storage.local.get(["serverUrl", "clientUrl", "apiBaseUrl", "configLocked", "serverPublicKey", "examActive"]);
+  return {
+    serverUrl: stored.serverUrl || stored.apiBaseUrl || DEFAULTS.serverUrl,
+    clientUrl: stored.clientUrl || DEFAULTS.clientUrl,
+    serverPublicKey: stored.serverPublicKey || "",
+    configLocked: stored.configLocked === true,
+    examActive: stored.examActive === true,
+  };
+}
+
+async function readManaged() {
+  try {
+    return await chrome.storage.managed.get(PROTECTED_KEYS);
+  } catch {
+    return {}; // No policy installed
+  }
+}
+
+const selectedProfile = () => profiles.find((profile) => profile.id === selectedId);
+
+function renderProfiles(examActive) {
+  const select = $("profileSelect");
+  select.replaceChildren(...profiles.map((profile) => {
+    const option = document.createElement("option");
+    option.value = profile.id;
+    option.textContent = profile.id === activeId ? `${profile.name} (active)` : profile.name;
+    return option;
+  }));
+  select.value = selectedId;
+  $("profileName").value = selectedProfile()?.name || "";
+
+  const isActive = selectedId === activeId;
+  $("switchProfile").disabled = isActive || examActive || !!(managed.serverUrl || managed.clientUrl);
+  $("deleteProfile").disabled = isActive;
+  $("profileHint").textContent = examActive
+    ? "An exam is in progress — profiles can't be switched until it ends."
+    : isActive
+      ? "This profile is in use. Saving applies the changes right away."
+      : "Editing an inactive profile. Switch to it to use it.";
+}
+
 async function load() {
-  const stored = await chrome.storage.local.get(["serverUrl", "clientUrl", "apiBaseUrl", "configLocked"]);
-  $("serverUrl").value = stored.serverUrl || stored.apiBaseUrl || DEFAULTS.serverUrl;
-  $("clientUrl").value = stored.clientUrl || DEFAULTS.clientUrl;
-  $("configLocked").checked = stored.configLocked === true;
+  const stored = await readStored();
+  managed = await readManaged();
+  ({ profiles, activeId } = await loadProfiles());
+  if (!selectedProfile()) selectedId = activeId;
+  renderProfiles(stored.examActive);
+
+  // The active profile shows the live settings; others show their record
+  const source = selectedId === activeId ? stored : selectedProfile();
+  const value = (key) => managed[key] ?? source[key];
+
+  $("serverUrl").value = value("serverUrl");
+  $("clientUrl").value = value("clientUrl");
+  $("configLocked").checked = value("configLocked") === true;
+  $("serverPublicKey").value = value("serverPublicKey") || "";
+
+  for (const key of PROTECTED_KEYS) {
+    $(key).disabled = key in managed;
+    $(key).title = key in managed ? "Managed by your organization" : "";
+  }
+  $("managedNote").hidden = Object.keys(managed).length === 0;
+
+  if (stored.examActive) $("configLocked").disabled = true;
+  if (stored.examActive) $("lockHint").textContent = "An exam is in progress — the lock can't be changed until it ends.";
+
+  const pinSet = await hasAdminPin();
+  $("pinField").hidden = !pinSet;
+  $("pinTitle").textContent = pinSet ? "Change admin PIN" : "Set admin PIN";
 }
 
 async function save() {
-  const serverUrl = trimSlash($("serverUrl").value) || DEFAULTS.serverUrl;
-  const clientUrl = trimSlash($("clientUrl").value) || DEFAULTS.clientUrl;
+  const settings = {
+    serverUrl: trimSlash($("serverUrl").value) || DEFAULTS.serverUrl,
+    clientUrl: trimSlash($("clientUrl").value) || DEFAULTS.clientUrl,
+    serverPublicKey: $("serverPublicKey").value.trim(),
+    configLocked: $("configLocked").checked, // when true, page auto-config is ignored
+  };
 
   try {
     // Basic validation — must be a parseable http(s) URL.
-    for (const u of [serverUrl, clientUrl]) {
+    for (const u of [settings.serverUrl, settings.clientUrl]) {
       const parsed = new URL(u);
       if (!/^https?:$/.test(parsed.protocol)) throw new Error("Use http:// or https://");
     }
@@ -38,15 +130,249 @@ async function save() {
     return;
   }
 
-  await chrome.storage.local.set({
-    serverUrl,
-    clientUrl,
-    apiBaseUrl: serverUrl, // legacy key kept in sync
-    configLocked: $("configLocked").checked, // when true, page auto-config is ignored
-  });
+  if (settings.serverPublicKey) {
+    try {
+      await importServerPublicKey(settings.serverPublicKey);
+    } catch {
+      setStatus("Invalid public key: expected an ECDSA P-256 PEM key", false);
+      return;
+    }
+  }
+
+  const { profile, error } = validateProfile({ ...selectedProfile(), ...settings, name: $("profileName").value });
+  if (error) {
+    setStatus(error, false);
+    return;
+  }
+  // Managed values are shown, not owned — keep the profile's own ones
+  for (const key of Object.keys(managed)) {
+    if (key in profile) profile[key] = selectedProfile()[key] ?? profile[key];
+  }
+
+  if (selectedId !== activeId) {
+    await saveProfiles(profiles.map((entry) => (entry.id === profile.id ? profile : entry)));
+    setStatus("✓ Profile saved. Switch to it to use it.", true);
+    await load();
+    return;
+  }
+
+  const stored = await readStored();
+  const changed = PROTECTED_KEYS.filter((key) => !(key in managed) && settings[key] !== stored[key]);
+  if (changed.length === 0) {
+    await saveProfiles(profiles.map((entry) => (entry.id === profile.id ? profile : entry)));
+    setStatus("✓ Saved.", true);
+    await load();
+    return;
+  }
+  if (stored.examActive && changed.includes("configLocked")) {
+    setStatus("The lock can't be changed during an exam.", false);
+    return;
+  }
+  if (!(await verifyAdminPin($("pin").value))) {
+    setStatus("Incorrect admin PIN. This attempt has been recorded.", false);
+    $("pin").value = "";
+    return;
+  }
+
+  // Only what changed — managed keys are never copied into local storage
+  const updates = {};
+  for (const key of changed) updates[key] = settings[key];
+  if (changed.includes("serverUrl")) updates.apiBaseUrl = settings.serverUrl; // legacy key kept in sync
+  if (changed.includes("serverPublicKey") && !settings.serverPublicKey) {
+    delete updates.serverPublicKey;
+    await chrome.storage.local.remove("serverPublicKey");
+  }
+  await chrome.storage.local.set(updates);
+  await saveProfiles(profiles.map((entry) => (entry.id === profile.id ? profile : entry)));
+  $("pin").value = "";
   setStatus("✓ Saved. Reopen the exam tab to apply.", true);
+  await load();
+}
+
+// ========== PROFILES ==========
+
+async function switchProfile() {
+  const response = await chrome.runtime.sendMessage({ type: "SWITCH_PROFILE", profileId: selectedId, pin: $("pin").value });
+  $("pin").value = "";
+  if (!response?.success) {
+    const message = response?.error?.code === "ADMIN_PIN_INVALID"
+      ? "Incorrect admin PIN. This attempt has been recorded."
+      : response?.error?.message || "Switch failed";
+    setStatus(message, false, "profileStatus");
+    return;
+  }
+  setStatus(`✓ Now using "${response.profile.name}". Reopen the exam tab to apply.`, true, "profileStatus");
+  await load();
+}
+
+async function newProfile() {
+  let n = profiles.length + 1;
+  while (profiles.some((profile) => profile.name === `Profile ${n}`)) n += 1;
+  // Start from what's in the form, so "New" doubles as "duplicate"
+  const { profile } = validateProfile({
+    name: `Profile ${n}`,
+    serverUrl: trimSlash($("serverUrl").value) || DEFAULTS.serverUrl,
+    clientUrl: trimSlash($("clientUrl").value) || DEFAULTS.clientUrl,
+    configLocked: $("configLocked").checked,
+    serverPublicKey: $("serverPublicKey").value,
+  });
+  if (!profile) {
+    setStatus("Fix the URLs above before creating a profile.", false, "profileStatus");
+    return;
+  }
+  await saveProfiles([...profiles, profile]);
+  selectedId = profile.id;
+  await load();
+  $("profileName").focus();
+}
+
+async function deleteProfile() {
+  const profile = selectedProfile();
+  if (!profile || profile.id === activeId) return;
+  if (!confirm(`Delete the "${profile.name}" profile?`)) return;
+  await saveProfiles(profiles.filter((entry) => entry.id !== profile.id));
+  selectedId = activeId;
+  setStatus(`✓ Deleted "${profile.name}".`, true, "profileStatus");
+  await load();
+}
+
+function downloadProfiles() {
+  const blob = new Blob([exportProfiles(profiles)], { type: "application/json" });
+  const url = URL.createObjectURL(blob);
+  const link = document.createElement("a");
+  link.href = url;
+  link.download = "codeguard-server-profiles.json";
+  link.click();
+  URL.revokeObjectURL(url);
+}
+
+// Same-named profiles are updated in place, except the active one (that would
+// change live settings without the PIN); the rest are added.
+async function importProfiles(file) {
+  const { profiles: imported, error } = parseProfileImport(await file.text());
+  if (error) {
+    setStatus(`Import failed: ${error}`, false, "profileStatus");
+    return;
+  }
+
+  let next = [...profiles];
+  let skipped = 0;
+  for (const profile of imported) {
+    const existing = next.find((entry) => entry.name === profile.name);
+    if (existing?.id === activeId) {
+      skipped += 1;
+    } else if (existing) {
+      next = next.map((entry) => (entry.id === existing.id ? { ...profile, id: existing.id } : entry));
+    } else {
+      next.push(profile);
+    }
+  }
+  await saveProfiles(next);
+  setStatus(`✓ Imported ${imported.length - skipped} profile(s)${skipped ? `, skipped the active one` : ""}.`, true, "profileStatus");
+  await load();
+}
+
+async function savePin() {
+  const newPin = $("newPin").value;
+  if (newPin !== $("newPinConfirm").value) {
+    setStatus("PINs don't match.", false, "pinStatus");
+    return;
+  }
+
+  const result = await setAdminPin(newPin, $("pin").value);
+  if (!result.success) {
+    setStatus(result.error, false, "pinStatus");
+    return;
+  }
+  $("newPin").value = "";
+  $("newPinConfirm").value = "";
+  $("pin").value = "";
+  setStatus("✓ Admin PIN saved.", true, "pinStatus");
+  await load();
+}
+
+// ========== TEST CONNECTION ==========
+
+function renderDiagnosticStep(step) {
+  const item = document.createElement("li");
+  item.className = `diag-${step.status}`;
+  const label = document.createElement("div");
+  label.className = "diag-label";
+  label.textContent = step.label;
+  const detail = document.createElement("div");
+  detail.className = "diag-detail";
+  detail.textContent = step.detail;
+  item.append(label, detail);
+  if (step.hint) {
+    const hint = document.createElement("div");
+    hint.className = "diag-hint";
+    hint.textContent = step.hint;
+    item.append(hint);
+  }
+  $("diagSteps").append(item);
+}
+
+async function testConnection() {
+  const { token, roomId: storedRoomId } = await chrome.storage.local.get(["token", "roomId"]);
+  const target = {
+    serverUrl: trimSlash($("serverUrl").value),
+    token: token || null,
+    roomId: $("diagRoomId").value.trim() || storedRoomId || "diagnostics",
+  };
+
+  $("runDiagnostics").disabled = true;
+  $("copyDiagnostics").disabled = true;
+  $("diagSteps").replaceChildren();
+  try {
+    const steps = await runDiagnostics(target, renderDiagnosticStep);
+    diagnosticReport = {
+      generatedAt: new Date().toISOString(),
+      extensionVersion: chrome.runtime.getManifest().version,
+      userAgent: navigator.userAgent,
+      profile: selectedProfile()?.name || null,
+      serverUrl: target.serverUrl,
+      clientUrl: trimSlash($("clientUrl").value),
+      managedKeys: Object.keys(managed),
+      roomId: target.roomId,
+      tokenPresent: !!target.token, // Never the token itself
+      steps,
+    };
+    const failed = steps.filter((step) => step.status === "fail").length;
+    setStatus(failed ? `${failed} step(s) failed — see the hints above.` : "✓ All checks passed.", !failed, "diagStatus");
+  } finally {
+    $("runDiagnostics").disabled = false;
+    $("copyDiagnostics").disabled = !diagnosticReport;
+  }
+}
+
+async function copyDiagnostics() {
+  try {
+    await navigator.clipboard.writeText(JSON.stringify(diagnosticReport, null, 2));
+    setStatus("✓ Report copied — paste it into your support ticket.", true, "diagStatus");
+  } catch (err) {
+    setStatus(`Copy failed: ${err.message}`, false, "diagStatus");
+  }
 }
 
 $("save").addEventListener("click", save);
-document.addEventListener("DOMContentLoaded", load);
+$("runDiagnostics").addEventListener("click", testConnection);
+$("copyDiagnostics").addEventListener("click", copyDiagnostics);
+$("setPin").addEventListener("click", savePin);
+$("profileSelect").addEventListener("change", (event) => {
+  selectedId = event.target.value;
+  load();
+});
+$("switchProfile").addEventListener("click", switchProfile);
+$("newProfile").addEventListener("click", newProfile);
+$("deleteProfile").addEventListener("click", deleteProfile);
+$("exportProfiles").addEventListener("click", downloadProfiles);
+$("importProfiles").addEventListener("click", () => $("importFile").click());
+$("importFile").addEventListener("change", async (event) => {
+  const [file] = event.target.files;
+  event.target.value = "";
+  if (file) await importProfiles(file);
+});
+chrome.storage.onChanged.addListener((changes, area) => {
+  if (area === "managed") load(); // Policy pushed while the page is open
+});
 load();
@@ -7,10 +7,15 @@
  * Usage:
  *   node package-extension.js
  *   node package-extension.js --version 1.1
+ *
+ * Also writes integrity.json (SHA-256 of every packaged file) into the build.
+ * Set CODEGUARD_SIGNING_KEY to the path of the release ECDSA P-256 private key
+ * (PEM) to sign it; unsigned manifests are flagged by the server.
  */
 
 const fs = require('fs');
 const path = require('path');
+const crypto = require('crypto');
 const { execSync } = require('child_process');
 
 const EXTENSION_DIR = __dirname;
@@ -27,12 +32,34 @@ if (!fs.existsSync(OUTPUT_DIR)) {
 // Files to include in the package
 const FILES_TO_INCLUDE = [
   'manifest.json',
+  'managed_schema.json',
   'background.js',
   'config.js',
   'content.js',
+  'typingCadence.js',
   'html2canvas.min.js',
   'recording.js',
   'screenRecorder.js',
+  'whitelistRules.js',
+  'enforcement.js',
+  'blocked.html',
+  'blocked.js',
+  'focusTracker.js',
+  'flagQueue.js',
+  'violationSessions.js',
+  'screenshotPipeline.js',
+  'screenshotSampler.js',
+  'serverChannel.js',
+  'messageRouter.js',
+  'autoConfig.js',
+  'integrity.js',
+  'versionCheck.js',
+  'serverIdentity.js',
+  'adminPin.js',
+  'serverProfiles.js',
+  'diagnostics.js',
+  'options.html',
+  'options.js',
   'README.md',
 ];
 
@@ -70,6 +97,38 @@ if (process.argv.includes('--version')) {
   console.log(`   ✓ Updated manifest.json version to ${VERSION}`);
 }
 
+// Write the signed file manifest (after every edit to the packaged files)
+console.log('\n🔏 Writing integrity manifest...');
+const integrity = {
+  version: VERSION,
+  algorithm: 'SHA-256',
+  files: {},
+};
+FILES_TO_INCLUDE.slice().sort().forEach(file => {
+  const filePath = path.join(TEMP_DIR, file);
+  if (!fs.existsSync(filePath)) return;
+  integrity.files[file] = crypto.createHash('sha256').update(fs.readFileSync(filePath)).digest('hex');
+});
+
+// Signature covers exactly { version, algorithm, files } as serialized here;
+// IEEE P1363 encoding so WebCrypto can verify it too
+const signingKeyPath = process.env.CODEGUARD_SIGNING_KEY;
+if (signingKeyPath) {
+  const privateKey = crypto.createPrivateKey(fs.readFileSync(signingKeyPath));
+  integrity.signature = crypto.sign('sha256', Buffer.from(JSON.stringify(integrity)), {
+    key: privateKey,
+    dsaEncoding: 'ieee-p1363',
+  }).toString('base64');
+  console.log(`   ✓ Signed ${Object.keys(integrity.files).length} file hashes`);
+} else {
+  integrity.signature = null;
+  console.warn('   ⚠ CODEGUARD_SIGNING_KEY not set - integrity.json is unsigned');
+}
+integrity.generatedAt = new Date().toISOString();
+const integrityJson = JSON.stringify(integrity, null, 2);
+fs.writeFileSync(path.join(TEMP_DIR, 'integrity.json'), integrityJson);
+console.log('   ✓ integrity.json');
+
 // Create ZIP file
 const zipFileName = `codeguard-extension-v${VERSION}.zip`;
 const zipFilePath = path.join(OUTPUT_DIR, zipFileName);
@@ -109,11 +168,19 @@ try {
     fs.copyFileSync(zipFilePath, serverZipPath);
     console.log(`   ✓ Copied zip to ${serverZipPath}`);
 
-    // 2. Create version.json
-    const versionData = { version: VERSION };
-    fs.writeFileSync(path.join(SERVER_PUBLIC_DIR, 'version.json'), JSON.stringify(versionData, null, 2));
+    // 2. Create version.json (keeping the server's minVersion / per-room overrides)
+    const versionPath = path.join(SERVER_PUBLIC_DIR, 'version.json');
+    const previousVersionData = fs.existsSync(versionPath)
+      ? JSON.parse(fs.readFileSync(versionPath, 'utf8'))
+      : {};
+    const versionData = { ...previousVersionData, version: VERSION };
+    fs.writeFileSync(versionPath, JSON.stringify(versionData, null, 2));
     console.log(`   ✓ Updated version.json to ${VERSION}`);
 
+    // 3. Publish the integrity manifest for attestation checks
+    fs.writeFileSync(path.join(SERVER_PUBLIC_DIR, `integrity-${VERSION}.json`), integrityJson);
+    console.log(`   ✓ Published integrity-${VERSION}.json`);
+
     console.log(`\n📤 Ready for upload!`);
     console.log(`   The extension has been copied to the server's public folder.`);
     console.log(`   Just push the server code to deploy.`);
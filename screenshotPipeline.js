@@ -0,0 +1,233 @@
+/**
+ * Screenshot Pipeline for CodeGuard Extension
+ *
+ * Turns a raw captureVisibleTab data URL into upload-ready evidence:
+ *
+ *   1. decode with createImageBitmap
+ *   2. downscale on an OffscreenCanvas to the room's max width
+ *   3. re-encode (WebP or JPEG), stepping quality down until the target size
+ *   4. compute a 64-bit difference hash (dHash) of the image
+ *   5. if a screenshot of the same page (URL or tab) taken moments ago is
+ *      visually identical, send a reference to it instead of the pixels
+ *   6. produce a small thumbnail for the proctor's list views
+ *
+ * Settings come from `roomPolicy.screenshots`; anything missing falls back to
+ * DEFAULTS. Recent hashes are kept in chrome.storage.local so deduplication
+ * survives service worker restarts.
+ */
+
+const STORAGE_KEY = 'screenshotHashes';
+
+const DEFAULTS = {
+  MAX_WIDTH: 1280, // px — 4K captures are downscaled to this
+  FORMAT: 'webp', // 'webp' | 'jpeg'
+  TARGET_KB: 150, // Step quality down until the image fits
+  START_QUALITY: 0.8,
+  MIN_QUALITY: 0.4,
+  THUMBNAIL_WIDTH: 240, // px
+  THUMBNAIL_QUALITY: 0.6,
+  DEDUPE: true,
+  DEDUPE_MAX_DISTANCE: 4, // Hamming distance (of 64 bits) still counted as "same screen"
+  DEDUPE_WINDOW: 20, // Recent screenshots remembered per room
+  DEDUPE_MAX_AGE_MS: 2 * 60 * 1000, // Older captures are never referenced
+};
+
+const MIME_TYPES = { webp: 'image/webp', jpeg: 'image/jpeg' };
+
+function resolvePolicy(policy = {}) {
+  const format = MIME_TYPES[policy.format] ? policy.format : DEFAULTS.FORMAT;
+  return {
+    maxWidth: policy.maxWidth ?? DEFAULTS.MAX_WIDTH,
+    mimeType: MIME_TYPES[format],
+    targetBytes: (policy.targetKb ?? DEFAULTS.TARGET_KB) * 1024,
+    thumbnailWidth: policy.thumbnailWidth ?? DEFAULTS.THUMBNAIL_WIDTH,
+    dedupe: policy.dedupe ?? DEFAULTS.DEDUPE,
+    dedupeMaxDistance: policy.dedupeMaxDistance ?? DEFAULTS.DEDUPE_MAX_DISTANCE,
+    dedupeMaxAgeMs: policy.dedupeMaxAgeMs ?? DEFAULTS.DEDUPE_MAX_AGE_MS,
+  };
+}
+
+// ========== ENCODING HELPERS ==========
+
+async function blobToBase64(blob) {
+  const bytes = new Uint8Array(await blob.arrayBuffer());
+  let binary = '';
+  const CHUNK = 0x8000; // Avoid call-stack limits on large images
+  for (let i = 0; i < bytes.length; i += CHUNK) {
+    binary += String.fromCharCode.apply(null, bytes.subarray(i, i + CHUNK));
+  }
+  return btoa(binary);
+}
+
+function drawScaled(bitmap, width) {
+  const scale = Math.min(1, width / bitmap.width);
+  const canvas = new OffscreenCanvas(
+    Math.max(1, Math.round(bitmap.width * scale)),
+    Math.max(1, Math.round(bitmap.height * scale))
+  );
+  const ctx = canvas.getContext('2d');
+  ctx.imageSmoothingQuality = 'high';
+  ctx.drawImage(bitmap, 0, 0, canvas.width, canvas.height);
+  return canvas;
+}
+
+/**
+ * Encode at decreasing quality until the blob fits `targetBytes`. If even the
+ * minimum quality is too large, the best (smallest) attempt is returned.
+ */
+async function encodeToTarget(canvas, mimeType, targetBytes) {
+  let blob = null;
+  for (let quality = DEFAULTS.START_QUALITY; quality >= DEFAULTS.MIN_QUALITY - 1e-9; quality -= 0.1) {
+    blob = await canvas.convertToBlob({ type: mimeType, quality });
+    if (blob.size <= targetBytes) break;
+  }
+  return blob;
+}
+
+// ========== PERCEPTUAL HASH ==========
+
+/**
+ * Difference hash: shrink to 9×8 grayscale and compare each pixel with its
+ * right neighbour. Robust to re-encoding and scaling, so an unchanged screen
+ * hashes the same from one capture to the next.
+ */
+function computeDHash(bitmap) {
+  const canvas = new OffscreenCanvas(9, 8);
+  const ctx = canvas.getContext('2d', { willReadFrequently: true });
+  ctx.drawImage(bitmap, 0, 0, 9, 8);
+  const { data } = ctx.getImageData(0, 0, 9, 8);
+
+  const gray = [];
+  for (let i = 0; i < data.length; i += 4) {
+    gray.push(data[i] * 0.299 + data[i + 1] * 0.587 + data[i + 2] * 0.114);
+  }
+
+  let hash = '';
+  for (let row = 0; row < 8; row++) {
+    let nibbleBits = 0;
+    for (let col = 0; col < 8; col++) {
+      const left = gray[row * 9 + col];
+      const right = gray[row * 9 + col + 1];
+      nibbleBits = (nibbleBits << 1) | (left > right ? 1 : 0);
+      if (col % 4 === 3) {
+        hash += nibbleBits.toString(16);
+        nibbleBits = 0;
+      }
+    }
+  }
+  return hash; // 16 hex chars
+}
+
+function hammingDistance(a, b) {
+  let distance = 0;
+  for (let i = 0; i < a.length; i++) {
+    let diff = parseInt(a[i], 16) ^ parseInt(b[i], 16);
+    while (diff) {
+      distance += diff & 1;
+      diff >>= 1;
+    }
+  }
+  return distance;
+}
+
+// ========== DEDUPLICATION ==========
+
+async function loadRecent() {
+  const { [STORAGE_KEY]: recent } = await chrome.storage.local.get([STORAGE_KEY]);
+  return Array.isArray(recent) ? recent : [];
+}
+
+/**
+ * A recent screenshot this one can reference: same room, same page (URL or
+ * tab), taken within `maxAgeMs`, and visually identical. Two different sites
+ * can look alike (e.g. two blank pages), so a hash match alone is not enough.
+ */
+async function findDuplicate({ roomId, hash, url = null, tabId = null }, { maxDistance, maxAgeMs }) {
+  const recent = await loadRecent();
+  const now = Date.now();
+  return recent.find(entry =>
+    entry.roomId === roomId &&
+    ((url && entry.url === url) || (tabId != null && entry.tabId === tabId)) &&
+    now - new Date(entry.at).getTime() <= maxAgeMs &&
+    hammingDistance(entry.hash, hash) <= maxDistance
+  ) || null;
+}
+
+async function remember({ roomId, hash, url = null, tabId = null }, screenshotId) {
+  const recent = (await loadRecent()).filter(entry => entry.roomId === roomId);
+  recent.unshift({ roomId, hash, url, tabId, screenshotId, at: new Date().toISOString() });
+  await chrome.storage.local.set({ [STORAGE_KEY]: recent.slice(0, DEFAULTS.DEDUPE_WINDOW) });
+}
+
+// ========== PUBLIC API ==========
+
+/**
+ * Process a captureVisibleTab data URL.
+ * @param {string} dataUrl - raw capture
+ * @param {{ roomId?: string, policy?: object, url?: string, tabId?: number, dedupe?: boolean }} [options]
+ *   policy is roomPolicy.screenshots; url/tabId scope deduplication; dedupe:
+ *   false always sends the pixels (the hash is still remembered)
+ * @returns {Promise<object>} flag fields: screenshotData (base64, '' for a
+ *   duplicate), screenshotMime, screenshotId, screenshotHash, screenshotRef
+ *   (earlier screenshotId when duplicate), thumbnailData, screenshotMeta
+ */
+export async function processScreenshot(dataUrl, { roomId = null, policy = {}, url = null, tabId = null, dedupe = true } = {}) {
+  const settings = resolvePolicy(policy);
+  const source = await (await fetch(dataUrl)).blob();
+  const bitmap = await createImageBitmap(source);
+
+  try {
+    const hash = computeDHash(bitmap);
+    const meta = { originalWidth: bitmap.width, originalHeight: bitmap.height, originalBytes: source.size };
+
+    const context = { roomId, hash, url, tabId };
+
+    if (settings.dedupe && dedupe) {
+      const duplicate = await findDuplicate(context, {
+        maxDistance: settings.dedupeMaxDistance,
+        maxAgeMs: settings.dedupeMaxAgeMs,
+      });
+      if (duplicate) {
+        console.log(`🖼️ Screenshot unchanged since ${duplicate.at} — sending reference`);
+        return {
+          screenshotData: '',
+          screenshotMime: null,
+          screenshotId: duplicate.screenshotId,
+          screenshotHash: hash,
+          screenshotRef: duplicate.screenshotId,
+          thumbnailData: '',
+          screenshotMeta: meta,
+        };
+      }
+    }
+
+    const canvas = drawScaled(bitmap, settings.maxWidth);
+    const image = await encodeToTarget(canvas, settings.mimeType, settings.targetBytes);
+    const thumbnail = await drawScaled(bitmap, settings.thumbnailWidth)
+      .convertToBlob({ type: settings.mimeType, quality: DEFAULTS.THUMBNAIL_QUALITY });
+
+    const screenshotId = crypto.randomUUID();
+    if (settings.dedupe) await remember(context, screenshotId);
+
+    console.log(`🖼️ Screenshot ${meta.originalWidth}x${meta.originalHeight} ${(source.size / 1024).toFixed(0)} KB → ${canvas.width}x${canvas.height} ${(image.size / 1024).toFixed(0)} KB (${image.type})`);
+
+    return {
+      screenshotData: await blobToBase64(image),
+      screenshotMime: image.type,
+      screenshotId,
+      screenshotHash: hash,
+      screenshotRef: null,
+      thumbnailData: await blobToBase64(thumbnail),
+      screenshotMeta: { ...meta, width: canvas.width, height: canvas.height, bytes: image.size },
+    };
+  } finally {
+    bitmap.close();
+  }
+}
+
+// Forget remembered hashes (e.g. when a new exam starts).
+export async function clearScreenshotHistory() {
+  await chrome.storage.local.remove([STORAGE_KEY]);
+}
+
+export { DEFAULTS as SCREENSHOT_DEFAULTS, findDuplicate, hammingDistance };
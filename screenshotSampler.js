@@ -0,0 +1,134 @@
+/**
+ * Periodic Screenshot Sampler for CodeGuard Extension
+ *
+ * Flag-triggered screenshots only show what the student navigated to. When a
+ * room enables sampling, this takes extra screenshots of the focused window at
+ * randomized intervals (so they can't be anticipated) for the whole exam.
+ *
+ * Scheduling uses a one-shot chrome.alarms alarm that is re-armed with a new
+ * random delay after every sample, so it survives service worker restarts.
+ * Sampling pauses (the alarm isn't re-armed) as soon as the exam isn't active,
+ * and stops for good once the per-exam cap is reached.
+ */
+
+const ALARM_NAME = 'screenshotSample';
+const STORAGE_KEY = 'samplingState';
+
+const DEFAULTS = {
+  ENABLED: false,
+  MIN_INTERVAL_SEC: 120,
+  MAX_INTERVAL_SEC: 600,
+  MAX_PER_EXAM: 30,
+};
+
+const MIN_ALARM_DELAY_SEC = 30; // Chrome won't fire alarms sooner than this
+
+function resolvePolicy(policy = {}) {
+  const minIntervalSec = Math.max(MIN_ALARM_DELAY_SEC, policy.minIntervalSec ?? DEFAULTS.MIN_INTERVAL_SEC);
+  return {
+    enabled: policy.enabled ?? DEFAULTS.ENABLED,
+    minIntervalSec,
+    maxIntervalSec: Math.max(minIntervalSec, policy.maxIntervalSec ?? DEFAULTS.MAX_INTERVAL_SEC),
+    maxPerExam: policy.maxPerExam ?? DEFAULTS.MAX_PER_EXAM,
+  };
+}
+
+class ScreenshotSampler {
+  constructor() {
+    this.handlers = {
+      onSample: null, // (sampleIndex) → Promise<boolean> (true = sample taken)
+    };
+  }
+
+  setHandlers(handlers = {}) {
+    this.handlers = { ...this.handlers, ...handlers };
+  }
+
+  // ========== STATE ==========
+
+  async loadState() {
+    const { [STORAGE_KEY]: state } = await chrome.storage.local.get([STORAGE_KEY]);
+    return state || null;
+  }
+
+  async saveState(state) {
+    await chrome.storage.local.set({ [STORAGE_KEY]: state });
+  }
+
+  // ========== LIFECYCLE ==========
+
+  /**
+   * Begin sampling for an exam (no-op unless the room enabled it). The count
+   * is kept when sampling restarts for the same room within an exam, so
+   * reloading the exam page can't reset the cap.
+   */
+  async start({ roomId, policy = {} } = {}) {
+    const settings = resolvePolicy(policy);
+    await chrome.alarms.clear(ALARM_NAME);
+
+    if (!settings.enabled) {
+      console.log('📸 Screenshot sampling not enabled for this room');
+      return;
+    }
+
+    const previous = await this.loadState();
+    const state = {
+      roomId,
+      count: previous?.roomId === roomId ? previous.count : 0,
+      settings,
+    };
+    await this.saveState(state);
+    await this.schedule(state);
+  }
+
+  // End of the exam: the next exam (even in the same room) starts from zero
+  async stop() {
+    await chrome.alarms.clear(ALARM_NAME);
+    await chrome.storage.local.remove([STORAGE_KEY]);
+    console.log('📸 Screenshot sampling stopped');
+  }
+
+  // ========== ALARM ==========
+
+  // Returns true if the alarm was ours (so the caller can stop dispatching).
+  async handleAlarm(alarm) {
+    if (alarm.name !== ALARM_NAME) return false;
+
+    const { examActive } = await chrome.storage.local.get(['examActive']);
+    const state = await this.loadState();
+    if (examActive !== true || !state) {
+      console.log('📸 Exam not active — screenshot sampling paused');
+      return true;
+    }
+
+    if (state.count >= state.settings.maxPerExam) {
+      console.log(`📸 Screenshot sample cap reached (${state.settings.maxPerExam})`);
+      return true;
+    }
+
+    try {
+      const taken = await this.handlers.onSample?.(state.count + 1);
+      if (taken) {
+        state.count += 1;
+        await this.saveState(state);
+      }
+    } catch (err) {
+      console.error('❌ Screenshot sample failed:', err);
+    }
+
+    await this.schedule(state);
+    return true;
+  }
+
+  async schedule(state) {
+    if (state.count >= state.settings.maxPerExam) return;
+    const { minIntervalSec, maxIntervalSec } = state.settings;
+    const delaySec = minIntervalSec + Math.random() * (maxIntervalSec - minIntervalSec);
+    await chrome.alarms.create(ALARM_NAME, { when: Date.now() + delaySec * 1000 });
+    console.log(`📸 Next screenshot sample in ~${Math.round(delaySec)}s (${state.count}/${state.settings.maxPerExam} taken)`);
+  }
+}
+
+// Export singleton instance
+export const screenshotSampler = new ScreenshotSampler();
+export { DEFAULTS as SAMPLING_DEFAULTS };
@@ -0,0 +1,312 @@
+/**
+ * Real-time Server Channel for CodeGuard Extension
+ *
+ * A minimal socket.io-compatible client (Engine.IO v4 over a raw WebSocket —
+ * no polling transport, default namespace only) so the service worker hears
+ * from the server directly instead of relying on the exam page to relay
+ * messages. If the student closes the exam tab, whitelist updates and chunk
+ * requests still arrive.
+ *
+ * Lifecycle:
+ *   - connect → authenticate with the stored token (socket.io CONNECT auth)
+ *     → join the exam room
+ *   - server events are dispatched to handlers set by background.js; events
+ *     sent with an ack ID are answered with the handler's return value
+ *   - on close/error, reconnect with exponential backoff + full jitter, but
+ *     only while the exam is active
+ *
+ * An open WebSocket with regular server pings also keeps the MV3 service
+ * worker alive (Chrome 116+).
+ */
+
+const CONFIG = {
+  PATH: '/socket.io/',
+  RECONNECT_BASE_MS: 1000,
+  RECONNECT_MAX_MS: 30000,
+  CONNECT_TIMEOUT_MS: 10000, // Handshake must finish within this
+};
+
+// Event names shared with the server
+const EVENTS = {
+  JOIN_ROOM: 'join-room',
+  WHITELIST_UPDATED: 'whitelist-updated',
+  EXAM_ENDED: 'exam-ended',
+  CHUNK_REQUESTED: 'chunk-requested',
+  INTEGRITY_CHALLENGE: 'integrity-challenge',
+};
+
+// Engine.IO v4 packet types
+const EIO = { OPEN: '0', CLOSE: '1', PING: '2', PONG: '3', MESSAGE: '4' };
+// Socket.IO v5 packet types (carried inside Engine.IO MESSAGE packets)
+const SIO = { CONNECT: '0', DISCONNECT: '1', EVENT: '2', ACK: '3', CONNECT_ERROR: '4' };
+
+// http(s)://host[:port] → ws(s)://host[:port]/socket.io/?EIO=4&transport=websocket
+function toSocketUrl(baseUrl) {
+  const url = new URL(baseUrl);
+  url.protocol = url.protocol === 'https:' ? 'wss:' : 'ws:';
+  url.pathname = CONFIG.PATH;
+  url.search = '?EIO=4&transport=websocket';
+  return url.toString();
+}
+
+// "2" / "21[...]" / "3[...]" → { type, ackId, data }
+function parseSocketPacket(packet) {
+  const type = packet[0];
+  const match = packet.slice(1).match(/^(\d*)(.*)$/s);
+  const ackId = match[1] ? Number(match[1]) : null;
+  let data = null;
+  if (match[2]) {
+    try {
+      data = JSON.parse(match[2]);
+    } catch {
+      data = null;
+    }
+  }
+  return { type, ackId, data };
+}
+
+class ServerChannel {
+  constructor() {
+    this.ws = null;
+    this.connected = false; // socket.io-level connection (after CONNECT ack)
+    this.session = null;
+    this.handshake = null; // Engine.IO OPEN payload (sid, pingInterval, pingTimeout)
+    this.reconnectAttempts = 0;
+    this.reconnectTimer = null;
+    this.heartbeatTimer = null;
+    this.connectTimer = null;
+    this.stopped = true;
+    this.generation = 0; // Bumped by stop(); awaits that straddle it give up
+    this.handlers = {
+      getSession: null, // () → Promise<{ serverUrl, token, roomId, studentId, examActive }>
+      onWhitelistUpdated: null, // (data) → void
+      onExamEnded: null, // (data) → void
+      onChunkRequested: null, // (data) → Promise<result> (sent back as the ack)
+      onIntegrityChallenge: null, // ({ nonce }) → Promise<attestation> (sent back as the ack)
+    };
+  }
+
+  setHandlers(handlers = {}) {
+    this.handlers = { ...this.handlers, ...handlers };
+  }
+
+  // ========== LIFECYCLE ==========
+
+  start() {
+    this.stopped = false;
+    this.reconnectAttempts = 0;
+    return this.ensureConnected();
+  }
+
+  stop() {
+    this.stopped = true;
+    this.generation += 1;
+    clearTimeout(this.reconnectTimer);
+    this.reconnectTimer = null;
+    this.teardown();
+    console.log('🔌 Server channel stopped');
+  }
+
+  /**
+   * Connect unless a connection is open or being established. Also used by
+   * the keepAlive alarm to revive the channel after a service worker restart.
+   */
+  async ensureConnected() {
+    if (this.ws || this.reconnectTimer) return;
+
+    const generation = this.generation;
+    const session = await this.handlers.getSession?.();
+    // stop() ran (or another call connected) while we were reading the session
+    if (generation !== this.generation || this.ws || this.reconnectTimer) return;
+    if (!session || session.examActive !== true) return;
+    if (!session.roomId || !session.serverUrl) {
+      console.warn('⚠️ Server channel: missing roomId or server URL');
+      return;
+    }
+
+    this.stopped = false;
+    this.session = session;
+    this.open(session);
+  }
+
+  isConnected() {
+    return this.connected;
+  }
+
+  // ========== CONNECTION ==========
+
+  open(session) {
+    let ws;
+    try {
+      ws = new WebSocket(toSocketUrl(session.serverUrl));
+    } catch (err) {
+      console.error('❌ Server channel: invalid socket URL:', err.message);
+      return;
+    }
+    this.ws = ws;
+
+    this.connectTimer = setTimeout(() => {
+      console.warn('⚠️ Server channel handshake timed out');
+      ws.close();
+    }, CONFIG.CONNECT_TIMEOUT_MS);
+
+    ws.onmessage = (event) => this.handlePacket(String(event.data));
+    ws.onerror = () => console.warn('⚠️ Server channel socket error');
+    ws.onclose = (event) => {
+      if (this.ws !== ws) return; // Superseded by a newer socket
+      console.log(`🔌 Server channel closed (code ${event.code})`);
+      this.teardown();
+      this.scheduleReconnect();
+    };
+  }
+
+  teardown() {
+    clearTimeout(this.connectTimer);
+    clearTimeout(this.heartbeatTimer);
+    this.connectTimer = null;
+    this.heartbeatTimer = null;
+    this.connected = false;
+    const ws = this.ws;
+    this.ws = null;
+    if (ws && ws.readyState <= WebSocket.OPEN) ws.close();
+  }
+
+  async scheduleReconnect() {
+    if (this.stopped || this.reconnectTimer) return;
+
+    const generation = this.generation;
+    const session = await this.handlers.getSession?.();
+    if (generation !== this.generation || this.reconnectTimer) return; // Stopped meanwhile
+    if (!session || session.examActive !== true) {
+      console.log('🔌 Exam not active — not reconnecting server channel');
+      return;
+    }
+
+    // Exponential backoff with full jitter so a lab of students doesn't
+    // reconnect in lockstep after a server restart.
+    const cap = Math.min(CONFIG.RECONNECT_MAX_MS, CONFIG.RECONNECT_BASE_MS * 2 ** this.reconnectAttempts);
+    const delay = Math.round(Math.random() * cap);
+    this.reconnectAttempts += 1;
+    console.log(`🔌 Reconnecting server channel in ${delay}ms (attempt ${this.reconnectAttempts})`);
+
+    this.reconnectTimer = setTimeout(() => {
+      this.reconnectTimer = null;
+      this.ensureConnected();
+    }, delay);
+  }
+
+  // Server must ping within pingInterval + pingTimeout, or the link is dead.
+  resetHeartbeat() {
+    clearTimeout(this.heartbeatTimer);
+    const { pingInterval = 25000, pingTimeout = 20000 } = this.handshake || {};
+    this.heartbeatTimer = setTimeout(() => {
+      console.warn('⚠️ Server channel missed ping — reconnecting');
+      this.ws?.close();
+    }, pingInterval + pingTimeout);
+  }
+
+  send(packet) {
+    if (this.ws?.readyState === WebSocket.OPEN) this.ws.send(packet);
+  }
+
+  // ========== PROTOCOL ==========
+
+  handlePacket(packet) {
+    const eioType = packet[0];
+
+    if (eioType === EIO.OPEN) {
+      try {
+        this.handshake = JSON.parse(packet.slice(1));
+      } catch {
+        this.handshake = null;
+      }
+      this.resetHeartbeat();
+      // socket.io CONNECT to the default namespace, with auth
+      this.send(`${EIO.MESSAGE}${SIO.CONNECT}${JSON.stringify({ token: this.session.token || null })}`);
+      return;
+    }
+
+    if (eioType === EIO.PING) {
+      this.resetHeartbeat();
+      this.send(EIO.PONG);
+      return;
+    }
+
+    if (eioType === EIO.CLOSE) {
+      this.ws?.close();
+      return;
+    }
+
+    if (eioType === EIO.MESSAGE) {
+      this.handleSocketPacket(parseSocketPacket(packet.slice(1)));
+    }
+  }
+
+  handleSocketPacket({ type, ackId, data }) {
+    switch (type) {
+      case SIO.CONNECT:
+        clearTimeout(this.connectTimer);
+        this.connectTimer = null;
+        this.connected = true;
+        this.reconnectAttempts = 0;
+        console.log('🔌 Server channel connected');
+        this.emit(EVENTS.JOIN_ROOM, {
+          roomId: this.session.roomId,
+          studentId: this.session.studentId,
+          role: 'student-extension',
+        });
+        break;
+
+      case SIO.CONNECT_ERROR:
+        // Usually an auth failure — backoff and retry with whatever token is
+        // stored by then
+        console.warn('⚠️ Server channel connect refused:', data?.message || data);
+        this.ws?.close();
+        break;
+
+      case SIO.DISCONNECT:
+        console.log('🔌 Server channel disconnected by server');
+        this.ws?.close();
+        break;
+
+      case SIO.EVENT:
+        if (Array.isArray(data)) this.dispatch(data[0], data[1], ackId);
+        break;
+
+      default:
+        break;
+    }
+  }
+
+  async dispatch(event, payload, ackId) {
+    let result;
+    try {
+      if (event === EVENTS.WHITELIST_UPDATED) {
+        result = await this.handlers.onWhitelistUpdated?.(payload);
+      } else if (event === EVENTS.EXAM_ENDED) {
+        result = await this.handlers.onExamEnded?.(payload);
+      } else if (event === EVENTS.CHUNK_REQUESTED) {
+        result = await this.handlers.onChunkRequested?.(payload);
+      } else if (event === EVENTS.INTEGRITY_CHALLENGE) {
+        result = await this.handlers.onIntegrityChallenge?.(payload);
+      } else {
+        return;
+      }
+    } catch (err) {
+      console.error(`❌ Server channel handler for "${event}" failed:`, err);
+      result = { success: false, error: err.message };
+    }
+
+    if (ackId !== null) {
+      this.send(`${EIO.MESSAGE}${SIO.ACK}${ackId}${JSON.stringify([result ?? null])}`);
+    }
+  }
+
+  emit(event, data) {
+    this.send(`${EIO.MESSAGE}${SIO.EVENT}${JSON.stringify([event, data])}`);
+  }
+}
+
+// Export singleton instance
+export const serverChannel = new ServerChannel();
+export { EVENTS as SERVER_EVENTS };
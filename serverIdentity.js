@@ -0,0 +1,84 @@
+/**
+ * Server Identity Pinning for CodeGuard Extension
+ *
+ * The /health marker ({ service: "codeguard" }) proves nothing — any server a
+ * student runs can return it. When a public key is pinned (Options page or the
+ * packaged build, see config.js), a candidate server must prove it holds the
+ * matching private key:
+ *
+ *   extension → POST {serverUrl}/api/extension/identity  { nonce }
+ *   server    → { signature }  ECDSA P-256 / SHA-256 over the UTF-8 nonce,
+ *                              base64, IEEE P1363 (raw r||s) encoding
+ *
+ * The nonce is fresh random bytes per attempt, so a captured signature can't
+ * be replayed by another server.
+ */
+
+const IDENTITY_PATH = '/api/extension/identity';
+const TIMEOUT_MS = 5000;
+const KEY_ALGORITHM = { name: 'ECDSA', namedCurve: 'P-256' };
+const SIGN_ALGORITHM = { name: 'ECDSA', hash: 'SHA-256' };
+
+function base64ToBytes(base64) {
+  const binary = atob(base64.replace(/-/g, '+').replace(/_/g, '/'));
+  return Uint8Array.from(binary, char => char.charCodeAt(0));
+}
+
+function randomNonce() {
+  const bytes = crypto.getRandomValues(new Uint8Array(32));
+  return btoa(String.fromCharCode(...bytes)).replace(/=+$/, '');
+}
+
+/**
+ * Import a PEM ("-----BEGIN PUBLIC KEY-----", SPKI) or bare base64 SPKI key.
+ * @throws if it isn't an ECDSA P-256 public key
+ */
+export async function importServerPublicKey(pem) {
+  const body = String(pem)
+    .replace(/-----(BEGIN|END) PUBLIC KEY-----/g, '')
+    .replace(/\s+/g, '');
+  return crypto.subtle.importKey('spki', base64ToBytes(body), KEY_ALGORITHM, false, ['verify']);
+}
+
+/**
+ * Challenge `serverUrl` to sign a fresh nonce with the pinned key's private half.
+ * @returns {Promise<{ verified: boolean, reason: string|null }>} reason explains a failure
+ */
+export async function verifyServerIdentity(serverUrl, publicKeyPem) {
+  let key;
+  try {
+    key = await importServerPublicKey(publicKeyPem);
+  } catch {
+    return { verified: false, reason: 'pinned_key_invalid' };
+  }
+
+  const nonce = randomNonce();
+  let signature;
+  try {
+    const res = await fetch(`${serverUrl}${IDENTITY_PATH}`, {
+      method: 'POST',
+      headers: { 'Content-Type': 'application/json' },
+      body: JSON.stringify({ nonce }),
+      signal: AbortSignal.timeout(TIMEOUT_MS),
+    });
+    if (!res.ok) return { verified: false, reason: `identity_http_${res.status}` };
+    ({ signature } = await res.json());
+  } catch {
+    return { verified: false, reason: 'identity_unreachable' };
+  }
+  if (typeof signature !== 'string' || !signature) {
+    return { verified: false, reason: 'signature_missing' };
+  }
+
+  try {
+    const verified = await crypto.subtle.verify(
+      SIGN_ALGORITHM,
+      key,
+      base64ToBytes(signature),
+      new TextEncoder().encode(nonce)
+    );
+    return { verified, reason: verified ? null : 'signature_mismatch' };
+  } catch {
+    return { verified: false, reason: 'signature_malformed' };
+  }
+}
@@ -0,0 +1,130 @@
+/**
+ * Server Profiles for CodeGuard Extension
+ *
+ * Named sets of connection settings (dev, staging, each exam hall) kept in
+ * chrome.storage.local. One profile is active; its values are the ones
+ * config.js and the auto-config gate actually use (serverUrl, clientUrl,
+ * configLocked, serverPublicKey in local storage), so switching a profile is
+ * just copying it over those keys. Switching goes through background.js
+ * (SWITCH_PROFILE), which refuses while an exam is active.
+ *
+ * Shared by the Options page (CRUD, import/export) and the service worker.
+ */
+
+const PROFILES_KEY = 'serverProfiles';
+const ACTIVE_KEY = 'activeProfileId';
+const EXPORT_FORMAT = 'codeguard-server-profiles';
+const EXPORT_VERSION = 1;
+
+export const PROFILE_FIELDS = ['serverUrl', 'clientUrl', 'configLocked', 'serverPublicKey'];
+
+const DEFAULTS = { serverUrl: 'http://localhost:3000', clientUrl: 'http://localhost:5173' };
+const MAX_NAME_LENGTH = 64;
+
+function isHttpUrl(value) {
+  try {
+    return /^https?:$/.test(new URL(value).protocol);
+  } catch {
+    return false;
+  }
+}
+
+/**
+ * Normalize a profile from the form or an import file.
+ * @returns {{ profile?: object, error?: string }}
+ */
+export function validateProfile(input = {}) {
+  const name = String(input.name ?? '').trim();
+  if (!name || name.length > MAX_NAME_LENGTH) {
+    return { error: `Profile name must be 1-${MAX_NAME_LENGTH} characters` };
+  }
+  const serverUrl = String(input.serverUrl ?? '').trim().replace(/\/$/, '');
+  const clientUrl = String(input.clientUrl ?? '').trim().replace(/\/$/, '');
+  if (!isHttpUrl(serverUrl) || !isHttpUrl(clientUrl)) {
+    return { error: `"${name}": server and client URLs must be http:// or https://` };
+  }
+  return {
+    profile: {
+      id: typeof input.id === 'string' && input.id ? input.id : crypto.randomUUID(),
+      name,
+      serverUrl,
+      clientUrl,
+      configLocked: input.configLocked === true,
+      serverPublicKey: typeof input.serverPublicKey === 'string' ? input.serverPublicKey.trim() : '',
+    },
+  };
+}
+
+// ========== STORAGE ==========
+
+/**
+ * Profiles and the active ID. The first call on an install without profiles
+ * turns the current settings into a "Default" profile.
+ */
+export async function loadProfiles() {
+  const stored = await chrome.storage.local.get([
+    PROFILES_KEY, ACTIVE_KEY, 'serverUrl', 'clientUrl', 'apiBaseUrl', 'configLocked', 'serverPublicKey',
+  ]);
+  if (Array.isArray(stored[PROFILES_KEY]) && stored[PROFILES_KEY].length > 0) {
+    return { profiles: stored[PROFILES_KEY], activeId: stored[ACTIVE_KEY] || stored[PROFILES_KEY][0].id };
+  }
+
+  const { profile } = validateProfile({
+    name: 'Default',
+    serverUrl: stored.serverUrl || stored.apiBaseUrl || DEFAULTS.serverUrl,
+    clientUrl: stored.clientUrl || DEFAULTS.clientUrl,
+    configLocked: stored.configLocked,
+    serverPublicKey: stored.serverPublicKey,
+  });
+  await saveProfiles([profile], profile.id);
+  return { profiles: [profile], activeId: profile.id };
+}
+
+export async function saveProfiles(profiles, activeId) {
+  await chrome.storage.local.set({
+    [PROFILES_KEY]: profiles,
+    ...(activeId && { [ACTIVE_KEY]: activeId }),
+  });
+}
+
+export async function getActiveProfile() {
+  const { profiles, activeId } = await loadProfiles();
+  return profiles.find(profile => profile.id === activeId) || null;
+}
+
+// ========== IMPORT / EXPORT ==========
+
+export function exportProfiles(profiles) {
+  return JSON.stringify({
+    format: EXPORT_FORMAT,
+    version: EXPORT_VERSION,
+    exportedAt: new Date().toISOString(),
+    profiles: profiles.map(({ id, ...profile }) => profile), // IDs are per-install
+  }, null, 2);
+}
+
+/**
+ * Parse an export file. Every profile must validate, or nothing is imported.
+ * @returns {{ profiles?: object[], error?: string }}
+ */
+export function parseProfileImport(text) {
+  let data;
+  try {
+    data = JSON.parse(text);
+  } catch {
+    return { error: 'Not a JSON file' };
+  }
+  if (data?.format !== EXPORT_FORMAT || !Array.isArray(data.profiles)) {
+    return { error: 'Not a CodeGuard server profiles export' };
+  }
+
+  const profiles = [];
+  for (const input of data.profiles) {
+    const { profile, error } = validateProfile({ ...input, id: null });
+    if (error) return { error };
+    profiles.push(profile);
+  }
+  return { profiles };
+}
+
+export { PROFILES_KEY, ACTIVE_KEY as ACTIVE_PROFILE_KEY };
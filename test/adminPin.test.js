@@ -0,0 +1,59 @@
+import { test, beforeEach } from 'node:test';
+import assert from 'node:assert/strict';
+
+import { installChrome } from './chromeMock.js';
+import {
+  hasAdminPin,
+  verifyAdminPin,
+  setAdminPin,
+  getPinFailures,
+  clearPinFailures,
+  ADMIN_PIN_CONFIG,
+} from '../adminPin.js';
+
+// Real PBKDF2 at 600k iterations — each set/verify takes a moment.
+
+beforeEach(() => {
+  installChrome();
+});
+
+test('with no PIN set everything is allowed', async () => {
+  assert.equal(await hasAdminPin(), false);
+  assert.equal(await verifyAdminPin('anything'), true);
+  assert.equal(await getPinFailures(), null);
+});
+
+test('the PIN is stored only as a salted hash and verifies', async () => {
+  assert.deepEqual(await setAdminPin('4821'), { success: true });
+  const { adminPin } = chrome.storage.local.data;
+  assert.equal(adminPin.iterations, ADMIN_PIN_CONFIG.ITERATIONS);
+  assert.ok(!JSON.stringify(adminPin).includes('4821'));
+
+  assert.equal(await hasAdminPin(), true);
+  assert.equal(await verifyAdminPin('4821'), true);
+  assert.equal(await verifyAdminPin('4822'), false);
+});
+
+test('changing the PIN needs the current one and a valid length', async () => {
+  await setAdminPin('4821');
+  assert.equal((await setAdminPin('123')).success, false);
+  assert.deepEqual(await setAdminPin('99999', 'wrong'), { success: false, error: 'Current PIN is incorrect' });
+  assert.deepEqual(await setAdminPin('99999', '4821'), { success: true });
+  assert.equal(await verifyAdminPin('99999'), true);
+});
+
+test('wrong PINs are counted until reported', async () => {
+  await setAdminPin('4821');
+  await verifyAdminPin('0000');
+  await verifyAdminPin('1111');
+  assert.equal((await getPinFailures()).count, 2);
+
+  await verifyAdminPin('2222'); // Arrives while the first two are being reported
+  await clearPinFailures(2);
+  const remaining = await getPinFailures();
+  assert.equal(remaining.count, 1);
+  assert.equal(remaining.attempts.length, 1);
+
+  await clearPinFailures(1);
+  assert.equal(await getPinFailures(), null);
+});
@@ -0,0 +1,113 @@
+import { test, beforeEach, afterEach } from 'node:test';
+import assert from 'node:assert/strict';
+
+import { installChrome } from './chromeMock.js';
+import { handleSetConfig } from '../autoConfig.js';
+import { getClientUrl, getCachedApiBaseUrl, initializeFromStorage } from '../config.js';
+import { ERROR_CODES } from '../messageRouter.js';
+
+const SERVER_URL = 'https://codeguard.test';
+const CLIENT_URL = 'https://exam.codeguard.test';
+const EVIL = { origin: 'https://evil.example', trusted: false };
+const realFetch = globalThis.fetch;
+
+async function generateServerKey() {
+  const keys = await crypto.subtle.generateKey({ name: 'ECDSA', namedCurve: 'P-256' }, true, ['sign', 'verify']);
+  const spki = Buffer.from(await crypto.subtle.exportKey('spki', keys.publicKey)).toString('base64');
+  return { privateKey: keys.privateKey, pem: `-----BEGIN PUBLIC KEY-----\n${spki}\n-----END PUBLIC KEY-----` };
+}
+
+// Any server answering the identity challenge with `privateKey`
+function serveIdentity(privateKey) {
+  globalThis.fetch = async (url, options) => {
+    const { nonce } = JSON.parse(options.body);
+    const signed = await crypto.subtle.sign({ name: 'ECDSA', hash: 'SHA-256' }, privateKey, new TextEncoder().encode(nonce));
+    return Response.json({ signature: Buffer.from(signed).toString('base64') });
+  };
+}
+
+async function setup(local = {}) {
+  const chrome = installChrome({ local: { serverUrl: SERVER_URL, clientUrl: CLIENT_URL, ...local } });
+  await initializeFromStorage();
+  return chrome;
+}
+
+const auditLog = () => chrome.storage.local.data.configAuditLog || [];
+
+beforeEach(() => {
+  globalThis.fetch = async () => { throw new Error('unexpected fetch'); };
+});
+
+afterEach(() => {
+  globalThis.fetch = realFetch;
+});
+
+test('another site is refused when no key is pinned', async () => {
+  await setup();
+  const refused = [];
+  const result = await handleSetConfig({ serverUrl: SERVER_URL, clientUrl: EVIL.origin }, EVIL, {
+    onRefusedOrigin: (origin) => refused.push(origin),
+  });
+  assert.equal(result.code, ERROR_CODES.FORBIDDEN_ORIGIN);
+  assert.deepEqual(refused, [EVIL.origin]);
+  assert.equal(getClientUrl(), CLIENT_URL);
+  assert.equal(auditLog().at(-1).reason, 'forbidden_origin');
+});
+
+test('with a pinned key, naming the current server does not make another site the client', async () => {
+  const { pem } = await generateServerKey();
+  await setup({ serverPublicKey: pem });
+
+  const result = await handleSetConfig({ serverUrl: SERVER_URL, clientUrl: EVIL.origin }, EVIL);
+  assert.deepEqual(result, { success: true, message: 'Config unchanged' });
+  assert.equal(getClientUrl(), CLIENT_URL);
+  assert.equal(chrome.storage.local.data.clientUrl, CLIENT_URL);
+  assert.equal(auditLog().at(-1).clientUrl, null);
+});
+
+test('with a pinned key, another site can switch to a verified server but not the client', async () => {
+  const { privateKey, pem } = await generateServerKey();
+  await setup({ serverPublicKey: pem });
+  serveIdentity(privateKey);
+
+  const accepted = [];
+  const result = await handleSetConfig({ serverUrl: 'https://codeguard2.test', clientUrl: EVIL.origin }, EVIL, {
+    onAccepted: (fields) => accepted.push(fields),
+  });
+  assert.equal(result.success, true);
+  assert.equal(getCachedApiBaseUrl(), 'https://codeguard2.test');
+  assert.equal(getClientUrl(), CLIENT_URL);
+  assert.deepEqual(accepted, [{ serverUrl: 'https://codeguard2.test' }]);
+});
+
+test('a server that fails the pinned key check is refused', async () => {
+  const pinned = await generateServerKey();
+  const impostor = await generateServerKey();
+  await setup({ serverPublicKey: pinned.pem });
+  serveIdentity(impostor.privateKey);
+
+  const result = await handleSetConfig({ serverUrl: 'https://impostor.test' }, EVIL);
+  assert.equal(result.code, ERROR_CODES.SERVER_VERIFICATION_FAILED);
+  assert.equal(getCachedApiBaseUrl(), SERVER_URL);
+});
+
+test('the trusted origin may update the client URL', async () => {
+  await setup();
+  const result = await handleSetConfig(
+    { serverUrl: SERVER_URL, clientUrl: 'https://exam2.codeguard.test/' },
+    { origin: CLIENT_URL, trusted: true }
+  );
+  assert.equal(result.success, true);
+  assert.equal(getClientUrl(), 'https://exam2.codeguard.test');
+});
+
+test('locks and an active exam refuse before any network call', async () => {
+  await setup({ examActive: true });
+  assert.equal((await handleSetConfig({ serverUrl: 'https://x.test' }, { trusted: true })).code, ERROR_CODES.EXAM_ACTIVE);
+
+  await setup({ configLocked: true });
+  assert.equal((await handleSetConfig({ serverUrl: 'https://x.test' }, { trusted: true })).code, ERROR_CODES.CONFIG_LOCKED);
+
+  await setup();
+  assert.equal((await handleSetConfig({ serverUrl: 'ftp://x.test' }, { trusted: true })).code, ERROR_CODES.VALIDATION_FAILED);
+});
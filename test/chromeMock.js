@@ -0,0 +1,73 @@
+/**
+ * Minimal in-memory `chrome` global for unit tests. Only the APIs the pure
+ * modules touch are provided; each test file installs a fresh one.
+ */
+
+function createStorageArea(initial = {}) {
+  const data = structuredClone(initial);
+  return {
+    data,
+    async get(keys) {
+      if (keys == null) return structuredClone(data);
+      const list = typeof keys === 'string' ? [keys] : Array.isArray(keys) ? keys : Object.keys(keys);
+      const result = {};
+      for (const key of list) {
+        if (key in data) result[key] = structuredClone(data[key]);
+      }
+      return result;
+    },
+    async set(items) {
+      Object.assign(data, structuredClone(items));
+    },
+    async remove(keys) {
+      for (const key of [].concat(keys)) delete data[key];
+    },
+    async clear() {
+      for (const key of Object.keys(data)) delete data[key];
+    },
+  };
+}
+
+// Tabs are { id, windowId, active, url, title }; tests mutate `chrome.tabs.all`
+function createTabs(initial = []) {
+  return {
+    all: structuredClone(initial),
+    async query({ active, windowId } = {}) {
+      return this.all.filter(tab => (active == null || tab.active === active) && (windowId == null || tab.windowId === windowId));
+    },
+    async get(tabId) {
+      const tab = this.all.find(candidate => candidate.id === tabId);
+      if (!tab) throw new Error(`No tab with id: ${tabId}`);
+      return tab;
+    },
+  };
+}
+
+export function installChrome({ local = {}, managed = {}, regexRuleLimit, tabs = [] } = {}) {
+  const chrome = {
+    storage: {
+      local: createStorageArea(local),
+      managed: createStorageArea(managed),
+      onChanged: { addListener() {} },
+    },
+    runtime: {
+      id: 'test-extension',
+      getURL: (path = '') => `chrome-extension://test-extension/${path}`,
+      getManifest: () => ({ version: '1.0.0' }),
+    },
+    tabs: createTabs(tabs),
+    windows: { WINDOW_ID_NONE: -1 },
+    alarms: {
+      async clear() { return true; },
+      async create() {},
+    },
+    declarativeNetRequest: {
+      MAX_NUMBER_OF_REGEX_RULES: regexRuleLimit,
+      async isRegexSupported() { return { isSupported: true }; },
+      async getDynamicRules() { return []; },
+      async updateDynamicRules() {},
+    },
+  };
+  globalThis.chrome = chrome;
+  return chrome;
+}
@@ -0,0 +1,129 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+
+import { CodeGuardBridge, CodeGuardBridgeError, REQUIRED_PROTOCOL_VERSION } from '../codeguard-bridge.js';
+
+const ORIGIN = 'https://exam.codeguard.test';
+
+// Stand-in for the page window: records posts, lets tests play content.js
+function fakeWindow() {
+  const listeners = new Set();
+  const win = {
+    location: { origin: ORIGIN },
+    posted: [],
+    addEventListener: (type, listener) => listeners.add(listener),
+    removeEventListener: (type, listener) => listeners.delete(listener),
+    postMessage: (data, targetOrigin) => win.posted.push({ data, targetOrigin }),
+    // Deliver `data` as content.js would (same window, same origin)
+    reply: (data, { source = win, origin = ORIGIN } = {}) => {
+      for (const listener of listeners) listener({ source, origin, data: { target: 'CODEGUARD_WEB_APP', ...data } });
+    },
+  };
+  return win;
+}
+
+test('requests carry a requestId and resolve with their own reply', async () => {
+  const win = fakeWindow();
+  const bridge = new CodeGuardBridge({ targetWindow: win });
+  const first = bridge.request('GET_CHUNK_LIST');
+  const second = bridge.request('GET_QUEUE_STATUS');
+
+  const [a, b] = win.posted.map(post => post.data);
+  assert.equal(win.posted[0].targetOrigin, ORIGIN);
+  assert.equal(a.target, 'CODEGUARD_EXTENSION');
+  assert.notEqual(a.requestId, b.requestId);
+
+  // Replies arrive out of order
+  win.reply({ type: 'RESPONSE', requestId: b.requestId, success: true, response: { depth: 2 } });
+  win.reply({ type: 'RESPONSE', requestId: a.requestId, success: true, response: { chunks: [] } });
+  assert.deepEqual(await first, { chunks: [] });
+  assert.deepEqual(await second, { depth: 2 });
+  bridge.destroy();
+});
+
+test('failures reject with the extension error code', async () => {
+  const win = fakeWindow();
+  const bridge = new CodeGuardBridge({ targetWindow: win });
+  const pending = bridge.startExam({ studentId: 's', roomId: 'r' });
+  const { requestId } = win.posted[0].data;
+  win.reply({
+    type: 'RESPONSE',
+    requestId,
+    success: false,
+    error: { code: 'VERSION_TOO_OLD', message: 'too old', minVersion: '2.0.0' },
+  });
+
+  await assert.rejects(pending, (err) => {
+    assert.ok(err instanceof CodeGuardBridgeError);
+    assert.equal(err.code, 'VERSION_TOO_OLD');
+    assert.equal(err.details.minVersion, '2.0.0');
+    return true;
+  });
+  bridge.destroy();
+});
+
+test('replies from other windows or origins are ignored, and silence times out', async () => {
+  const win = fakeWindow();
+  const bridge = new CodeGuardBridge({ targetWindow: win, timeoutMs: 20 });
+  const pending = bridge.request('GET_RECORDING_STATUS');
+  const { requestId } = win.posted[0].data;
+  win.reply({ type: 'RESPONSE', requestId, success: true }, { origin: 'https://evil.example' });
+  win.reply({ type: 'RESPONSE', requestId, success: true }, { source: {} });
+
+  await assert.rejects(pending, { code: 'TIMEOUT' });
+  bridge.destroy();
+});
+
+test('ping sends the required protocol version and records capabilities', async () => {
+  const win = fakeWindow();
+  const bridge = new CodeGuardBridge({ targetWindow: win });
+  const pending = bridge.ping({ roomId: 'r1' });
+  const { requestId, message } = win.posted[0].data;
+  assert.deepEqual(message, { type: 'PING', minProtocolVersion: REQUIRED_PROTOCOL_VERSION, roomId: 'r1' });
+
+  win.reply({
+    type: 'PONG',
+    requestId,
+    success: true,
+    version: '1.4.0',
+    protocolVersion: 3,
+    capabilities: ['message:UPLOAD_CHUNK', 'detector:typing_cadence'],
+    versionCheck: { updateRequired: false },
+  });
+  const info = await pending;
+  assert.equal(info.version, '1.4.0');
+  assert.equal(bridge.supports('detector:typing_cadence'), true);
+  assert.equal(bridge.supports('message:NOPE'), false);
+  bridge.destroy();
+});
+
+test('an extension older than the required protocol rejects the ping with its version', async () => {
+  const win = fakeWindow();
+  const bridge = new CodeGuardBridge({ targetWindow: win });
+  const pending = bridge.ping();
+  win.reply({
+    type: 'PONG',
+    requestId: win.posted[0].data.requestId,
+    success: false,
+    error: { code: 'UPGRADE_REQUIRED', message: 'update the extension', protocolVersion: 2, version: '1.1.0' },
+  });
+
+  await assert.rejects(pending, { code: 'UPGRADE_REQUIRED', details: { code: 'UPGRADE_REQUIRED', message: 'update the extension', protocolVersion: 2, version: '1.1.0' } });
+  assert.equal(bridge.supports('message:UPLOAD_CHUNK'), false);
+  bridge.destroy();
+});
+
+test('events reach subscribers until they unsubscribe; destroy rejects what is in flight', async () => {
+  const win = fakeWindow();
+  const bridge = new CodeGuardBridge({ targetWindow: win });
+  const seen = [];
+  const off = bridge.on('exam-ended', data => seen.push(data));
+  win.reply({ type: 'EVENT', event: 'exam-ended', data: { roomId: 'r1' } });
+  off();
+  win.reply({ type: 'EVENT', event: 'exam-ended', data: { roomId: 'r2' } });
+  assert.deepEqual(seen, [{ roomId: 'r1' }]);
+
+  const pending = bridge.request('GET_CHUNK_LIST');
+  bridge.destroy();
+  await assert.rejects(pending, { code: 'DESTROYED' });
+});
@@ -0,0 +1,52 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+
+import { installChrome } from './chromeMock.js';
+import {
+  initializeFromStorage,
+  saveToStorage,
+  getCachedApiBaseUrl,
+  getClientUrl,
+  getCachedEnvironment,
+  getManagedConfig,
+  getPinnedServerKey,
+} from '../config.js';
+import { handleSetConfig } from '../autoConfig.js';
+import { ERROR_CODES } from '../messageRouter.js';
+
+const LOCAL = { serverUrl: 'https://local.test', clientUrl: 'https://local-client.test', serverPublicKey: 'local-key' };
+
+test('managed policy wins over the Options values', async () => {
+  installChrome({ local: LOCAL, managed: { serverUrl: 'https://policy.test', serverPublicKey: 'policy-key' } });
+  await initializeFromStorage();
+
+  assert.equal(getCachedApiBaseUrl(), 'https://policy.test');
+  assert.equal(getClientUrl(), 'https://local-client.test'); // Not managed, so Options still decides
+  assert.equal(getCachedEnvironment(), 'managed');
+  assert.equal(await getPinnedServerKey(), 'policy-key');
+  assert.deepEqual(getManagedConfig(), { serverUrl: 'https://policy.test', serverPublicKey: 'policy-key' });
+});
+
+test('managed values are never copied into local storage', async () => {
+  const chrome = installChrome({ local: LOCAL, managed: { serverUrl: 'https://policy.test' } });
+  await initializeFromStorage();
+  await saveToStorage();
+  assert.equal(chrome.storage.local.data.serverUrl, LOCAL.serverUrl);
+  assert.equal(chrome.storage.local.data.clientUrl, LOCAL.clientUrl);
+});
+
+test('without a policy the Options values apply', async () => {
+  installChrome({ local: LOCAL });
+  await initializeFromStorage();
+  assert.equal(getCachedApiBaseUrl(), LOCAL.serverUrl);
+  assert.equal(await getPinnedServerKey(), 'local-key');
+  assert.deepEqual(getManagedConfig(), {});
+});
+
+test('a managed server refuses auto-config from any page', async () => {
+  installChrome({ local: LOCAL, managed: { serverUrl: 'https://policy.test' } });
+  await initializeFromStorage();
+  const result = await handleSetConfig({ serverUrl: 'https://other.test' }, { origin: LOCAL.clientUrl, trusted: true });
+  assert.equal(result.code, ERROR_CODES.CONFIG_LOCKED);
+  assert.equal(getCachedApiBaseUrl(), 'https://policy.test');
+});
@@ -0,0 +1,74 @@
+import { test, afterEach } from 'node:test';
+import assert from 'node:assert/strict';
+
+import { runDiagnostics } from '../diagnostics.js';
+
+const realFetch = globalThis.fetch;
+const SERVER = 'http://192.168.1.50:3000';
+
+// Answer each endpoint (by path) with a status/body, or throw `error`
+function serve(routes) {
+  globalThis.fetch = async (url) => {
+    const route = routes[new URL(url).pathname];
+    if (!route) return new Response('', { status: 404 });
+    if (route.error) throw route.error;
+    return Response.json(route.body ?? {}, { status: route.status ?? 200 });
+  };
+}
+
+const statuses = (steps) => Object.fromEntries(steps.map(step => [step.id, step.status]));
+const jwt = (exp) => `x.${Buffer.from(JSON.stringify({ exp })).toString('base64url')}.y`;
+
+afterEach(() => {
+  globalThis.fetch = realFetch;
+});
+
+test('a healthy server passes every step, and each step is reported as it finishes', async () => {
+  serve({
+    '/health': { body: { service: 'codeguard' } },
+    '/api/proctoring/whitelist': {},
+    '/api/recordings/upload': {},
+  });
+  const seen = [];
+  const steps = await runDiagnostics({ serverUrl: SERVER, token: jwt(Date.now() / 1000 + 3600), roomId: 'r1' }, step => seen.push(step.id));
+
+  assert.deepEqual(statuses(steps), { url: 'pass', health: 'pass', marker: 'pass', token: 'pass', whitelist: 'pass', upload: 'pass' });
+  assert.deepEqual(seen, ['url', 'health', 'marker', 'token', 'whitelist', 'upload']);
+});
+
+test('an invalid URL skips the network steps', async () => {
+  globalThis.fetch = async () => { throw new Error('unexpected fetch'); };
+  const steps = await runDiagnostics({ serverUrl: 'not a url', roomId: 'r1' });
+  assert.deepEqual(statuses(steps), { url: 'fail', health: 'skip', marker: 'skip', token: 'warn', whitelist: 'skip', upload: 'skip' });
+});
+
+test('something other than CodeGuard at the address fails the marker step', async () => {
+  serve({ '/health': { body: { ok: true } } });
+  const steps = await runDiagnostics({ serverUrl: SERVER, token: 'opaque', roomId: 'r1' });
+  assert.equal(statuses(steps).marker, 'fail');
+  assert.equal(statuses(steps).whitelist, 'skip');
+});
+
+test('network errors and HTTP errors get specific hints', async () => {
+  serve({ '/health': { error: Object.assign(new Error('timed out'), { name: 'TimeoutError' }) } });
+  const [, timeout] = await runDiagnostics({ serverUrl: SERVER, roomId: 'r1' });
+  assert.match(timeout.detail, /No answer within/);
+  assert.match(timeout.hint, /port 3000/);
+
+  serve({
+    '/health': { body: { service: 'codeguard' } },
+    '/api/proctoring/whitelist': { status: 401 },
+    '/api/recordings/upload': { status: 413 },
+  });
+  const steps = await runDiagnostics({ serverUrl: SERVER, token: 'opaque', roomId: 'r1' });
+  assert.match(steps.find(step => step.id === 'whitelist').hint, /sign-in token/);
+  assert.match(steps.find(step => step.id === 'upload').hint, /client_max_body_size/);
+});
+
+test('localhost is a warning and an expired token a failure', async () => {
+  serve({ '/health': { body: { service: 'codeguard' } }, '/api/proctoring/whitelist': {}, '/api/recordings/upload': {} });
+  const steps = await runDiagnostics({ serverUrl: 'http://localhost:3000', token: jwt(1), roomId: 'r1' });
+  assert.equal(statuses(steps).url, 'warn');
+  assert.equal(statuses(steps).token, 'fail');
+  assert.ok(!JSON.stringify(steps).includes(jwt(1)), 'the report never contains the token');
+});
@@ -0,0 +1,104 @@
+import { test, beforeEach } from 'node:test';
+import assert from 'node:assert/strict';
+
+import { installChrome } from './chromeMock.js';
+import { compileWhitelist, compileRule, isSearchQuery } from '../whitelistRules.js';
+import {
+  ruleToRegexFilter,
+  searchQueryRegexFilter,
+  buildEnforcementRules,
+  parseBlockedPageUrl,
+} from '../enforcement.js';
+
+// DNR regexes are RE2 and always case-insensitive here; JS regexes agree on
+// everything these filters use.
+const filterMatches = (filter, url) => new RegExp(filter, 'i').test(url);
+const filterFor = (entry) => ruleToRegexFilter(compileRule(entry));
+
+beforeEach(() => {
+  installChrome();
+});
+
+test('host rules translate with the same subdomain semantics', () => {
+  assert.equal(filterMatches(filterFor('example.com'), 'https://docs.example.com/a'), true);
+  assert.equal(filterMatches(filterFor('example.com'), 'https://badexample.com/'), false);
+  assert.equal(filterMatches(filterFor('*.example.com'), 'https://example.com/'), false);
+  assert.equal(filterMatches(filterFor('*.example.com'), 'https://a.example.com/'), true);
+});
+
+test('path and port rules translate', () => {
+  const path = filterFor('github.com/org/repo/*');
+  assert.equal(filterMatches(path, 'https://github.com/org/repo/issues'), true);
+  assert.equal(filterMatches(path, 'https://github.com/org/repo-other'), false);
+
+  const port = filterFor('https://lab.local:8080');
+  assert.equal(filterMatches(port, 'https://lab.local:8080/x'), true);
+  assert.equal(filterMatches(port, 'https://lab.local/x'), false);
+});
+
+test('search query filter agrees with the monitor-mode check', () => {
+  const filter = searchQueryRegexFilter();
+  for (const url of [
+    'https://www.google.com/search?q=python',
+    'https://duckduckgo.com/?q=python',
+    'https://www.bing.com?q=a',
+    'https://www.google.com/',
+    'https://example.com/search?q=python',
+    'https://google.com.evil.com/?q=1',
+    'https://gemini.google.com/app?hl=en',
+    'https://mail.google.com/?x=1',
+  ]) {
+    // Chrome matches the normalized URL (e.g. "bing.com?q" → "bing.com/?q")
+    assert.equal(filterMatches(filter, new URL(url).href), isSearchQuery(url), url);
+  }
+});
+
+test('search allowance does not cover other apps on a search engine domain', () => {
+  const filter = searchQueryRegexFilter();
+  assert.equal(filterMatches(filter, 'https://www.google.com/search?q=python'), true);
+  for (const url of [
+    'https://gemini.google.com/app?hl=en',
+    'https://gemini.google.com/?q=python',
+    'https://mail.google.com/?x=1',
+    'https://www.google.com/maps?q=python',
+    'https://www.google.com/search?hl=en',
+  ]) {
+    assert.equal(filterMatches(filter, url), false, url);
+  }
+});
+
+test('rules are layered deny > allow > catch-all, with search queries allowed', async () => {
+  const rules = await buildEnforcementRules(compileWhitelist(['example.com', '!bad.example.com']), {
+    alwaysAllow: ['http://localhost:5173', null],
+  });
+  const priorities = rules.map(rule => [rule.priority, rule.action.type]);
+  assert.deepEqual(priorities, [
+    [3, 'redirect'],
+    [2, 'allow'],
+    [2, 'allow'],
+    [2, 'allow'],
+    [1, 'redirect'],
+  ]);
+  assert.ok(rules.some(rule => rule.condition.regexFilter === searchQueryRegexFilter()));
+  assert.equal(new Set(rules.map(rule => rule.id)).size, rules.length);
+});
+
+test('unsupported regexes are skipped, not installed', async () => {
+  chrome.declarativeNetRequest.isRegexSupported = async ({ regex }) => ({ isSupported: !regex.includes('skipme') });
+  const rules = await buildEnforcementRules(compileWhitelist(['skipme.com', 'ok.com']));
+  assert.ok(!rules.some(rule => rule.condition.regexFilter.includes('skipme')));
+  assert.equal(rules.length, 3);
+});
+
+test('a whitelist over the regex rule limit throws instead of installing part of it', async () => {
+  installChrome({ regexRuleLimit: 10 });
+  const entries = Array.from({ length: 9 }, (_, i) => `site${i}.com`);
+  await assert.rejects(buildEnforcementRules(compileWhitelist(entries)), /over Chrome's limit of 10/);
+  assert.equal((await buildEnforcementRules(compileWhitelist(entries.slice(0, 8)))).length, 10);
+});
+
+test('the blocked page carries the original URL', () => {
+  const blocked = parseBlockedPageUrl('chrome-extension://test-extension/blocked.html#https://x.com/?q=1');
+  assert.equal(blocked, 'https://x.com/?q=1');
+  assert.equal(parseBlockedPageUrl('https://x.com/'), null);
+});
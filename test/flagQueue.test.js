@@ -0,0 +1,54 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+
+import { flagQueueStore, matchBatchResults } from '../flagQueue.js';
+
+// IndexedDB isn't available under Node; these cover the parts of batch sync
+// that don't touch the store.
+
+test('toPayload keys flags without an idempotencyKey by flagId', async () => {
+  // Shape of a flag moved over by migrateLegacyQueue()
+  const legacy = { flagId: 'flag-1', queuedAt: '2026-01-01T00:00:00.000Z', payload: { flagId: 'flag-1', actionType: 'navigate' } };
+  const payload = await flagQueueStore.toPayload(legacy);
+  assert.equal(payload.idempotencyKey, 'flag-1');
+  assert.equal(payload.queuedAt, legacy.queuedAt);
+  assert.equal(payload.screenshotData, '');
+});
+
+test('toPayload keeps an existing idempotencyKey', async () => {
+  const record = { flagId: 'flag-2', payload: { flagId: 'flag-2', idempotencyKey: 'key-2' } };
+  assert.equal((await flagQueueStore.toPayload(record)).idempotencyKey, 'key-2');
+});
+
+test('toPayload restores the screenshot as base64', async () => {
+  const bytes = new Uint8Array([0xff, 0xd8, 0xff, 0xe0]);
+  const record = { flagId: 'f', payload: { flagId: 'f' }, hasScreenshot: true };
+  const payload = await flagQueueStore.toPayload(record, new Blob([bytes], { type: 'image/jpeg' }));
+  assert.equal(payload.screenshotData, Buffer.from(bytes).toString('base64'));
+});
+
+test('toPayloads only opens the screenshot store for records that have one', async () => {
+  // No IndexedDB here: reaching the store would throw
+  const records = [
+    { flagId: 'a', payload: { flagId: 'a' }, hasScreenshot: false },
+    { flagId: 'b', payload: { flagId: 'b' } },
+  ];
+  const payloads = await flagQueueStore.toPayloads(records);
+  assert.deepEqual(payloads.map(payload => [payload.idempotencyKey, payload.screenshotData]), [['a', ''], ['b', '']]);
+});
+
+test('matchBatchResults lines results up with payloads by key', () => {
+  const payloads = [{ idempotencyKey: 'a' }, { idempotencyKey: 'b' }, { idempotencyKey: 'c' }];
+  const results = [
+    { idempotencyKey: 'c', status: 'rejected', error: 'bad' },
+    { idempotencyKey: 'a', status: 'accepted' },
+    { idempotencyKey: 'zzz', status: 'accepted' },
+  ];
+  assert.deepEqual(matchBatchResults(payloads, results).map(result => result?.status ?? null), ['accepted', null, 'rejected']);
+});
+
+test('matchBatchResults gives no verdicts for an empty or unkeyed response', () => {
+  const payloads = [{ idempotencyKey: 'a' }, { idempotencyKey: 'b' }];
+  assert.deepEqual(matchBatchResults(payloads, []), [null, null]);
+  assert.deepEqual(matchBatchResults(payloads, [{ status: 'accepted' }, null]), [null, null]);
+});
@@ -0,0 +1,131 @@
+import { test, beforeEach, afterEach } from 'node:test';
+import assert from 'node:assert/strict';
+
+import { installChrome } from './chromeMock.js';
+import { focusTracker } from '../focusTracker.js';
+
+const EXAM_TAB = { id: 1, windowId: 10, active: true, url: 'https://exam.codeguard.test/room', title: 'Exam' };
+const OTHER_TAB = { id: 2, windowId: 10, active: false, url: 'https://chatgpt.com/', title: 'ChatGPT' };
+
+const realNow = Date.now;
+let clock;
+let ended;
+let exceeded;
+
+// Make `tabId` the active tab of its window
+function activate(tabId) {
+  const { windowId } = chrome.tabs.all.find(tab => tab.id === tabId);
+  chrome.tabs.all.forEach((tab) => {
+    if (tab.windowId === windowId) tab.active = tab.id === tabId;
+  });
+}
+
+async function startExam(policy = {}) {
+  installChrome({ tabs: [EXAM_TAB, OTHER_TAB] });
+  await focusTracker.setExamTab(EXAM_TAB.id, EXAM_TAB.windowId);
+  await focusTracker.start({ roomId: 'room-1', policy });
+}
+
+beforeEach(() => {
+  clock = Date.parse('2026-01-01T12:00:00Z');
+  Date.now = () => clock;
+  ended = [];
+  exceeded = [];
+  focusTracker.setHandlers({
+    onAwayEnded: (period, summary) => ended.push({ period, summary }),
+    onThresholdExceeded: (kind, details) => exceeded.push({ kind, details }),
+  });
+});
+
+afterEach(() => {
+  Date.now = realNow;
+});
+
+test('switching tabs opens an away period and returning closes it', async () => {
+  await startExam();
+  activate(OTHER_TAB.id);
+  await focusTracker.handleTabActivated({ tabId: OTHER_TAB.id });
+  clock += 8000;
+  activate(EXAM_TAB.id);
+  await focusTracker.handleTabActivated({ tabId: EXAM_TAB.id });
+
+  assert.equal(ended.length, 1);
+  assert.equal(ended[0].period.reason, 'tab_switch');
+  assert.equal(ended[0].period.target.url, OTHER_TAB.url);
+  assert.equal(ended[0].period.durationMs, 8000);
+  assert.deepEqual(ended[0].summary, { secondsAway: 8, awayCount: 1, longestSecondsAway: 8 });
+  assert.deepEqual(exceeded, []);
+});
+
+test('leaving the browser is a window blur; moving between other tabs extends one period', async () => {
+  await startExam();
+  await focusTracker.handleWindowFocusChanged(chrome.windows.WINDOW_ID_NONE);
+  clock += 1000;
+  await focusTracker.handleTabActivated({ tabId: OTHER_TAB.id });
+  clock += 1000;
+  await focusTracker.handleWindowFocusChanged(EXAM_TAB.windowId);
+
+  assert.equal(ended.length, 1);
+  assert.equal(ended[0].period.reason, 'window_blur');
+  assert.equal(ended[0].period.switches, 1);
+  assert.equal(ended[0].period.durationMs, 2000);
+});
+
+test('a long absence is flagged once while still ongoing', async () => {
+  await startExam({ maxContinuousAwaySec: 30 });
+  activate(OTHER_TAB.id);
+  await focusTracker.handleTabActivated({ tabId: OTHER_TAB.id });
+
+  clock += 29000;
+  await focusTracker.checkThresholds();
+  assert.deepEqual(exceeded, []);
+
+  clock += 2000;
+  await focusTracker.checkThresholds();
+  clock += 60000;
+  await focusTracker.checkThresholds();
+  assert.deepEqual(exceeded.map(flag => flag.kind), ['continuous_time_away']);
+  assert.equal(exceeded[0].details.continuousSecondsAway, 31);
+});
+
+test('total time away is flagged each time another multiple is crossed', async () => {
+  await startExam({ maxTotalAwaySec: 10, maxContinuousAwaySec: 0 });
+  for (let i = 0; i < 5; i++) {
+    activate(OTHER_TAB.id);
+    await focusTracker.handleTabActivated({ tabId: OTHER_TAB.id });
+    clock += 6000;
+    activate(EXAM_TAB.id);
+    await focusTracker.handleTabActivated({ tabId: EXAM_TAB.id });
+  }
+  // 6, 12, 18, 24, 30 seconds away in total → crosses 10, 20, 30
+  assert.deepEqual(exceeded.map(flag => [flag.kind, flag.details.secondsAway]), [
+    ['total_time_away', 12],
+    ['total_time_away', 24],
+    ['total_time_away', 30],
+  ]);
+});
+
+test('restarting for the same room keeps the totals; a new room resets them', async () => {
+  await startExam();
+  await focusTracker.handleTabActivated({ tabId: OTHER_TAB.id });
+  clock += 5000;
+  await focusTracker.handleTabActivated({ tabId: EXAM_TAB.id });
+
+  await focusTracker.start({ roomId: 'room-1' }); // EXAM_STARTED resent after a reload
+  assert.equal(chrome.storage.local.data.focusState.totalAwayMs, 5000);
+
+  await focusTracker.start({ roomId: 'room-2' });
+  assert.equal(chrome.storage.local.data.focusState.totalAwayMs, 0);
+  assert.equal(chrome.storage.local.data.focusState.examTabId, EXAM_TAB.id);
+});
+
+test('closing the exam tab counts as leaving it', async () => {
+  await startExam();
+  await focusTracker.handleTabRemoved(OTHER_TAB.id);
+  assert.equal(chrome.storage.local.data.focusState.awaySince, null);
+
+  await focusTracker.handleTabRemoved(EXAM_TAB.id);
+  assert.equal(chrome.storage.local.data.focusState.awayReason, 'exam_tab_closed');
+  await focusTracker.stop();
+  assert.equal(ended[0].period.reason, 'exam_tab_closed');
+});
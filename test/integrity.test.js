@@ -0,0 +1,66 @@
+import { test, beforeEach, afterEach } from 'node:test';
+import assert from 'node:assert/strict';
+import { createHash } from 'node:crypto';
+
+import { installChrome } from './chromeMock.js';
+import { buildAttestation, collectFileHashes } from '../integrity.js';
+
+const realFetch = globalThis.fetch;
+const sha256 = (text) => createHash('sha256').update(text).digest('hex');
+
+// Serve `files` (path → text) as the installed extension
+function serveFiles(files) {
+  globalThis.fetch = async (url) => {
+    const path = url.replace(chrome.runtime.getURL(''), '');
+    return path in files ? new Response(files[path]) : new Response('', { status: 404 });
+  };
+}
+
+beforeEach(() => {
+  installChrome();
+});
+
+afterEach(() => {
+  globalThis.fetch = realFetch;
+});
+
+test('files listed in integrity.json are hashed and compared', async () => {
+  const integrity = JSON.stringify({
+    files: { 'background.js': sha256('bg'), 'content.js': sha256('original'), 'gone.js': sha256('x') },
+    signature: 'sig',
+  });
+  serveFiles({ 'integrity.json': integrity, 'background.js': 'bg', 'content.js': 'edited' });
+
+  const attestation = await buildAttestation('nonce-1');
+  assert.deepEqual(attestation.files, { 'background.js': sha256('bg'), 'content.js': sha256('edited'), 'gone.js': null });
+  assert.deepEqual(attestation.localMismatches, ['content.js', 'gone.js']);
+  assert.equal(attestation.manifestHash, sha256(integrity));
+  assert.equal(attestation.manifestSignature, 'sig');
+  assert.equal(attestation.manifestMissing, false);
+  assert.equal(attestation.version, '1.0.0');
+});
+
+test('the digest binds the nonce to the hash set', async () => {
+  serveFiles({
+    'integrity.json': JSON.stringify({ files: { 'a.js': sha256('a') } }),
+    'a.js': 'a',
+  });
+  const first = await buildAttestation('nonce-1');
+  assert.equal(first.digest, sha256(`nonce-1\na.js:${sha256('a')}`));
+  assert.notEqual((await buildAttestation('nonce-2')).digest, first.digest);
+});
+
+test('without integrity.json the entry points Chrome loads are hashed', async () => {
+  chrome.runtime.getManifest = () => ({
+    version: '1.0.0',
+    background: { service_worker: 'background.js' },
+    content_scripts: [{ js: ['typingCadence.js', 'content.js'] }],
+  });
+  serveFiles({ 'manifest.json': '{}', 'background.js': 'bg', 'content.js': 'c', 'typingCadence.js': 't' });
+
+  const { files, expected, manifestHash } = await collectFileHashes();
+  assert.deepEqual(Object.keys(files), ['background.js', 'content.js', 'manifest.json', 'typingCadence.js']);
+  assert.equal(expected, null);
+  assert.equal(manifestHash, null);
+  assert.equal((await buildAttestation('n')).manifestMissing, true);
+});
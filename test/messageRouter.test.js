@@ -0,0 +1,103 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+
+import {
+  MessageRouter,
+  MessageError,
+  ERROR_CODES,
+  FIELDS,
+  validateMessage,
+} from '../messageRouter.js';
+
+function validationCode(message, schema) {
+  try {
+    validateMessage(message, schema);
+    return null;
+  } catch (err) {
+    assert.ok(err instanceof MessageError);
+    return err.code;
+  }
+}
+
+test('required, type, length and pattern checks', () => {
+  const schema = { roomId: { ...FIELDS.id, required: true }, chunkIndex: FIELDS.chunkIndex };
+  assert.equal(validationCode({ roomId: 'room-1', chunkIndex: 3 }, schema), null);
+  assert.equal(validationCode({}, schema), ERROR_CODES.VALIDATION_FAILED);
+  assert.equal(validationCode({ roomId: 42 }, schema), ERROR_CODES.VALIDATION_FAILED);
+  assert.equal(validationCode({ roomId: 'a b' }, schema), ERROR_CODES.VALIDATION_FAILED);
+  assert.equal(validationCode({ roomId: 'x'.repeat(129) }, schema), ERROR_CODES.VALIDATION_FAILED);
+  assert.equal(validationCode({ roomId: 'r', chunkIndex: -1 }, schema), ERROR_CODES.VALIDATION_FAILED);
+  assert.equal(validationCode({ roomId: 'r', chunkIndex: 1.5 }, schema), ERROR_CODES.VALIDATION_FAILED);
+});
+
+test('nullable fields accept null, others do not', () => {
+  assert.equal(validationCode({ token: null }, { token: FIELDS.token }), null);
+  assert.equal(validationCode({ name: null }, { name: { ...FIELDS.name, required: true } }), ERROR_CODES.VALIDATION_FAILED);
+});
+
+test('details are capped by serialized size', () => {
+  const big = { blob: 'x'.repeat(65 * 1024) };
+  assert.equal(validationCode({ details: big }, { details: FIELDS.details }), ERROR_CODES.VALIDATION_FAILED);
+  assert.equal(validationCode({ details: { ok: true } }, { details: FIELDS.details }), null);
+});
+
+test('data URLs may carry comma-separated MIME parameters', () => {
+  const schema = { dataUrl: FIELDS.dataUrl };
+  assert.equal(validationCode({ dataUrl: 'data:video/webm;codecs=vp8,opus;base64,GkXf' }, schema), null);
+  assert.equal(validationCode({ dataUrl: 'data:image/png;base64,iVBO' }, schema), null);
+  assert.equal(validationCode({ dataUrl: 'data:text/plain,hello' }, schema), ERROR_CODES.VALIDATION_FAILED);
+  assert.equal(validationCode({ dataUrl: 'https://example.com/x.webm' }, schema), ERROR_CODES.VALIDATION_FAILED);
+});
+
+test('handle() wraps results and errors in the envelope', async () => {
+  const router = new MessageRouter()
+    .register('ECHO', { schema: { value: { type: 'string', required: true } }, handler: async ({ value }) => ({ value }) })
+    .register('LEGACY_FAIL', { handler: async () => ({ success: false, error: 'disk full' }) })
+    .register('REFUSE', {
+      handler: async () => { throw new MessageError(ERROR_CODES.VERSION_TOO_OLD, 'too old', { minVersion: '2.0.0' }); },
+    })
+    .register('CRASH', { handler: async () => { throw new Error('boom'); } });
+
+  assert.deepEqual(await router.handle({ type: 'ECHO', value: 'hi' }), { success: true, value: 'hi' });
+  assert.equal((await router.handle({ type: 'ECHO' })).error.code, ERROR_CODES.VALIDATION_FAILED);
+  assert.deepEqual(await router.handle({ type: 'LEGACY_FAIL' }), {
+    success: false,
+    error: { code: ERROR_CODES.OPERATION_FAILED, message: 'disk full' },
+  });
+  assert.deepEqual((await router.handle({ type: 'REFUSE' })).error, {
+    code: ERROR_CODES.VERSION_TOO_OLD,
+    message: 'too old',
+    minVersion: '2.0.0',
+  });
+  assert.equal((await router.handle({ type: 'CRASH' })).error.code, ERROR_CODES.INTERNAL_ERROR);
+  assert.equal((await router.handle({ type: 'NOPE' })).error.code, ERROR_CODES.UNKNOWN_TYPE);
+  assert.equal((await router.handle(null)).error.code, ERROR_CODES.INVALID_MESSAGE);
+});
+
+test('requiresExam consults isExamActive, other routes do not', async () => {
+  let active = false;
+  const router = new MessageRouter({ isExamActive: async () => active })
+    .register('DURING_EXAM', { requiresExam: true, handler: async () => ({}) })
+    .register('ANY_TIME', { handler: async () => ({}) });
+
+  assert.equal((await router.handle({ type: 'DURING_EXAM' })).error.code, ERROR_CODES.EXAM_NOT_ACTIVE);
+  assert.equal((await router.handle({ type: 'ANY_TIME' })).success, true);
+  active = true;
+  assert.equal((await router.handle({ type: 'DURING_EXAM' })).success, true);
+  assert.deepEqual(router.types(), ['DURING_EXAM', 'ANY_TIME']);
+});
+
+test('a requiresExam route is validated first and never reaches its handler outside an exam', async () => {
+  const calls = [];
+  const router = new MessageRouter({ isExamActive: async () => false })
+    .register('ADD_RECORDING_EVENT', {
+      schema: { eventType: { type: 'string', required: true, maxLength: 64 } },
+      requiresExam: true,
+      handler: async (message) => { calls.push(message); return {}; },
+    });
+
+  assert.equal((await router.handle({ type: 'ADD_RECORDING_EVENT' })).error.code, ERROR_CODES.VALIDATION_FAILED);
+  const refused = await router.handle({ type: 'ADD_RECORDING_EVENT', eventType: 'tab_switch' });
+  assert.equal(refused.error.code, ERROR_CODES.EXAM_NOT_ACTIVE);
+  assert.deepEqual(calls, []);
+});
@@ -0,0 +1,64 @@
+import { test, beforeEach } from 'node:test';
+import assert from 'node:assert/strict';
+
+import { installChrome } from './chromeMock.js';
+import { findDuplicate, hammingDistance, clearScreenshotHistory } from '../screenshotPipeline.js';
+
+const LIMITS = { maxDistance: 4, maxAgeMs: 60 * 1000 };
+const HASH = '0f0f0f0f0f0f0f0f';
+
+function remembered(overrides = {}) {
+  return {
+    roomId: 'room-1',
+    hash: HASH,
+    url: 'https://example.com/a',
+    tabId: 7,
+    screenshotId: 'shot-1',
+    at: new Date().toISOString(),
+    ...overrides,
+  };
+}
+
+beforeEach(() => {
+  installChrome();
+});
+
+test('hammingDistance counts differing bits of two dHashes', () => {
+  assert.equal(hammingDistance(HASH, HASH), 0);
+  assert.equal(hammingDistance('0000000000000000', '000000000000000f'), 4);
+  assert.equal(hammingDistance('0000000000000000', 'ffffffffffffffff'), 64);
+});
+
+test('a near-identical capture of the same page is a duplicate', async () => {
+  await chrome.storage.local.set({ screenshotHashes: [remembered()] });
+  const duplicate = await findDuplicate({ roomId: 'room-1', hash: '0f0f0f0f0f0f0f0e', url: 'https://example.com/a' }, LIMITS);
+  assert.equal(duplicate?.screenshotId, 'shot-1');
+});
+
+test('the same tab counts as the same page', async () => {
+  await chrome.storage.local.set({ screenshotHashes: [remembered()] });
+  const duplicate = await findDuplicate({ roomId: 'room-1', hash: HASH, url: 'https://example.com/b', tabId: 7 }, LIMITS);
+  assert.equal(duplicate?.screenshotId, 'shot-1');
+});
+
+test('an identical-looking capture of another page is not a duplicate', async () => {
+  await chrome.storage.local.set({ screenshotHashes: [remembered()] });
+  assert.equal(await findDuplicate({ roomId: 'room-1', hash: HASH, url: 'https://other.com/', tabId: 8 }, LIMITS), null);
+  assert.equal(await findDuplicate({ roomId: 'room-1', hash: HASH }, LIMITS), null);
+});
+
+test('old captures, other rooms and different screens are never referenced', async () => {
+  const old = new Date(Date.now() - 2 * LIMITS.maxAgeMs).toISOString();
+  await chrome.storage.local.set({ screenshotHashes: [remembered({ at: old })] });
+  assert.equal(await findDuplicate({ roomId: 'room-1', hash: HASH, url: 'https://example.com/a' }, LIMITS), null);
+
+  await chrome.storage.local.set({ screenshotHashes: [remembered()] });
+  assert.equal(await findDuplicate({ roomId: 'room-2', hash: HASH, url: 'https://example.com/a' }, LIMITS), null);
+  assert.equal(await findDuplicate({ roomId: 'room-1', hash: 'f0f0f0f0f0f0f0f0', url: 'https://example.com/a' }, LIMITS), null);
+});
+
+test('clearScreenshotHistory forgets every hash', async () => {
+  await chrome.storage.local.set({ screenshotHashes: [remembered()] });
+  await clearScreenshotHistory();
+  assert.equal(await findDuplicate({ roomId: 'room-1', hash: HASH, url: 'https://example.com/a' }, LIMITS), null);
+});
@@ -0,0 +1,73 @@
+import { test, beforeEach } from 'node:test';
+import assert from 'node:assert/strict';
+
+import { installChrome } from './chromeMock.js';
+import { screenshotSampler } from '../screenshotSampler.js';
+
+const ALARM = { name: 'screenshotSample' };
+let alarms;
+
+beforeEach(() => {
+  const chrome = installChrome({ local: { examActive: true } });
+  alarms = [];
+  chrome.alarms.create = async (name, info) => { alarms.push({ name, delaySec: (info.when - Date.now()) / 1000 }); };
+  screenshotSampler.setHandlers({ onSample: async () => true });
+});
+
+test('sampling is off unless the room enables it', async () => {
+  await screenshotSampler.start({ roomId: 'r1' });
+  assert.deepEqual(alarms, []);
+  assert.equal(chrome.storage.local.data.samplingState, undefined);
+});
+
+test('samples are scheduled at a random delay inside the policy window', async () => {
+  await screenshotSampler.start({ roomId: 'r1', policy: { enabled: true, minIntervalSec: 60, maxIntervalSec: 90 } });
+  for (let i = 0; i < 5; i++) await screenshotSampler.handleAlarm(ALARM);
+
+  assert.equal(alarms.length, 6);
+  for (const alarm of alarms) {
+    assert.equal(alarm.name, ALARM.name);
+    assert.ok(alarm.delaySec >= 59.9 && alarm.delaySec <= 90.1, String(alarm.delaySec));
+  }
+  assert.equal(chrome.storage.local.data.samplingState.count, 5);
+});
+
+test('intervals are never shorter than Chrome allows', async () => {
+  await screenshotSampler.start({ roomId: 'r1', policy: { enabled: true, minIntervalSec: 1, maxIntervalSec: 1 } });
+  assert.ok(alarms[0].delaySec >= 29.9);
+});
+
+test('the per-exam cap stops sampling, and a page reload cannot reset it', async () => {
+  const policy = { enabled: true, maxPerExam: 2 };
+  await screenshotSampler.start({ roomId: 'r1', policy });
+  await screenshotSampler.handleAlarm(ALARM);
+  await screenshotSampler.start({ roomId: 'r1', policy }); // EXAM_STARTED resent
+  await screenshotSampler.handleAlarm(ALARM);
+
+  const taken = [];
+  screenshotSampler.setHandlers({ onSample: async (index) => { taken.push(index); return true; } });
+  const scheduled = alarms.length;
+  await screenshotSampler.handleAlarm(ALARM);
+  assert.deepEqual(taken, []);
+  assert.equal(alarms.length, scheduled);
+  assert.equal(chrome.storage.local.data.samplingState.count, 2);
+});
+
+test('a failed capture does not count toward the cap', async () => {
+  screenshotSampler.setHandlers({ onSample: async () => false });
+  await screenshotSampler.start({ roomId: 'r1', policy: { enabled: true } });
+  await screenshotSampler.handleAlarm(ALARM);
+  assert.equal(chrome.storage.local.data.samplingState.count, 0);
+  assert.equal(alarms.length, 2); // Re-armed for another try
+});
+
+test('sampling pauses outside an active exam and ignores other alarms', async () => {
+  await screenshotSampler.start({ roomId: 'r1', policy: { enabled: true } });
+  chrome.storage.local.data.examActive = false;
+  assert.equal(await screenshotSampler.handleAlarm(ALARM), true);
+  assert.equal(alarms.length, 1);
+  assert.equal(await screenshotSampler.handleAlarm({ name: 'keepAlive' }), false);
+
+  await screenshotSampler.stop();
+  assert.equal(chrome.storage.local.data.samplingState, undefined);
+});
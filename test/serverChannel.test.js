@@ -0,0 +1,126 @@
+import { test, beforeEach, afterEach, mock } from 'node:test';
+import assert from 'node:assert/strict';
+
+import { serverChannel, SERVER_EVENTS } from '../serverChannel.js';
+
+const SESSION = { serverUrl: 'https://codeguard.test', token: 'tok', roomId: 'room-1', studentId: 's-1', examActive: true };
+
+// Records what the channel sends; tests play the server with receive()
+class FakeWebSocket {
+  static CONNECTING = 0;
+  static OPEN = 1;
+  static CLOSING = 2;
+  static CLOSED = 3;
+  static sockets = [];
+
+  constructor(url) {
+    this.url = url;
+    this.readyState = FakeWebSocket.OPEN;
+    this.sent = [];
+    FakeWebSocket.sockets.push(this);
+  }
+
+  send(packet) {
+    this.sent.push(packet);
+  }
+
+  close(code = 1000) {
+    if (this.readyState === FakeWebSocket.CLOSED) return;
+    this.readyState = FakeWebSocket.CLOSED;
+    this.onclose?.({ code });
+  }
+
+  receive(packet) {
+    this.onmessage({ data: packet });
+  }
+}
+
+const realWebSocket = globalThis.WebSocket;
+let session;
+const socket = () => FakeWebSocket.sockets.at(-1);
+const tick = () => new Promise(resolve => setImmediate(resolve));
+
+beforeEach(() => {
+  // The channel logs every lifecycle step; keep the test output readable
+  for (const level of ['log', 'warn', 'error']) mock.method(console, level, () => {});
+  globalThis.WebSocket = FakeWebSocket;
+  FakeWebSocket.sockets = [];
+  session = { ...SESSION };
+  serverChannel.setHandlers({
+    getSession: async () => session,
+    onWhitelistUpdated: null,
+    onChunkRequested: null,
+  });
+});
+
+afterEach(() => {
+  serverChannel.stop();
+  globalThis.WebSocket = realWebSocket;
+  mock.restoreAll();
+});
+
+// Open the channel and complete the Engine.IO / socket.io handshake
+async function connect() {
+  await serverChannel.start();
+  socket().receive('0{"sid":"abc","pingInterval":25000,"pingTimeout":20000}');
+  socket().receive('40{"sid":"def"}');
+}
+
+test('the channel connects over WebSocket, authenticates and joins the room', async () => {
+  await connect();
+  assert.equal(socket().url, 'wss://codeguard.test/socket.io/?EIO=4&transport=websocket');
+  assert.equal(socket().sent[0], '40{"token":"tok"}');
+  assert.deepEqual(JSON.parse(socket().sent[1].slice(2)), [
+    SERVER_EVENTS.JOIN_ROOM,
+    { roomId: 'room-1', studentId: 's-1', role: 'student-extension' },
+  ]);
+  assert.equal(serverChannel.isConnected(), true);
+});
+
+test('server pings are answered', async () => {
+  await connect();
+  socket().receive('2');
+  assert.equal(socket().sent.at(-1), '3');
+});
+
+test('events with an ack ID are answered with the handler result', async () => {
+  const requested = [];
+  serverChannel.setHandlers({
+    onChunkRequested: async (data) => { requested.push(data); return { success: true, uploaded: 3 }; },
+  });
+  await connect();
+  socket().receive(`4212${JSON.stringify([SERVER_EVENTS.CHUNK_REQUESTED, { chunkIndex: 3 }])}`);
+  await tick();
+
+  assert.deepEqual(requested, [{ chunkIndex: 3 }]);
+  assert.equal(socket().sent.at(-1), `4312${JSON.stringify([{ success: true, uploaded: 3 }])}`);
+});
+
+test('a failing handler still acks, with the error', async () => {
+  serverChannel.setHandlers({ onChunkRequested: async () => { throw new Error('no such chunk'); } });
+  await connect();
+  socket().receive(`427${JSON.stringify([SERVER_EVENTS.CHUNK_REQUESTED, { chunkIndex: 9 }])}`);
+  await tick();
+  assert.equal(socket().sent.at(-1), `437${JSON.stringify([{ success: false, error: 'no such chunk' }])}`);
+});
+
+test('malformed packets and unknown events are ignored', async () => {
+  await connect();
+  const sent = socket().sent.length;
+  socket().receive('42{not json');
+  socket().receive(`425${JSON.stringify(['something-else', {}])}`);
+  await tick();
+  assert.equal(socket().sent.length, sent);
+});
+
+test('a dropped connection reconnects only while the exam is active', async () => {
+  await connect();
+  socket().close(1006);
+  await tick();
+  assert.ok(serverChannel.reconnectTimer, 'reconnect scheduled');
+
+  serverChannel.stop();
+  session.examActive = false;
+  await serverChannel.start();
+  assert.equal(FakeWebSocket.sockets.length, 1, 'no new socket outside an exam');
+});
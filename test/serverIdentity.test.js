@@ -0,0 +1,79 @@
+import { test, afterEach } from 'node:test';
+import assert from 'node:assert/strict';
+
+import { importServerPublicKey, verifyServerIdentity } from '../serverIdentity.js';
+
+const SERVER_URL = 'https://codeguard.test';
+const realFetch = globalThis.fetch;
+
+async function generateServerKey() {
+  const keys = await crypto.subtle.generateKey({ name: 'ECDSA', namedCurve: 'P-256' }, true, ['sign', 'verify']);
+  const spki = Buffer.from(await crypto.subtle.exportKey('spki', keys.publicKey)).toString('base64');
+  const pem = `-----BEGIN PUBLIC KEY-----\n${spki.match(/.{1,64}/g).join('\n')}\n-----END PUBLIC KEY-----`;
+  return { privateKey: keys.privateKey, pem };
+}
+
+// A server that answers the identity challenge by signing with `privateKey`
+function serveIdentity(privateKey, { status = 200, tamper = false } = {}) {
+  const requests = [];
+  globalThis.fetch = async (url, options) => {
+    requests.push({ url, body: JSON.parse(options.body) });
+    if (status !== 200) return new Response('nope', { status });
+    const { nonce } = JSON.parse(options.body);
+    const signed = await crypto.subtle.sign({ name: 'ECDSA', hash: 'SHA-256' }, privateKey, new TextEncoder().encode(tamper ? `${nonce}x` : nonce));
+    return Response.json({ signature: Buffer.from(signed).toString('base64') });
+  };
+  return requests;
+}
+
+afterEach(() => {
+  globalThis.fetch = realFetch;
+});
+
+test('imports PEM and bare base64 SPKI keys', async () => {
+  const { pem } = await generateServerKey();
+  assert.equal((await importServerPublicKey(pem)).type, 'public');
+  const bare = pem.replace(/-----[A-Z ]+-----|\s/g, '');
+  assert.equal((await importServerPublicKey(bare)).type, 'public');
+  await assert.rejects(importServerPublicKey('not a key'));
+});
+
+test('a server holding the pinned private key is verified', async () => {
+  const { privateKey, pem } = await generateServerKey();
+  const requests = serveIdentity(privateKey);
+  assert.deepEqual(await verifyServerIdentity(SERVER_URL, pem), { verified: true, reason: null });
+  assert.equal(requests[0].url, `${SERVER_URL}/api/extension/identity`);
+  assert.ok(requests[0].body.nonce.length >= 40);
+});
+
+test('each attempt uses a fresh nonce', async () => {
+  const { privateKey, pem } = await generateServerKey();
+  const requests = serveIdentity(privateKey);
+  await verifyServerIdentity(SERVER_URL, pem);
+  await verifyServerIdentity(SERVER_URL, pem);
+  assert.notEqual(requests[0].body.nonce, requests[1].body.nonce);
+});
+
+test('a server with a different key, or a replayed signature, is refused', async () => {
+  const pinned = await generateServerKey();
+  const impostor = await generateServerKey();
+  serveIdentity(impostor.privateKey);
+  assert.deepEqual(await verifyServerIdentity(SERVER_URL, pinned.pem), { verified: false, reason: 'signature_mismatch' });
+
+  serveIdentity(pinned.privateKey, { tamper: true });
+  assert.deepEqual(await verifyServerIdentity(SERVER_URL, pinned.pem), { verified: false, reason: 'signature_mismatch' });
+});
+
+test('failures explain themselves', async () => {
+  const { privateKey, pem } = await generateServerKey();
+  assert.equal((await verifyServerIdentity(SERVER_URL, 'garbage')).reason, 'pinned_key_invalid');
+
+  serveIdentity(privateKey, { status: 404 });
+  assert.equal((await verifyServerIdentity(SERVER_URL, pem)).reason, 'identity_http_404');
+
+  globalThis.fetch = async () => { throw new TypeError('fetch failed'); };
+  assert.equal((await verifyServerIdentity(SERVER_URL, pem)).reason, 'identity_unreachable');
+
+  globalThis.fetch = async () => Response.json({});
+  assert.equal((await verifyServerIdentity(SERVER_URL, pem)).reason, 'signature_missing');
+});
@@ -0,0 +1,84 @@
+import { test, beforeEach } from 'node:test';
+import assert from 'node:assert/strict';
+
+import { installChrome } from './chromeMock.js';
+import {
+  validateProfile,
+  loadProfiles,
+  saveProfiles,
+  getActiveProfile,
+  exportProfiles,
+  parseProfileImport,
+} from '../serverProfiles.js';
+
+const HALL = { name: 'Hall A', serverUrl: 'https://a.codeguard.test/', clientUrl: 'https://exam-a.codeguard.test' };
+
+beforeEach(() => {
+  installChrome();
+});
+
+test('validateProfile normalizes URLs and flags', () => {
+  const { profile } = validateProfile({ ...HALL, configLocked: 'yes', serverPublicKey: '  key  ' });
+  assert.equal(profile.serverUrl, 'https://a.codeguard.test');
+  assert.equal(profile.configLocked, false);
+  assert.equal(profile.serverPublicKey, 'key');
+  assert.ok(profile.id);
+});
+
+test('validateProfile refuses missing names and non-http URLs', () => {
+  assert.match(validateProfile({ ...HALL, name: '  ' }).error, /name/);
+  assert.match(validateProfile({ ...HALL, name: 'x'.repeat(65) }).error, /name/);
+  assert.match(validateProfile({ ...HALL, clientUrl: 'javascript:alert(1)' }).error, /http/);
+  assert.match(validateProfile({ ...HALL, serverUrl: '' }).error, /http/);
+});
+
+test('the first load turns the current settings into a Default profile', async () => {
+  installChrome({ local: { serverUrl: 'https://s.test', clientUrl: 'https://c.test', configLocked: true } });
+  const { profiles, activeId } = await loadProfiles();
+  assert.equal(profiles.length, 1);
+  assert.deepEqual(
+    { name: profiles[0].name, serverUrl: profiles[0].serverUrl, clientUrl: profiles[0].clientUrl, configLocked: profiles[0].configLocked },
+    { name: 'Default', serverUrl: 'https://s.test', clientUrl: 'https://c.test', configLocked: true }
+  );
+  assert.equal(activeId, profiles[0].id);
+  // ...and only the first: later loads return the stored list
+  assert.deepEqual((await loadProfiles()).profiles, profiles);
+});
+
+test('a fresh install gets a Default profile with the local defaults', async () => {
+  const profile = await getActiveProfile();
+  assert.equal(profile.serverUrl, 'http://localhost:3000');
+  assert.equal(profile.clientUrl, 'http://localhost:5173');
+});
+
+test('the active profile falls back to the first when none is stored', async () => {
+  const a = validateProfile({ ...HALL, id: 'a' }).profile;
+  const b = validateProfile({ ...HALL, id: 'b', name: 'Hall B' }).profile;
+  await saveProfiles([a, b]);
+  assert.equal((await getActiveProfile()).id, 'a');
+  await saveProfiles([a, b], 'b');
+  assert.equal((await getActiveProfile()).id, 'b');
+});
+
+test('export drops per-install IDs and import gives new ones', () => {
+  const original = validateProfile({ ...HALL, id: 'local-id', serverPublicKey: 'pem' }).profile;
+  const text = exportProfiles([original]);
+  assert.equal(JSON.parse(text).profiles[0].id, undefined);
+
+  const { profiles } = parseProfileImport(text);
+  assert.equal(profiles.length, 1);
+  assert.notEqual(profiles[0].id, 'local-id');
+  assert.equal(profiles[0].serverPublicKey, 'pem');
+  assert.equal(profiles[0].serverUrl, original.serverUrl);
+});
+
+test('an import with one bad profile imports nothing', () => {
+  const text = JSON.stringify({
+    format: 'codeguard-server-profiles',
+    version: 1,
+    profiles: [HALL, { ...HALL, name: 'Bad', serverUrl: 'ftp://x' }],
+  });
+  assert.deepEqual(Object.keys(parseProfileImport(text)), ['error']);
+  assert.equal(parseProfileImport('{').error, 'Not a JSON file');
+  assert.equal(parseProfileImport('{"profiles":[]}').error, 'Not a CodeGuard server profiles export');
+});
@@ -0,0 +1,62 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+
+import '../typingCadence.js';
+
+const { TYPING_DEFAULTS, computeTypingStats, typingAnomalyReasons } = globalThis.CodeGuardTypingCadence;
+
+// `count` one-char events `gapMs` apart (each gap jittered by `jitter(i)`)
+function samples(count, gapMs, { trusted = true, jitter = () => 0 } = {}) {
+  let t = 0;
+  return Array.from({ length: count }, (_, i) => {
+    if (i > 0) t += gapMs + jitter(i);
+    return { t, trusted: typeof trusted === 'function' ? trusted(i) : trusted, chars: 1 };
+  });
+}
+
+const reasonsFor = (window, burst = { chars: 0, longestChars: 0 }, settings = TYPING_DEFAULTS) =>
+  typingAnomalyReasons(computeTypingStats(window, burst, settings), settings);
+
+// Human-ish: ~6 chars/s with uneven gaps
+const human = samples(60, 160, { jitter: i => (i % 3) * 60 - 60 });
+
+test('human typing breaks no threshold', () => {
+  assert.deepEqual(reasonsFor(human, { chars: 20, longestChars: 120 }), []);
+});
+
+test('speed within bursts above maxCharsPerSecond is inhuman', () => {
+  const stats = computeTypingStats(samples(60, 40, { jitter: i => (i % 2) * 20 }), { chars: 0, longestChars: 0 }, TYPING_DEFAULTS);
+  assert.ok(stats.charsPerSecond > TYPING_DEFAULTS.maxCharsPerSecond);
+  assert.deepEqual(typingAnomalyReasons(stats, TYPING_DEFAULTS), ['inhuman_speed']);
+});
+
+test('pauses longer than burstGapMs do not count toward speed', () => {
+  // Fast pairs separated by long pauses: only the in-burst gaps are timed
+  const window = samples(60, 150, { jitter: i => (i % 2 ? 1500 : -50) });
+  const stats = computeTypingStats(window, { chars: 0, longestChars: 0 }, TYPING_DEFAULTS);
+  assert.equal(stats.intervals, 29);
+  assert.equal(stats.meanIntervalMs, 100);
+});
+
+test('metronome-even intervals are a uniform cadence', () => {
+  assert.deepEqual(reasonsFor(samples(60, 200)), ['uniform_cadence']);
+  // ...but only once there are minSamples intervals to judge
+  assert.deepEqual(reasonsFor(samples(30, 200)), []);
+});
+
+test('synthetic events above maxUntrustedRatio are flagged', () => {
+  const window = human.map((sample, i) => ({ ...sample, trusted: i % 4 !== 0 })); // 25% synthetic
+  assert.deepEqual(reasonsFor(window), ['synthetic_events']);
+  const fewer = human.map((sample, i) => ({ ...sample, trusted: i % 10 !== 0 })); // 10%
+  assert.deepEqual(reasonsFor(fewer), []);
+});
+
+test('a burst longer than maxBurstChars is flagged', () => {
+  assert.deepEqual(reasonsFor(human, { chars: 0, longestChars: TYPING_DEFAULTS.maxBurstChars + 1 }), ['unbroken_burst']);
+  assert.deepEqual(reasonsFor(human, { chars: 0, longestChars: TYPING_DEFAULTS.maxBurstChars }), []);
+});
+
+test('room policy thresholds override the defaults', () => {
+  const strict = { ...TYPING_DEFAULTS, maxCharsPerSecond: 4 };
+  assert.deepEqual(reasonsFor(human, undefined, strict), ['inhuman_speed']);
+});
@@ -0,0 +1,61 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+
+import {
+  compareVersions,
+  parseVersionDocument,
+  getVersionStatus,
+  isUpdateCheckDue,
+  UPDATE_CHECK_INTERVAL_MS,
+  UPDATE_RETRY_BASE_MS,
+} from '../versionCheck.js';
+
+const MINUTE = 60 * 1000;
+
+test('compareVersions compares numerically, part by part', () => {
+  assert.ok(compareVersions('1.10.0', '1.9.9') > 0);
+  assert.ok(compareVersions('1.4', '1.4.1') < 0);
+  assert.equal(compareVersions('2.0', '2.0.0'), 0);
+});
+
+test('parseVersionDocument keeps only room overrides with a minimum', () => {
+  const doc = parseVersionDocument({ version: 1.6, minVersion: '1.4.0', rooms: { a: { minVersion: '1.5.2' }, b: {} } }, 'at');
+  assert.deepEqual(doc, { version: '1.6', minVersion: '1.4.0', rooms: { a: { minVersion: '1.5.2' } }, checkedAt: 'at' });
+  assert.deepEqual(parseVersionDocument({}, 'at'), { version: null, minVersion: null, rooms: {}, checkedAt: 'at' });
+});
+
+test('a room override replaces the global minimum', () => {
+  const doc = parseVersionDocument({ version: '1.6.0', minVersion: '1.4.0', rooms: { strict: { minVersion: '1.5.2' } } });
+  assert.equal(getVersionStatus(doc, null, '1.5.0').updateRequired, false);
+  assert.equal(getVersionStatus(doc, 'strict', '1.5.0').updateRequired, true);
+  assert.equal(getVersionStatus(doc, 'other', '1.5.0').minVersion, '1.4.0');
+  assert.equal(getVersionStatus(doc, null, '1.5.0').updateAvailable, true);
+  assert.equal(getVersionStatus(doc, null, '1.6.0').updateAvailable, false);
+});
+
+test('no version document enforces no minimum', () => {
+  const status = getVersionStatus(null, 'room', '1.0.0');
+  assert.equal(status.updateRequired, false);
+  assert.equal(status.updateAvailable, false);
+});
+
+test('a check is due an interval after the last success', () => {
+  const now = Date.parse('2026-01-01T12:00:00Z');
+  const checkedAt = new Date(now - UPDATE_CHECK_INTERVAL_MS + MINUTE).toISOString();
+  assert.equal(isUpdateCheckDue({ versionDocument: { checkedAt } }, now), false);
+  assert.equal(isUpdateCheckDue({ versionDocument: { checkedAt } }, now + MINUTE), true);
+  assert.equal(isUpdateCheckDue({}, now), true);
+});
+
+test('failed checks back off, doubling up to the interval', () => {
+  const lastAt = Date.parse('2026-01-01T12:00:00Z');
+  const due = (count, elapsed) => isUpdateCheckDue({ failures: { count, lastAt } }, lastAt + elapsed);
+
+  assert.equal(due(1, UPDATE_RETRY_BASE_MS - 1), false);
+  assert.equal(due(1, UPDATE_RETRY_BASE_MS), true);
+  assert.equal(due(3, 3 * UPDATE_RETRY_BASE_MS), false);
+  assert.equal(due(3, 4 * UPDATE_RETRY_BASE_MS), true);
+  assert.equal(due(20, UPDATE_CHECK_INTERVAL_MS), true);
+  // A keepAlive alarm every ~24 s must not refetch after a failure
+  assert.equal(due(1, 24 * 1000), false);
+});
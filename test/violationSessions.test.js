@@ -0,0 +1,81 @@
+import { test, beforeEach, afterEach } from 'node:test';
+import assert from 'node:assert/strict';
+
+import { installChrome } from './chromeMock.js';
+import { violationSessions } from '../violationSessions.js';
+
+const realNow = Date.now;
+let clock;
+
+beforeEach(() => {
+  installChrome();
+  clock = Date.parse('2026-01-01T12:00:00Z');
+  Date.now = () => clock;
+});
+
+afterEach(() => {
+  Date.now = realNow;
+});
+
+test('navigations on the same domain append to one session', async () => {
+  const opened = await violationSessions.recordNavigation(7, 'https://www.chatgpt.com/');
+  assert.equal(opened.action, 'opened');
+  assert.equal(opened.closed, null);
+
+  clock += 5000;
+  const appended = await violationSessions.recordNavigation(7, 'https://chatgpt.com/c/1');
+  assert.equal(appended.action, 'appended');
+  assert.equal(appended.session.sessionId, opened.session.sessionId);
+  assert.equal(appended.session.pageCount, 2);
+  assert.deepEqual(appended.session.urls.map(entry => entry.url), ['https://www.chatgpt.com/', 'https://chatgpt.com/c/1']);
+});
+
+test('a new domain closes the previous session with its dwell time', async () => {
+  const first = await violationSessions.recordNavigation(7, 'https://chatgpt.com/');
+  clock += 42000;
+  const second = await violationSessions.recordNavigation(7, 'https://claude.ai/');
+
+  assert.equal(second.action, 'opened');
+  assert.equal(second.closed.sessionId, first.session.sessionId);
+  assert.equal(second.closed.closeReason, 'domain_changed');
+  assert.equal(second.closed.dwellMs, 42000);
+});
+
+test('closing a session reports it once', async () => {
+  await violationSessions.recordNavigation(7, 'https://chatgpt.com/');
+  clock += 10000;
+  const closed = await violationSessions.closeSession(7, 'returned_to_allowed');
+  assert.equal(closed.closeReason, 'returned_to_allowed');
+  assert.equal(closed.dwellMs, 10000);
+  assert.equal(await violationSessions.closeSession(7, 'tab_closed'), null);
+});
+
+test('focus moving to a tab closes the sessions in every other tab', async () => {
+  await violationSessions.recordNavigation(1, 'https://a.example/');
+  await violationSessions.recordNavigation(2, 'https://b.example/');
+  await violationSessions.recordNavigation(3, 'https://c.example/');
+
+  const closed = await violationSessions.closeOthers(2, 'focus_lost');
+  assert.deepEqual(closed.map(session => session.domain).sort(), ['a.example', 'c.example']);
+  assert.deepEqual(Object.keys(chrome.storage.local.data.violationSessions), ['2']);
+
+  const rest = await violationSessions.closeAll('exam_ended');
+  assert.deepEqual(rest.map(session => session.domain), ['b.example']);
+});
+
+test('sessions survive a service worker restart via storage', async () => {
+  const { session } = await violationSessions.recordNavigation(7, 'https://chatgpt.com/');
+  // A fresh worker reads the same storage
+  const stored = chrome.storage.local.data.violationSessions[7];
+  assert.equal(stored.sessionId, session.sessionId);
+  assert.equal((await violationSessions.recordNavigation(7, 'https://chatgpt.com/x')).action, 'appended');
+});
+
+test('the URL list is capped but the page count is not', async () => {
+  for (let i = 0; i < 60; i++) {
+    await violationSessions.recordNavigation(7, `https://chatgpt.com/c/${i}`);
+  }
+  const closed = await violationSessions.closeSession(7, 'tab_closed');
+  assert.equal(closed.pageCount, 60);
+  assert.equal(closed.urls.length, 50);
+});
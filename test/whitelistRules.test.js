@@ -0,0 +1,92 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+
+import { compileWhitelist, evaluateUrl, isSearchQuery } from '../whitelistRules.js';
+
+const allowed = (entries, url) => evaluateUrl(compileWhitelist(entries), url).allowed;
+
+test('plain host covers subdomains but not parent domains', () => {
+  assert.equal(allowed(['example.com'], 'https://example.com/'), true);
+  assert.equal(allowed(['example.com'], 'https://docs.example.com/a'), true);
+  assert.equal(allowed(['docs.example.com'], 'https://example.com/'), false);
+  assert.equal(allowed(['example.com'], 'https://notexample.com/'), false);
+});
+
+test('"*." requires a subdomain', () => {
+  assert.equal(allowed(['*.example.com'], 'https://a.example.com/'), true);
+  assert.equal(allowed(['*.example.com'], 'https://example.com/'), false);
+});
+
+test('path rules respect segment boundaries unless the star is glued', () => {
+  const entries = ['github.com/org/course-repo/*', 'docs.python.org/3/lib*'];
+  assert.equal(allowed(entries, 'https://github.com/org/course-repo/blob/main'), true);
+  assert.equal(allowed(entries, 'https://github.com/org/course-repo-solutions'), false);
+  assert.equal(allowed(entries, 'https://docs.python.org/3/library/os.html'), true);
+});
+
+test('scheme and port must match when given', () => {
+  assert.equal(allowed(['https://lab.local:8080'], 'https://lab.local:8080/x'), true);
+  assert.equal(allowed(['https://lab.local:8080'], 'http://lab.local:8080/x'), false);
+  assert.equal(allowed(['https://lab.local:8080'], 'https://lab.local:9090/x'), false);
+});
+
+test('deny rules beat allow rules and are reported', () => {
+  const compiled = compileWhitelist(['google.com', '!gemini.google.com']);
+  const verdict = evaluateUrl(compiled, 'https://gemini.google.com/app');
+  assert.equal(verdict.allowed, false);
+  assert.equal(verdict.reason, 'matched_block_rule');
+  assert.equal(verdict.rule.source, '!gemini.google.com');
+  assert.equal(evaluateUrl(compiled, 'https://www.google.com/').allowed, true);
+});
+
+test('object entries carry their action', () => {
+  const compiled = compileWhitelist([{ pattern: 'github.com/org/*', action: 'block' }, 'github.com']);
+  assert.equal(evaluateUrl(compiled, 'https://github.com/org/repo').allowed, false);
+  assert.equal(evaluateUrl(compiled, 'https://github.com/other').allowed, true);
+});
+
+test('regex rules match the full URL in both forms', () => {
+  assert.equal(allowed(['re:^https://x\\.com/(a|b)/'], 'https://x.com/a/1'), true);
+  assert.equal(allowed(['re:^https://x\\.com/(a|b)/'], 'https://x.com/c/1'), false);
+  assert.equal(allowed(['/^https?:\\/\\/X\\.com\\//i'], 'https://x.com/'), true);
+});
+
+test('regex literals with g/y flags give the same answer every time', () => {
+  const compiled = compileWhitelist(['/^https:\\/\\/x\\.com\\//gy']);
+  for (let i = 0; i < 3; i++) {
+    assert.equal(evaluateUrl(compiled, 'https://x.com/a').allowed, true);
+  }
+});
+
+test('malformed entries are reported without dropping the rest', () => {
+  const compiled = compileWhitelist(['example.com', 're:(', 'bad host!.com']);
+  assert.equal(compiled.allowRules.length, 1);
+  assert.deepEqual(compiled.errors.map(error => error.index), [1, 2]);
+});
+
+test('unmatched URLs are not allowed', () => {
+  const verdict = evaluateUrl(compileWhitelist([]), 'https://example.com/');
+  assert.deepEqual(verdict, { allowed: false, rule: null, reason: 'no_matching_rule' });
+});
+
+test('isSearchQuery needs a search engine host and a query', () => {
+  assert.equal(isSearchQuery('https://www.google.com/search?q=python'), true);
+  assert.equal(isSearchQuery('https://duckduckgo.com/?q=python'), true);
+  assert.equal(isSearchQuery('https://www.google.com/'), false);
+  assert.equal(isSearchQuery('https://example.com/search?q=python'), false);
+});
+
+test('isSearchQuery needs a search path and a non-empty search parameter', () => {
+  assert.equal(isSearchQuery('https://www.google.com/search?hl=en&q=python'), true);
+  assert.equal(isSearchQuery('https://www.baidu.com/s?wd=python'), true);
+  assert.equal(isSearchQuery('https://www.google.com/search?hl=en'), false);
+  assert.equal(isSearchQuery('https://www.google.com/search?q='), false);
+  assert.equal(isSearchQuery('https://www.google.com/maps?q=python'), false);
+});
+
+test('other apps on a search engine domain are not searches', () => {
+  assert.equal(isSearchQuery('https://gemini.google.com/app?hl=en'), false);
+  assert.equal(isSearchQuery('https://gemini.google.com/?q=python'), false);
+  assert.equal(isSearchQuery('https://mail.google.com/?x=1'), false);
+  assert.equal(isSearchQuery('https://docs.google.com/search?q=python'), false);
+});
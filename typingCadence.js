@@ -0,0 +1,81 @@
+/**
+ * Typing Cadence thresholds for CodeGuard Extension
+ *
+ * The pure half of content.js's typing cadence analyzer: rolling statistics
+ * over input-event samples and the thresholds that turn them into anomaly
+ * reasons. Loaded as a content script ahead of content.js (content scripts
+ * can't import modules), so it publishes itself on globalThis as
+ * CodeGuardTypingCadence. Never sees the keystrokes themselves.
+ */
+
+(function (root) {
+  const TYPING_DEFAULTS = {
+    enabled: true,
+    windowSize: 200, // input events kept in the rolling window
+    minSamples: 40, // don't judge until this many events are in the window
+    evaluateEvery: 20, // re-evaluate every N events
+    burstGapMs: 1000, // a pause longer than this ends a typing burst
+    maxCharsPerSecond: 15, // ~180 wpm sustained within bursts
+    maxUntrustedRatio: 0.2, // share of synthetic (isTrusted === false) events
+    minIntervalCV: 0.15, // inter-key timing this uniform looks machine-generated
+    maxBurstChars: 800, // chars typed without a single pause
+    cooldownMs: 60000 // at most one report per minute
+  };
+
+  /**
+   * @param {{ t: number, trusted: boolean, chars: number }[]} samples - rolling window, oldest first
+   * @param {{ chars: number, longestChars: number }} burst - current/longest unbroken burst
+   * @param {object} settings - TYPING_DEFAULTS merged with the room policy
+   */
+  function computeTypingStats(samples, burst, { burstGapMs }) {
+    const intervals = [];
+    let activeMs = 0;
+    let chars = 0;
+    let trusted = 0;
+
+    samples.forEach((sample, i) => {
+      chars += sample.chars;
+      if (sample.trusted) trusted++;
+      if (i === 0) return;
+      const gap = sample.t - samples[i - 1].t;
+      if (gap <= burstGapMs) {
+        intervals.push(gap);
+        activeMs += gap;
+      }
+    });
+
+    const mean = intervals.length ? intervals.reduce((a, b) => a + b, 0) / intervals.length : 0;
+    const variance = intervals.length
+      ? intervals.reduce((sum, v) => sum + (v - mean) ** 2, 0) / intervals.length
+      : 0;
+    const stdDev = Math.sqrt(variance);
+    const sorted = [...intervals].sort((a, b) => a - b);
+
+    return {
+      samples: samples.length,
+      intervals: intervals.length,
+      meanIntervalMs: Math.round(mean),
+      medianIntervalMs: sorted.length ? sorted[Math.floor(sorted.length / 2)] : 0,
+      stdDevIntervalMs: Math.round(stdDev),
+      intervalCV: mean > 0 ? +(stdDev / mean).toFixed(3) : 0,
+      trustedRatio: samples.length ? +(trusted / samples.length).toFixed(3) : 1,
+      charsPerSecond: activeMs > 0 ? +(chars / (activeMs / 1000)).toFixed(1) : 0,
+      longestBurstChars: burst.longestChars,
+      currentBurstChars: burst.chars
+    };
+  }
+
+  // Which thresholds the stats break (empty when the typing looks human)
+  function typingAnomalyReasons(stats, settings) {
+    const reasons = [];
+    if (1 - stats.trustedRatio > settings.maxUntrustedRatio) reasons.push("synthetic_events");
+    if (stats.charsPerSecond > settings.maxCharsPerSecond) reasons.push("inhuman_speed");
+    if (stats.intervals >= settings.minSamples && stats.intervalCV < settings.minIntervalCV) {
+      reasons.push("uniform_cadence");
+    }
+    if (stats.longestBurstChars > settings.maxBurstChars) reasons.push("unbroken_burst");
+    return reasons;
+  }
+
+  root.CodeGuardTypingCadence = { TYPING_DEFAULTS, computeTypingStats, typingAnomalyReasons };
+})(globalThis);
@@ -0,0 +1,71 @@
+/**
+ * Version Check for CodeGuard Extension
+ *
+ * The server publishes /extension/version.json:
+ *
+ *   { "version": "1.6.0", "minVersion": "1.4.0",
+ *     "rooms": { "<roomId>": { "minVersion": "1.5.2" } } }
+ *
+ * `version` drives the "NEW" badge; `minVersion` (or the room's override) is
+ * enforced by START_EXAM/EXAM_STARTED. background.js does the fetching and
+ * caching; this module holds the comparisons and the check schedule.
+ */
+
+export const UPDATE_CHECK_INTERVAL_MS = 60 * 60 * 1000; // After a successful check
+export const UPDATE_RETRY_BASE_MS = 60 * 1000; // First retry after a failure, doubling up to the interval
+
+// Semantic version compare (major.minor.patch): >0 if v1 is newer
+export function compareVersions(v1, v2) {
+  const p1 = String(v1).split('.').map(Number);
+  const p2 = String(v2).split('.').map(Number);
+  for (let i = 0; i < Math.max(p1.length, p2.length); i++) {
+    const n1 = p1[i] || 0;
+    const n2 = p2[i] || 0;
+    if (n1 !== n2) return n1 - n2;
+  }
+  return 0;
+}
+
+// Keep only the fields we use from the server's version.json
+export function parseVersionDocument(data, checkedAt = new Date().toISOString()) {
+  const rooms = {};
+  for (const [roomId, override] of Object.entries(data?.rooms || {})) {
+    if (override?.minVersion) rooms[roomId] = { minVersion: String(override.minVersion) };
+  }
+  return {
+    version: data?.version ? String(data.version) : null,
+    minVersion: data?.minVersion ? String(data.minVersion) : null,
+    rooms,
+    checkedAt,
+  };
+}
+
+/**
+ * Compare the installed version with a version document. The room override,
+ * if present, replaces the global minimum. No document (never reached the
+ * server) means no minimum is enforced.
+ */
+export function getVersionStatus(versionDoc, roomId = null, version = chrome.runtime.getManifest().version) {
+  const minVersion = (roomId && versionDoc?.rooms?.[roomId]?.minVersion) || versionDoc?.minVersion || null;
+  const latestVersion = versionDoc?.version || null;
+  return {
+    version,
+    minVersion,
+    latestVersion,
+    updateRequired: !!minVersion && compareVersions(version, minVersion) < 0,
+    updateAvailable: !!latestVersion && compareVersions(latestVersion, version) > 0,
+    checkedAt: versionDoc?.checkedAt || null,
+  };
+}
+
+/**
+ * Whether a background check is due: UPDATE_CHECK_INTERVAL_MS after the last
+ * success, and not before a backoff that doubles with each failure in a row.
+ * @param {{ versionDocument?: object, failures?: { count: number, lastAt: number } }} state
+ */
+export function isUpdateCheckDue({ versionDocument, failures } = {}, now = Date.now()) {
+  if (now - Date.parse(versionDocument?.checkedAt || 0) < UPDATE_CHECK_INTERVAL_MS) return false;
+  if (!(failures?.count > 0)) return true;
+  const backoff = Math.min(UPDATE_RETRY_BASE_MS * 2 ** (failures.count - 1), UPDATE_CHECK_INTERVAL_MS);
+  return now - failures.lastAt >= backoff;
+}
@@ -0,0 +1,132 @@
+/**
+ * Off-Whitelist Violation Sessions for CodeGuard Extension
+ *
+ * Instead of one full flag (and screenshot) per page, consecutive
+ * non-whitelisted navigations on the same domain in the same tab are grouped
+ * into a session:
+ *
+ *   - opened by the first bad navigation (→ one opening flag)
+ *   - later URLs on the same domain are appended silently
+ *   - closed when the tab returns to an allowed URL, moves to another bad
+ *     domain, is closed, or loses focus (→ one closing update with dwell
+ *     time and the URL list)
+ *
+ * Sessions are persisted in chrome.storage.local so a service worker restart
+ * mid-session doesn't lose the dwell time.
+ */
+
+const STORAGE_KEY = 'violationSessions';
+const MAX_URLS_PER_SESSION = 50; // Keep the closing payload bounded
+
+function sessionDomain(url) {
+  try {
+    return new URL(url).hostname.toLowerCase().replace(/^www\./, '');
+  } catch {
+    return null;
+  }
+}
+
+class ViolationSessionTracker {
+  constructor() {
+    this.queue = Promise.resolve();
+  }
+
+  // ========== STATE ==========
+
+  async loadSessions() {
+    const { [STORAGE_KEY]: sessions } = await chrome.storage.local.get([STORAGE_KEY]);
+    return sessions || {};
+  }
+
+  // Run `fn(sessions)` exclusively, persist, and pass its return value through.
+  run(fn) {
+    const result = this.queue.then(async () => {
+      const sessions = await this.loadSessions();
+      const value = await fn(sessions);
+      await chrome.storage.local.set({ [STORAGE_KEY]: sessions });
+      return value;
+    });
+    this.queue = result.catch((err) => console.error('❌ Violation session error:', err));
+    return result;
+  }
+
+  // ========== SESSION OPERATIONS ==========
+
+  /**
+   * Record a non-whitelisted navigation in a tab.
+   * @returns {Promise<{ action: 'opened'|'appended', session: object, closed: object|null }>}
+   *   `closed` is the tab's previous session when the domain changed.
+   */
+  recordNavigation(tabId, url) {
+    return this.run(async (sessions) => {
+      const domain = sessionDomain(url);
+      const now = Date.now();
+      const existing = sessions[tabId];
+
+      if (existing && existing.domain === domain) {
+        existing.lastAt = now;
+        existing.pageCount += 1;
+        if (existing.urls.length < MAX_URLS_PER_SESSION) {
+          existing.urls.push({ url, at: new Date(now).toISOString() });
+        }
+        return { action: 'appended', session: existing, closed: null };
+      }
+
+      const closed = existing ? this.finish(existing, 'domain_changed', now) : null;
+      const session = {
+        sessionId: crypto.randomUUID(),
+        tabId,
+        domain,
+        firstUrl: url,
+        openedAt: now,
+        lastAt: now,
+        pageCount: 1,
+        urls: [{ url, at: new Date(now).toISOString() }],
+      };
+      sessions[tabId] = session;
+      console.log(`🧭 Violation session opened on ${domain} (tab ${tabId})`);
+      return { action: 'opened', session, closed };
+    });
+  }
+
+  // Close the tab's open session, if any. Returns the closed session or null.
+  closeSession(tabId, reason) {
+    return this.run(async (sessions) => {
+      const session = sessions[tabId];
+      if (!session) return null;
+      delete sessions[tabId];
+      return this.finish(session, reason, Date.now());
+    });
+  }
+
+  // Close every open session except the one in `keepTabId` (focus moved there).
+  closeOthers(keepTabId, reason) {
+    return this.run(async (sessions) => {
+      const closed = [];
+      for (const tabId of Object.keys(sessions)) {
+        if (Number(tabId) === keepTabId) continue;
+        closed.push(this.finish(sessions[tabId], reason, Date.now()));
+        delete sessions[tabId];
+      }
+      return closed;
+    });
+  }
+
+  closeAll(reason) {
+    return this.closeOthers(null, reason);
+  }
+
+  finish(session, reason, now) {
+    const dwellMs = now - session.openedAt;
+    console.log(`🧭 Violation session on ${session.domain} closed (${reason}) after ${(dwellMs / 1000).toFixed(0)}s, ${session.pageCount} page(s)`);
+    return {
+      ...session,
+      closedAt: now,
+      closeReason: reason,
+      dwellMs,
+    };
+  }
+}
+
+// Export singleton instance
+export const violationSessions = new ViolationSessionTracker();
@@ -0,0 +1,308 @@
+/**
+ * Whitelist Rule Engine for CodeGuard Extension
+ *
+ * Compiles the room whitelist once (on fetch) into matchers that the tab
+ * watcher evaluates per navigation. Supported rule forms:
+ *
+ *   example.com                    → example.com and any subdomain (NOT parents)
+ *   *.example.com                  → subdomains only
+ *   github.com/org/course-repo/*   → path-prefix allow (segment boundary)
+ *   docs.python.org/3/lib*         → raw path prefix
+ *   https://lab.local:8080         → scheme and port must match
+ *   !gemini.google.com             → deny rule ("-" prefix also works)
+ *   re:^https://x\.com/(a|b)/      → regex against the full URL
+ *   /^https?:\/\/x\.com\//i        → regex literal form
+ *
+ * Backend entries may also be objects:
+ *   { pattern: 'github.com/org/*', action: 'allow' | 'block', regex: false }
+ *
+ * Deny rules always beat allow rules. Among rules of the same action the most
+ * specific one is reported, so flag payloads can say *why* a URL was judged.
+ */
+
+const DENY_PREFIXES = ['!', '-'];
+const REGEX_PREFIX = 're:';
+
+// ========== PARSING ==========
+
+function escapeRegex(str) {
+  return str.replace(/[.+?^${}()|[\]\\]/g, '\\$&');
+}
+
+// "*.example.com" / "cdn-*.example.com" → anchored hostname regex
+function hostGlobToRegex(hostPattern) {
+  const source = hostPattern
+    .split('.')
+    .map(label => label === '*' ? '[^.]+' : escapeRegex(label).replace(/\*/g, '[^.]*'))
+    .join('\\.');
+  return new RegExp(`^${source}$`);
+}
+
+function parseRegexRule(body) {
+  const literal = body.match(/^\/(.+)\/([a-z]*)$/);
+  // Drop g/y: they make test() stateful (lastIndex), so the same URL could
+  // match on one navigation and not the next
+  if (literal) return new RegExp(literal[1], literal[2].replace(/[gy]/g, ''));
+  return new RegExp(body);
+}
+
+/**
+ * Split a pattern string into scheme / host / port / path parts.
+ * Uses the URL parser where possible so IPv6 hosts and ports behave.
+ */
+function parseUrlPattern(pattern) {
+  let scheme = null;
+  let rest = pattern;
+
+  const schemeMatch = rest.match(/^([a-z][a-z0-9+.-]*):\/\//i);
+  if (schemeMatch) {
+    scheme = schemeMatch[1].toLowerCase();
+    rest = rest.slice(schemeMatch[0].length);
+  }
+
+  const slashIndex = rest.indexOf('/');
+  const authority = slashIndex === -1 ? rest : rest.slice(0, slashIndex);
+  const path = slashIndex === -1 ? '' : rest.slice(slashIndex);
+
+  let host = authority;
+  let port = null;
+  const portMatch = authority.match(/^(.*):(\d+|\*)$/);
+  if (portMatch && !authority.endsWith(']')) {
+    host = portMatch[1];
+    port = portMatch[2] === '*' ? null : portMatch[2];
+  }
+
+  host = host.toLowerCase().replace(/^www\./, '');
+  if (!host) throw new Error('Missing host');
+  if (/[^a-z0-9.*\-[\]:]/.test(host)) throw new Error(`Invalid host "${host}"`);
+
+  return { scheme, host, port, path };
+}
+
+function compilePathMatcher(path) {
+  if (!path || path === '/' || path === '/*') return null;
+
+  // Trailing "/*" or bare path → segment-boundary prefix;
+  // "foo*" (star glued to a segment) → raw prefix.
+  if (path.endsWith('/*')) {
+    const prefix = path.slice(0, -2);
+    return { prefix, segment: true, test: (p) => p === prefix || p.startsWith(`${prefix}/`) };
+  }
+  if (path.endsWith('*')) {
+    const prefix = path.slice(0, -1);
+    return { prefix, segment: false, test: (p) => p.startsWith(prefix) };
+  }
+  const prefix = path.replace(/\/$/, '');
+  return { prefix, segment: true, test: (p) => p === prefix || p.startsWith(`${prefix}/`) };
+}
+
+/**
+ * Compile one whitelist entry. Returns null for empty/unsupported entries and
+ * throws on malformed ones (the caller collects errors).
+ */
+export function compileRule(entry, index = 0) {
+  let pattern;
+  let action = 'allow';
+  let forceRegex = false;
+
+  if (typeof entry === 'string') {
+    pattern = entry.trim();
+  } else if (entry && typeof entry === 'object') {
+    pattern = String(entry.pattern || entry.url || entry.domain || entry.rule || '').trim();
+    const declared = String(entry.action || entry.type || 'allow').toLowerCase();
+    if (declared === 'block' || declared === 'deny') action = 'block';
+    forceRegex = entry.regex === true;
+  } else {
+    return null;
+  }
+
+  if (!pattern) return null;
+  const source = typeof entry === 'string' ? pattern : JSON.stringify(entry);
+
+  if (DENY_PREFIXES.includes(pattern[0])) {
+    action = 'block';
+    pattern = pattern.slice(1).trim();
+  }
+
+  // --- Regex rules: matched against the full href ---
+  if (forceRegex || pattern.startsWith(REGEX_PREFIX) || /^\/.+\/[a-z]*$/.test(pattern)) {
+    const body = pattern.startsWith(REGEX_PREFIX) ? pattern.slice(REGEX_PREFIX.length) : pattern;
+    const regex = parseRegexRule(body);
+    return {
+      index,
+      source,
+      action,
+      kind: 'regex',
+      regex,
+      specificity: 1000 + body.length,
+      test: (url) => regex.test(url.href),
+    };
+  }
+
+  // --- Host/path rules ---
+  const { scheme, host, port, path } = parseUrlPattern(pattern);
+  const subdomainsOnly = host.startsWith('*.');
+  const baseHost = subdomainsOnly ? host.slice(2) : host;
+  const hasGlob = baseHost.includes('*');
+  const hostRegex = hasGlob ? hostGlobToRegex(baseHost) : null;
+  const pathMatcher = compilePathMatcher(path);
+
+  const matchHost = (hostname) => {
+    if (subdomainsOnly) {
+      if (!hostRegex) return hostname.endsWith(`.${baseHost}`);
+      // Drop at least one leading label, then match the remainder.
+      const labels = hostname.split('.');
+      for (let i = 1; i < labels.length; i++) {
+        if (hostRegex.test(labels.slice(i).join('.'))) return true;
+      }
+      return false;
+    }
+    if (hostRegex) return hostRegex.test(hostname);
+    return hostname === baseHost || hostname.endsWith(`.${baseHost}`);
+  };
+
+  return {
+    index,
+    source,
+    action,
+    kind: pathMatcher ? 'path' : (hasGlob || subdomainsOnly ? 'wildcard' : 'host'),
+    scheme,
+    host: baseHost,
+    subdomainsOnly,
+    port,
+    pathPrefix: pathMatcher ? pathMatcher.prefix : null,
+    pathSegment: pathMatcher ? pathMatcher.segment : false,
+    // More labels / longer paths / explicit scheme+port win ties.
+    specificity: baseHost.replace(/\*/g, '').length
+      + (pathMatcher ? 100 + pathMatcher.prefix.length : 0)
+      + (scheme ? 10 : 0)
+      + (port ? 10 : 0)
+      - (hasGlob || subdomainsOnly ? 5 : 0),
+    test: (url) => {
+      const hostname = url.hostname.toLowerCase().replace(/^www\./, '');
+      if (scheme && url.protocol !== `${scheme}:`) return false;
+      if (port && (url.port || defaultPort(url.protocol)) !== port) return false;
+      if (!matchHost(hostname)) return false;
+      if (pathMatcher && !pathMatcher.test(url.pathname)) return false;
+      return true;
+    },
+  };
+}
+
+function defaultPort(protocol) {
+  if (protocol === 'https:') return '443';
+  if (protocol === 'http:') return '80';
+  return '';
+}
+
+// ========== PUBLIC API ==========
+
+/**
+ * Compile a raw whitelist (strings and/or rule objects) into a rule set.
+ * Malformed entries are skipped and reported in `errors` rather than failing
+ * the whole whitelist — one bad backend entry must not disable monitoring.
+ */
+export function compileWhitelist(entries = []) {
+  const rules = [];
+  const errors = [];
+
+  (Array.isArray(entries) ? entries : []).forEach((entry, index) => {
+    try {
+      const rule = compileRule(entry, index);
+      if (rule) rules.push(rule);
+    } catch (err) {
+      errors.push({ index, entry, error: err.message });
+    }
+  });
+
+  if (errors.length > 0) {
+    console.warn(`⚠️ ${errors.length} whitelist rule(s) could not be compiled:`, errors);
+  }
+
+  return {
+    allowRules: rules.filter(r => r.action === 'allow'),
+    blockRules: rules.filter(r => r.action === 'block'),
+    errors,
+    compiledAt: Date.now(),
+  };
+}
+
+// Trimmed, serializable view of a rule for flag payloads and logs.
+export function describeRule(rule) {
+  if (!rule) return null;
+  return { source: rule.source, action: rule.action, kind: rule.kind, index: rule.index };
+}
+
+function mostSpecific(rules, url) {
+  let best = null;
+  for (const rule of rules) {
+    if (rule.test(url) && (!best || rule.specificity > best.specificity)) best = rule;
+  }
+  return best;
+}
+
+/**
+ * Evaluate a URL (string or URL) against a compiled rule set.
+ * @returns {{ allowed: boolean, rule: object|null, reason: string }}
+ */
+export function evaluateUrl(compiled, rawUrl) {
+  const url = rawUrl instanceof URL ? rawUrl : new URL(rawUrl);
+
+  const blockedBy = mostSpecific(compiled?.blockRules || [], url);
+  if (blockedBy) {
+    return { allowed: false, rule: describeRule(blockedBy), reason: 'matched_block_rule' };
+  }
+
+  const allowedBy = mostSpecific(compiled?.allowRules || [], url);
+  if (allowedBy) {
+    return { allowed: true, rule: describeRule(allowedBy), reason: 'matched_allow_rule' };
+  }
+
+  return { allowed: false, rule: null, reason: 'no_matching_rule' };
+}
+
+// ========== SEARCH QUERIES ==========
+// Address-bar searches stay allowed whatever the whitelist says (explicit deny
+// rules still win). A search is the engine's own host (or www.), one of its
+// search paths exactly, and a non-empty search parameter, so other apps on
+// the same domain (gemini.google.com, mail.google.com, ...) are not searches.
+//
+// SEARCH_QUERY_PATTERN is the single definition: the tab watcher tests it
+// here, and enforcement mode installs it as a DNR regexFilter (so it sticks to
+// RE2 syntax), so monitor and enforce mode can't drift apart.
+
+export const SEARCH_ENGINE_DOMAINS = [
+  'google.com',
+  'google.co.in',
+  'bing.com',
+  'yahoo.com',
+  'search.yahoo.com',
+  'duckduckgo.com',
+  'yandex.com',
+  'baidu.com',
+];
+
+const SEARCH_PARAMS = ['q', 'query', 'p', 'search', 'text', 'wd'];
+const SEARCH_PATHS = ['/', '/search', '/search/', '/webhp', '/s']; // Matched exactly
+
+export const SEARCH_QUERY_PATTERN = '^https?://(www\\.)?' +
+  `(${SEARCH_ENGINE_DOMAINS.map(escapeRegex).join('|')})` +
+  '(:[0-9]+)?' +
+  `(${SEARCH_PATHS.map(escapeRegex).join('|')})` +
+  `\\?([^#]*&)?(${SEARCH_PARAMS.join('|')})=[^&#]`;
+
+const searchQueryRegex = new RegExp(SEARCH_QUERY_PATTERN, 'i');
+
+// Address-bar search on a search engine (see SEARCH_QUERY_PATTERN)
+export function isSearchQuery(rawUrl) {
+  const url = rawUrl instanceof URL ? rawUrl : new URL(rawUrl);
+  return searchQueryRegex.test(url.href);
+}
+
+export default {
+  compileRule,
+  compileWhitelist,
+  evaluateUrl,
+  describeRule,
+  isSearchQuery,
+};